@@ -14,7 +14,9 @@ module.exports = {
     '!src/server/**/*.spec.js',
     '!src/server/**/*.test.js',
     '!src/server/__tests__/**',
-    '!src/server/server.mock.js'
+    '!src/server/server.mock.js',
+    'src/shared/**/*.js',
+    '!src/shared/__tests__/**'
   ],
   
   // Coverage thresholds
@@ -38,11 +40,11 @@ module.exports = {
   setupFiles: [],
   
   // Module file extensions
-  moduleFileExtensions: ['js', 'json'],
+  moduleFileExtensions: ['js', 'jsx', 'json'],
   
   // Transform configuration
   transform: {
-    '^.+\\.js$': 'babel-jest'
+    '^.+\\.jsx?$': 'babel-jest'
   },
   
   // Clear mocks between tests
@@ -0,0 +1,25 @@
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+
+import { Conflict } from '../components/Conflict';
+import { reducer } from '../store/reducer';
+import { conflictFound, resolveConflict } from '../store/mutations';
+
+describe('Conflict', () => {
+  const render = (...actions) => {
+    const { conflict } = actions.reduce(reducer, reducer(undefined, { type: '@@INIT' }));
+    return renderToStaticMarkup(<Conflict conflict={conflict} keepMine={() => {}} keepTheirs={() => {}} />);
+  };
+
+  it('should ask which change to keep', () => {
+    const markup = render(conflictFound({ id: 'task-1', name: 'Deploy', version: 3 }));
+
+    expect(markup).toContain('&quot;Deploy&quot; was changed by someone else');
+    expect(markup).toContain('Keep mine');
+    expect(markup).toContain('Keep theirs');
+  });
+
+  it('should go away once answered', () => {
+    expect(render(conflictFound({ id: 'task-1', name: 'Deploy' }), resolveConflict(true))).toBe('');
+  });
+});
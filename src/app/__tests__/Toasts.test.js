@@ -0,0 +1,26 @@
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+
+import { Toasts } from '../components/Toasts';
+import { reducer } from '../store/reducer';
+import { mutationFailed, showToast } from '../store/mutations';
+
+describe('Toasts', () => {
+  const render = (...actions) => {
+    const { toasts } = actions.reduce(reducer, reducer(undefined, { type: '@@INIT' }));
+    return renderToStaticMarkup(<Toasts toasts={toasts} dismiss={() => {}} />);
+  };
+
+  it('should show a toast message as it is', () => {
+    const markup = render(showToast('toast-1', 'Your friends couldn\'t be loaded: Network Error'));
+
+    expect(markup).toContain('Your friends couldn&#x27;t be loaded: Network Error');
+    expect(markup).not.toContain('Your change couldn&#x27;t be saved');
+  });
+
+  it('should say that a rejected change couldn\'t be saved', () => {
+    const markup = render(mutationFailed('mutation-1', 'Task not found'));
+
+    expect(markup).toContain('Your change couldn&#x27;t be saved: Task not found');
+  });
+});
@@ -0,0 +1,43 @@
+import { saveState } from '../store/persistence';
+
+describe('Persistence', () => {
+  const state = {
+    session: { id: 'user-1', authenticated: 'AUTHENTICATED', token: 'access', refreshToken: 'refresh', connectionID: 'connection-1' },
+    users: [], groups: [], tasks: [], comments: [], friendRequests: [],
+    pending: [{ id: 'mutation-1', itemID: 'task-1', request: { method: 'patch', path: '/api/v1/tasks/task-1', data: { name: 'Deploy' } } }],
+    toasts: [{ id: 'toast-1', message: 'Oops' }]
+  };
+  let storage;
+
+  beforeEach(() => {
+    storage = { setItem: jest.fn(), removeItem: jest.fn() };
+    global.window = { localStorage: storage };
+  });
+
+  afterEach(() => {
+    delete global.window;
+  });
+
+  const saved = () => JSON.parse(storage.setItem.mock.calls[0][1]);
+
+  it('should keep the queue and what it needs to be sent, but not the refresh token', () => {
+    saveState(state);
+
+    expect(saved().session).toEqual({ id: 'user-1', authenticated: 'AUTHENTICATED', token: 'access' });
+    expect(saved().pending).toEqual(state.pending);
+    expect(saved().toasts).toBeUndefined();
+  });
+
+  it('should keep the queue of a session that ran out', () => {
+    saveState({ ...state, session: { id: 'user-1', authenticated: 'NOT_AUTHENTICATED' } });
+
+    expect(saved().pending).toEqual(state.pending);
+  });
+
+  it('should keep nothing once the user logs out', () => {
+    saveState({ ...state, session: {}, pending: [] });
+
+    expect(storage.removeItem).toHaveBeenCalledWith('state');
+    expect(storage.setItem).not.toHaveBeenCalled();
+  });
+});
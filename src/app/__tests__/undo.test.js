@@ -0,0 +1,114 @@
+/**
+ * @jest-environment jsdom
+ */
+import { createStore, applyMiddleware } from 'redux';
+import createSagaMiddleware from 'redux-saga';
+
+import { reducer } from '../store/reducer';
+import { undoable } from '../store/undo';
+import { undoSaga, taskModificationSaga, commentCreationSaga, commentDeletionSaga } from '../store/sagas';
+import * as mutations from '../store/mutations';
+
+describe('undoable', () => {
+  const board = {
+    session: { id: 'user-1' },
+    users: [],
+    groups: [{ id: 'group-1', name: 'To Do', owner: 'user-1', position: 0 }],
+    tasks: [{ id: 'task-1', name: 'Deploy', group: 'group-1', owner: 'user-1', isComplete: false }],
+    comments: []
+  };
+  let store;
+
+  // The requests queued for the server, oldest first
+  const sent = () => store.getState().pending.map(({ request: { method, path, data } }) => ({ method, path, data }));
+  const lastSent = () => sent()[sent().length - 1];
+  const task = () => store.getState().tasks.find(({ id }) => id === 'task-1');
+
+  beforeEach(() => {
+    const sagaMiddleware = createSagaMiddleware();
+    store = createStore(undoable(reducer), applyMiddleware(sagaMiddleware));
+    [undoSaga, taskModificationSaga, commentCreationSaga, commentDeletionSaga].forEach(saga => sagaMiddleware.run(saga));
+    store.dispatch(mutations.setState(board));
+  });
+
+  it('should undo an edit and send the inverse change to the server', () => {
+    store.dispatch(mutations.setTaskCompletion('task-1', true));
+    store.dispatch(mutations.requestUndo());
+
+    expect(task().isComplete).toBe(false);
+    expect(lastSent()).toEqual({ method: 'patch', path: '/api/v1/tasks/task-1', data: { isComplete: false } });
+    expect(store.getState().edits).toEqual({ past: [], future: [expect.anything()] });
+  });
+
+  it('should redo an undone edit', () => {
+    store.dispatch(mutations.setTaskCompletion('task-1', true));
+    store.dispatch(mutations.requestUndo());
+    store.dispatch(mutations.requestRedo());
+
+    expect(task().isComplete).toBe(true);
+    expect(lastSent()).toEqual({ method: 'patch', path: '/api/v1/tasks/task-1', data: { isComplete: true } });
+    expect(store.getState().edits.future).toEqual([]);
+  });
+
+  it('should undo a name typed one keystroke at a time in one step', () => {
+    ['D', 'Do', 'Don', 'Done'].forEach(name => store.dispatch(mutations.setTaskName('task-1', name)));
+
+    expect(store.getState().edits.past).toHaveLength(1);
+
+    store.dispatch(mutations.requestUndo());
+
+    expect(task().name).toBe('Deploy');
+    expect(lastSent()).toEqual({ method: 'patch', path: '/api/v1/tasks/task-1', data: { name: 'Deploy' } });
+
+    store.dispatch(mutations.requestRedo());
+
+    expect(task().name).toBe('Done');
+  });
+
+  it('should forget undone edits once a new edit is made', () => {
+    store.dispatch(mutations.setTaskCompletion('task-1', true));
+    store.dispatch(mutations.requestUndo());
+    store.dispatch(mutations.updateTask('task-1', { priority: 'high' }));
+
+    expect(store.getState().edits.future).toEqual([]);
+    expect(store.getState().edits.past).toHaveLength(1);
+  });
+
+  it('should not record changes made elsewhere', () => {
+    store.dispatch(mutations.fromServer(mutations.setTaskCompletion('task-1', true)));
+
+    expect(store.getState().edits.past).toEqual([]);
+  });
+
+  it('should undo posting a comment by deleting it, and redo it by posting it again', () => {
+    store.dispatch(mutations.addTaskComment('comment-1', 'task-1', 'user-1', 'Ship it'));
+    store.dispatch(mutations.requestUndo());
+
+    expect(store.getState().comments).toEqual([]);
+    expect(lastSent()).toEqual({ method: 'delete', path: '/comment/comment-1', data: undefined });
+
+    store.dispatch(mutations.requestRedo());
+
+    expect(store.getState().comments).toEqual([{ id: 'comment-1', task: 'task-1', owner: 'user-1', content: 'Ship it' }]);
+    expect(lastSent()).toMatchObject({ method: 'post', path: '/comment/new', data: { comment: { id: 'comment-1', content: 'Ship it' } } });
+  });
+
+  it('should undo deleting a comment by posting it again', () => {
+    store.dispatch(mutations.setState({ ...board, comments: [{ id: 'comment-1', task: 'task-1', owner: 'user-1', content: 'Ship it' }] }));
+    store.dispatch(mutations.removeTaskComment('comment-1', 'task-1'));
+
+    expect(lastSent()).toEqual({ method: 'delete', path: '/comment/comment-1', data: undefined });
+
+    store.dispatch(mutations.requestUndo());
+
+    expect(store.getState().comments).toHaveLength(1);
+    expect(lastSent()).toMatchObject({ method: 'post', path: '/comment/new', data: { comment: { id: 'comment-1' } } });
+  });
+
+  it('should forget a comment once the server removes it', () => {
+    store.dispatch(mutations.addTaskComment('comment-1', 'task-1', 'user-1', 'Ship it'));
+    store.dispatch(mutations.fromServer(mutations.removeTaskComment('comment-1', 'task-1')));
+
+    expect(store.getState().edits.past).toEqual([]);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * The history of a task, shown on the task detail page: who changed what and when, oldest first.
+ * It is reloaded whenever the server has a new change to the task.
+ */
+import { connect } from 'react-redux';
+import React from 'react';
+
+import { ConnectedUsernameDisplay } from './UsernameDisplay'
+import { requestTaskActivity, closeTaskActivity } from '../store/mutations'
+
+const FIELD_NAMES = {
+    name:`name`,
+    dueDate:`due date`,
+    priority:`priority`,
+    labels:`labels`
+};
+
+const quoted = value=>value === null || value === `` ? `nothing` : `"${Array.isArray(value) ? value.join(`, `) : value}"`;
+
+const Users = ({ids})=>ids.map((id, index)=>(
+    <span key={id}>{index ? `, ` : null}<ConnectedUsernameDisplay id={id}/></span>
+));
+
+// What an entry says was done, following the name of the user who did it
+const describe = ({field, from, to}, groupName)=>{
+    switch (field) {
+        case `task`:
+            return to === null ? `deleted this task` : `created this task`;
+        case `comment`:
+            return `commented ${quoted(to)}`;
+        case `isComplete`:
+            return to ? `completed this task` : `reopened this task`;
+        case `isArchived`:
+            return to ? `archived this task` : `restored this task`;
+        case `description`:
+            return to === null ? `removed the description` : `changed the description`;
+        case `group`:
+            return `moved this task from ${groupName(from)} to ${groupName(to)}`;
+        case `checklist`:
+            if (from === null) {
+                return `added ${quoted(to.text)} to the checklist`;
+            }
+            if (to === null) {
+                return `removed ${quoted(from.text)} from the checklist`;
+            }
+            if (from.text !== to.text) {
+                return `renamed the checklist item ${quoted(from.text)} to ${quoted(to.text)}`;
+            }
+            return `${to.isComplete ? `ticked off` : `unticked`} ${quoted(to.text)}`;
+        case `collaborators`:
+            if (from === null) {
+                return <span>shared this task with <ConnectedUsernameDisplay id={to.user}/> as {to.role}</span>;
+            }
+            if (to === null) {
+                return <span>stopped sharing this task with <ConnectedUsernameDisplay id={from.user}/></span>;
+            }
+            return <span>made <ConnectedUsernameDisplay id={to.user}/> {to.role === `editor` ? `an` : `a`} {to.role}</span>;
+        case `assignees`: {
+            let added = (to || []).filter(id=>!(from || []).includes(id));
+            let removed = (from || []).filter(id=>!(to || []).includes(id));
+            return (
+                <span>
+                    {added.length ? <span>assigned <Users ids={added}/></span> : null}
+                    {added.length && removed.length ? ` and ` : null}
+                    {removed.length ? <span>unassigned <Users ids={removed}/></span> : null}
+                </span>
+            );
+        }
+        default:
+            return `changed the ${FIELD_NAMES[field] || field} from ${quoted(from)} to ${quoted(to)}`;
+    }
+};
+
+export class Activity extends React.Component {
+    componentDidMount(){
+        this.props.load(this.props.taskID);
+    }
+
+    componentDidUpdate({taskID}){
+        if (taskID !== this.props.taskID) {
+            this.props.load(this.props.taskID);
+        }
+    }
+
+    componentWillUnmount(){
+        this.props.close();
+    }
+
+    render(){
+        let {activity, status, error, groupName} = this.props;
+        return (
+            <div className="mt-3">
+                <h5>Activity</h5>
+                {status === `FAILED` ? <p className="text-danger">{error}</p> : null}
+                {status === `DONE` && !activity.length ? <p className="text-muted">Nothing yet.</p> : null}
+                {activity.map(entry=>(
+                    <div key={entry.id} className="small mb-1">
+                        <ConnectedUsernameDisplay id={entry.actor}/> {describe(entry, groupName)}
+                        <span className="text-muted ml-2">{new Date(entry.createdAt).toLocaleString()}</span>
+                    </div>
+                ))}
+            </div>
+        );
+    }
+}
+
+const mapStateToProps = ({taskActivity, groups}, {taskID})=>{
+    // Entries from before a different task was opened are never shown
+    let isShown = taskActivity.taskID === taskID;
+    return {
+        activity:isShown ? taskActivity.activity : [],
+        status:isShown ? taskActivity.status : null,
+        error:taskActivity.error,
+        // Groups that were deleted, or that the user can't see, have no name to show
+        groupName(id){
+            let group = groups.find(group=>group.id === id);
+            return group ? quoted(group.name) : `another group`;
+        }
+    };
+};
+
+const mapDispatchToProps = (dispatch)=>({
+    load(taskID){
+        dispatch(requestTaskActivity(taskID));
+    },
+    close(){
+        dispatch(closeTaskActivity());
+    }
+});
+
+export const ConnectedActivity = connect(mapStateToProps, mapDispatchToProps)(Activity);
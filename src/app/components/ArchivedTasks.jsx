@@ -0,0 +1,30 @@
+/**
+ * Lists the user's archived tasks. Archived tasks are hidden from the dashboard;
+ * opening one here shows its detail page, where it can be restored or deleted for good.
+ */
+import { connect } from 'react-redux';
+import React from 'react';
+import { ConnectedTaskListItem } from './TaskListItem'
+
+export const ArchivedTasks = ({tasks})=>(
+    <div className="card p-2 m-2">
+        <h2>
+            Archived
+        </h2>
+        <div>
+            {tasks.length ?
+                tasks.map(task=>(
+                    <ConnectedTaskListItem {...task} key={task.id}/>
+                ))
+                :
+                <p className="mt-2">There are no archived tasks.</p>
+            }
+        </div>
+    </div>
+);
+
+const mapStateToProps = (state)=>({
+    tasks: state.tasks.filter(task=>task.isArchived)
+});
+
+export const ConnectedArchivedTasks = connect(mapStateToProps)(ArchivedTasks);
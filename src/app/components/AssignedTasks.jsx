@@ -0,0 +1,29 @@
+/**
+ * Lists the open tasks assigned to the user, whoever owns them and whichever board they are on.
+ */
+import { connect } from 'react-redux';
+import React from 'react';
+import { ConnectedTaskListItem } from './TaskListItem'
+
+export const AssignedTasks = ({tasks})=>(
+    <div className="card p-2 m-2">
+        <h2>
+            Assigned to me
+        </h2>
+        <div>
+            {tasks.length ?
+                tasks.map(task=>(
+                    <ConnectedTaskListItem {...task} key={task.id}/>
+                ))
+                :
+                <p className="mt-2">There are no tasks assigned to you.</p>
+            }
+        </div>
+    </div>
+);
+
+const mapStateToProps = (state)=>({
+    tasks: state.tasks.filter(task=>!task.isArchived && (task.assignees || []).includes(state.session.id))
+});
+
+export const ConnectedAssignedTasks = connect(mapStateToProps)(AssignedTasks);
@@ -0,0 +1,64 @@
+/**
+ * The users a task is assigned to, shown on the task detail page. Those who can edit the task can assign it
+ * to themselves, their friends, its owner, or anyone it or its group is shared with.
+ */
+import { connect } from 'react-redux';
+import React from 'react';
+
+import { ConnectedUsernameDisplay, ConnectedUserInitials } from './UsernameDisplay'
+import { updateTask } from '../store/mutations'
+
+export const Assignees = ({assignees, candidates, canEdit, assign, unassign})=>(
+    <div className="mt-3">
+        <h6>Assigned to</h6>
+        {assignees.length ? null : <p className="text-muted">Nobody yet.</p>}
+        {assignees.map(assignee=>(
+            <div key={assignee} className="mb-1">
+                <ConnectedUserInitials id={assignee}/>
+                <ConnectedUsernameDisplay id={assignee}/>
+                {canEdit ?
+                    <button className="btn btn-sm btn-link text-danger px-1" onClick={()=>unassign(assignees, assignee)} title="Unassign">
+                        ✕
+                    </button>
+                    : null
+                }
+            </div>
+        ))}
+        {canEdit && candidates.length ?
+            <form className="form-inline" onSubmit={e=>assign(assignees, e)}>
+                <select name="assignee" className="form-control form-control-sm mr-1">
+                    {candidates.map(user=>(
+                        <option key={user.id} value={user.id}>{user.name}</option>
+                    ))}
+                </select>
+                <button type="submit" className="btn btn-sm btn-secondary">Assign</button>
+            </form>
+            : null
+        }
+    </div>
+);
+
+const mapStateToProps = (state, {taskID})=>{
+    let task = state.tasks.find(task=>task.id === taskID);
+    let assignees = (task && task.assignees) || [];
+    let group = task && state.groups.find(group=>group.id === task.group);
+    let self = state.users.find(user=>user.id === state.session.id);
+    let collaborators = [task, group].filter(Boolean).flatMap(item=>(item.collaborators || []).map(({user})=>user));
+    let eligible = [state.session.id, task && task.owner, ...((self && self.friends) || []), ...collaborators];
+    return {
+        assignees,
+        candidates:state.users.filter(user=>eligible.includes(user.id) && !assignees.includes(user.id))
+    };
+};
+
+const mapDispatchToProps = (dispatch, {taskID})=>({
+    assign(assignees, e){
+        e.preventDefault();
+        dispatch(updateTask(taskID, {assignees:[...assignees, e.target[`assignee`].value]}));
+    },
+    unassign(assignees, userID){
+        dispatch(updateTask(taskID, {assignees:assignees.filter(assignee=>assignee !== userID)}));
+    }
+});
+
+export const ConnectedAssignees = connect(mapStateToProps, mapDispatchToProps)(Assignees);
@@ -0,0 +1,97 @@
+/**
+ * The checklist of a task, shown on the task detail page.
+ * Those who can edit the task can tick items off, edit their text in place, move them up or down, and add or remove them.
+ * An item's text field starts over whenever its saved text changes, as on undo or redo.
+ */
+import { connect } from 'react-redux';
+import React from 'react';
+import uuid from 'uuid';
+
+import {
+    addChecklistItem,
+    updateChecklistItem,
+    moveChecklistItem,
+    deleteChecklistItem
+} from '../store/mutations'
+
+export const Checklist = ({checklist, canEdit, addItem, updateItem, moveItem, deleteItem})=>(
+    <div className="mt-3">
+        <h5>
+            Checklist {checklist.length ? `(${checklist.filter(item=>item.isComplete).length}/${checklist.length})` : null}
+        </h5>
+        {checklist.map((item, index)=>(
+            <div key={item.id} className="form-inline mb-1">
+                <input type="checkbox"
+                       checked={item.isComplete}
+                       disabled={!canEdit}
+                       onChange={()=>updateItem(item.id, {isComplete:!item.isComplete})}
+                       className="mr-2"/>
+                {canEdit ?
+                    <span className="form-inline">
+                        <input type="text"
+                               key={item.text}
+                               defaultValue={item.text}
+                               maxLength="200"
+                               onBlur={e=>{
+                                   let text = e.target.value.trim();
+                                   if (text && text !== item.text) {
+                                       updateItem(item.id, {text});
+                                   } else {
+                                       e.target.value = item.text;
+                                   }
+                               }}
+                               className="form-control form-control-sm mr-1"/>
+                        <button className="btn btn-sm btn-link px-1" disabled={index === 0} onClick={()=>moveItem(item.id, index - 1)} title="Move up">
+                            ↑
+                        </button>
+                        <button className="btn btn-sm btn-link px-1" disabled={index === checklist.length - 1} onClick={()=>moveItem(item.id, index + 1)} title="Move down">
+                            ↓
+                        </button>
+                        <button className="btn btn-sm btn-link text-danger px-1" onClick={()=>deleteItem(item.id)} title="Remove">
+                            ✕
+                        </button>
+                    </span>
+                    :
+                    <span className={item.isComplete ? `text-muted` : null}>{item.text}</span>
+                }
+            </div>
+        ))}
+        {canEdit ?
+            <form className="form-inline" onSubmit={addItem}>
+                <input type="text" name="checklistItem" maxLength="200" autoComplete="off" placeholder="Add a step" className="form-control form-control-sm"/>
+                <button type="submit" className="btn btn-sm">Add</button>
+            </form>
+            : null
+        }
+    </div>
+);
+
+const mapStateToProps = (state, {taskID})=>{
+    let task = state.tasks.find(task=>task.id === taskID);
+    return {
+        checklist:(task && task.checklist) || []
+    };
+};
+
+const mapDispatchToProps = (dispatch, {taskID})=>({
+    addItem(e){
+        let input = e.target[`checklistItem`];
+        let text = input.value.trim();
+        e.preventDefault();
+        if (text !== ``) {
+            input.value = ``;
+            dispatch(addChecklistItem(taskID, uuid(), text));
+        }
+    },
+    updateItem(itemID, changes){
+        dispatch(updateChecklistItem(taskID, itemID, changes));
+    },
+    moveItem(itemID, position){
+        dispatch(moveChecklistItem(taskID, itemID, position));
+    },
+    deleteItem(itemID){
+        dispatch(deleteChecklistItem(taskID, itemID));
+    }
+});
+
+export const ConnectedChecklist = connect(mapStateToProps, mapDispatchToProps)(Checklist);
@@ -0,0 +1,92 @@
+/**
+ * Who a group or task is shared with. Owners can invite friends as viewers or editors, change their roles
+ * and stop sharing; collaborators can leave. `kind` is `groups` or `tasks`.
+ */
+import { connect } from 'react-redux';
+import React from 'react';
+
+import { ConnectedUsernameDisplay } from './UsernameDisplay'
+import { ROLES } from '../../shared/permissions'
+import { setCollaborator, removeCollaborator } from '../store/mutations'
+
+export const Collaborators = ({collaborators, isOwner, sessionID, friends, shareWith, setRole, remove, leave})=>(
+    <div className="mt-3">
+        <h6>Shared with</h6>
+        {collaborators.length ? null : <p className="text-muted">Nobody yet.</p>}
+        {collaborators.map(({user, role})=>(
+            <div key={user} className="form-inline mb-1">
+                <span className="mr-2">
+                    <ConnectedUsernameDisplay id={user}/>
+                </span>
+                {isOwner ?
+                    <span className="form-inline">
+                        <select value={role} onChange={e=>setRole(user, e.target.value)} className="form-control form-control-sm mr-1">
+                            {ROLES.map(role=>(
+                                <option key={role} value={role}>{role}</option>
+                            ))}
+                        </select>
+                        <button className="btn btn-sm btn-link text-danger px-1" onClick={()=>remove(user)} title="Stop sharing">
+                            ✕
+                        </button>
+                    </span>
+                    :
+                    <span className="text-muted">{role}</span>
+                }
+                {user === sessionID ?
+                    <button className="btn btn-sm btn-link" onClick={()=>leave(user)}>Leave</button>
+                    : null
+                }
+            </div>
+        ))}
+        {isOwner && friends.length ?
+            <form className="form-inline" onSubmit={shareWith}>
+                <select name="friend" className="form-control form-control-sm mr-1">
+                    {friends.map(friend=>(
+                        <option key={friend.id} value={friend.id}>{friend.name}</option>
+                    ))}
+                </select>
+                <select name="role" defaultValue={`viewer`} className="form-control form-control-sm mr-1">
+                    {ROLES.map(role=>(
+                        <option key={role} value={role}>{role}</option>
+                    ))}
+                </select>
+                <button type="submit" className="btn btn-sm btn-secondary">Share</button>
+            </form>
+            : null
+        }
+    </div>
+);
+
+const mapStateToProps = (state, {kind, id})=>{
+    let item = state[kind].find(item=>item.id === id);
+    let collaborators = (item && item.collaborators) || [];
+    let self = state.users.find(user=>user.id === state.session.id);
+    let friendIDs = (self && self.friends) || [];
+    return {
+        collaborators,
+        isOwner:Boolean(item) && item.owner === state.session.id,
+        sessionID:state.session.id,
+        // Friends it isn't shared with yet
+        friends:state.users.filter(user=>friendIDs.includes(user.id) && !collaborators.some(({user:id})=>id === user.id))
+    };
+};
+
+const mapDispatchToProps = (dispatch, {kind, id})=>({
+    shareWith(e){
+        e.preventDefault();
+        dispatch(setCollaborator(kind, id, e.target[`friend`].value, e.target[`role`].value));
+    },
+    setRole(userID, role){
+        dispatch(setCollaborator(kind, id, userID, role));
+    },
+    remove(userID){
+        dispatch(removeCollaborator(kind, id, userID));
+    },
+    leave(userID){
+        if (window.confirm(`Stop seeing this? Only the owner can share it with you again.`)) {
+            dispatch(removeCollaborator(kind, id, userID, true));
+        }
+    }
+});
+
+export const ConnectedCollaborators = connect(mapStateToProps, mapDispatchToProps)(Collaborators);
@@ -0,0 +1,34 @@
+/**
+ * Asks the user what to do when someone else changed a task before their queued change to it could be saved:
+ * keep their own change, which is sent again on top of the other one, or keep the other one and drop theirs.
+ * Changes queued after it wait for the answer.
+ */
+import { connect } from 'react-redux';
+import React from 'react';
+
+import { resolveConflict } from '../store/mutations'
+
+export const Conflict = ({conflict, keepMine, keepTheirs})=>(
+    conflict ?
+        <div className="fixed-top p-3">
+            <div className="alert alert-warning" role="alertdialog">
+                <p>"{conflict.name}" was changed by someone else before your change could be saved.</p>
+                <button type="button" className="btn btn-primary mr-2" onClick={keepMine}>Keep mine</button>
+                <button type="button" className="btn btn-secondary" onClick={keepTheirs}>Keep theirs</button>
+            </div>
+        </div> :
+        null
+);
+
+const mapStateToProps = ({conflict})=>({conflict});
+
+const mapDispatchToProps = (dispatch)=>({
+    keepMine(){
+        dispatch(resolveConflict(true));
+    },
+    keepTheirs(){
+        dispatch(resolveConflict(false));
+    }
+});
+
+export const ConnectedConflict = connect(mapStateToProps, mapDispatchToProps)(Conflict);
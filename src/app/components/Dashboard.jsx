@@ -1,20 +1,58 @@
 /**
  * The dashboard is a simple React component that contains several lists of tasks,
- * one for each group that belongs to the user.
+ * one for each group that belongs to or is shared with the user, followed by a form for adding another.
+ * The user's own columns come first, in the order they arranged them, then those shared with them by name.
+ * Tasks shared with the user on their own, without their group, are listed in a column of their own.
  */
 
 import { connect } from 'react-redux';
 import React from 'react';
 import { ConnectedTaskList } from './TaskList';
+import { ConnectedTaskListItem } from './TaskListItem';
+import { ownGroups } from '../store/reducer';
+import { requestGroupCreation } from '../store/mutations';
 
-const Dashboard = ({groups})=>(
+const Dashboard = ({groups, sharedTasks, addGroup})=>(
     <div className="row">
         {groups.map(group=>(
             <ConnectedTaskList key={group.id} {...group} className="col"/>
         ))}
+        {sharedTasks.length ?
+            <div className="card p-2 m-2">
+                <h5 className="font-weight-bold">Shared with me</h5>
+                {sharedTasks.map(task=>(
+                    <ConnectedTaskListItem key={task.id} id={task.id}/>
+                ))}
+            </div>
+            : null
+        }
+        <div className="card p-2 m-2">
+            <form onSubmit={addGroup}>
+                <input type="text" name="groupName" autoComplete="off" placeholder="Column name" className="form-control"/>
+                <button type="submit" className="btn btn-secondary btn-block mt-2">Add column</button>
+            </form>
+        </div>
     </div>
 );
 
-const mapStateToProps = ({groups})=>({groups});
+const mapStateToProps = ({groups, tasks, session})=>({
+    groups:[
+        ...ownGroups(groups, session.id),
+        ...groups.filter(group=>group.owner !== session.id).sort((a, b)=>a.name.localeCompare(b.name))
+    ],
+    sharedTasks:tasks.filter(task=>!task.isArchived && !groups.some(group=>group.id === task.group))
+});
 
-export const ConnectedDashboard = connect(mapStateToProps)(Dashboard);
+const mapDispatchToProps = (dispatch)=>({
+    addGroup(e){
+        let input = e.target[`groupName`];
+        let name = input.value.trim();
+        e.preventDefault();
+        if (name !== ``) {
+            input.value = ``;
+            dispatch(requestGroupCreation(name));
+        }
+    }
+});
+
+export const ConnectedDashboard = connect(mapStateToProps, mapDispatchToProps)(Dashboard);
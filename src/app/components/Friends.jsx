@@ -0,0 +1,139 @@
+/**
+ * The friends page lists the user's friends and pending friend requests, and finds other users by name
+ * to send requests to. Groups and tasks can only be shared with friends.
+ */
+import { connect } from 'react-redux';
+import React from 'react';
+
+import { ConnectedUsernameDisplay } from './UsernameDisplay'
+import {
+    requestFriends,
+    requestUserSearch,
+    requestFriend,
+    acceptFriendRequest,
+    deleteFriendRequest,
+    removeFriend
+} from '../store/mutations'
+
+export class Friends extends React.Component {
+    componentDidMount(){
+        this.props.loadFriends();
+    }
+
+    // What can be done about a user found by the search, given how they relate to the current user
+    renderSearchResult(user){
+        let {friendIDs, incoming, outgoing, requestFriend, acceptRequest} = this.props;
+        let received = incoming.find(request=>request.from === user.id);
+        if (friendIDs.includes(user.id)) {
+            return <span className="text-muted">Friend</span>;
+        }
+        if (received) {
+            return <button className="btn btn-sm btn-primary" onClick={()=>acceptRequest(received.id)}>Accept</button>;
+        }
+        if (outgoing.some(request=>request.to === user.id)) {
+            return <span className="text-muted">Request sent</span>;
+        }
+        return <button className="btn btn-sm btn-secondary" onClick={()=>requestFriend(user)}>Add friend</button>;
+    }
+
+    render(){
+        let {friendIDs, incoming, outgoing, userSearch, searchUsers, acceptRequest, deleteRequest, removeFriend} = this.props;
+        return (
+            <div className="card p-3 m-2">
+                <h2>Friends</h2>
+                {friendIDs.length ? null : <p className="text-muted">No friends yet. Find people below.</p>}
+                {friendIDs.map(id=>(
+                    <div key={id} className="mb-1">
+                        <ConnectedUsernameDisplay id={id}/>
+                        <button className="btn btn-sm btn-link text-danger" onClick={()=>removeFriend(id)}>Remove</button>
+                    </div>
+                ))}
+
+                {incoming.length ?
+                    <div className="mt-3">
+                        <h5>Friend requests</h5>
+                        {incoming.map(request=>(
+                            <div key={request.id} className="mb-1">
+                                <ConnectedUsernameDisplay id={request.from}/>
+                                <button className="btn btn-sm btn-primary ml-2" onClick={()=>acceptRequest(request.id)}>Accept</button>
+                                <button className="btn btn-sm btn-link" onClick={()=>deleteRequest(request.id)}>Decline</button>
+                            </div>
+                        ))}
+                    </div>
+                    : null
+                }
+
+                {outgoing.length ?
+                    <div className="mt-3">
+                        <h5>Sent requests</h5>
+                        {outgoing.map(request=>(
+                            <div key={request.id} className="mb-1">
+                                <ConnectedUsernameDisplay id={request.to}/>
+                                <button className="btn btn-sm btn-link" onClick={()=>deleteRequest(request.id)}>Cancel</button>
+                            </div>
+                        ))}
+                    </div>
+                    : null
+                }
+
+                <form className="form-inline mt-3" onSubmit={searchUsers}>
+                    <input type="search" name="q" maxLength="64" placeholder="Find people by name" className="form-control mr-2"/>
+                    <button type="submit" className="btn btn-secondary">Find</button>
+                </form>
+                {userSearch.status === `FAILED` ?
+                    <p className="text-danger mt-2">{userSearch.error}</p>
+                    : null
+                }
+                {userSearch.status === `DONE` && !userSearch.users.length ?
+                    <p className="text-muted mt-2">Nobody by that name.</p>
+                    : null
+                }
+                {userSearch.users.map(user=>(
+                    <div key={user.id} className="mt-2">
+                        <span className="mr-2">{user.name}</span>
+                        {this.renderSearchResult(user)}
+                    </div>
+                ))}
+            </div>
+        );
+    }
+}
+
+const mapStateToProps = ({session, users, friendRequests, userSearch})=>{
+    let self = users.find(user=>user.id === session.id);
+    return {
+        friendIDs:(self && self.friends) || [],
+        incoming:friendRequests.filter(request=>request.to === session.id),
+        outgoing:friendRequests.filter(request=>request.from === session.id),
+        userSearch
+    };
+};
+
+const mapDispatchToProps = (dispatch)=>({
+    loadFriends(){
+        dispatch(requestFriends());
+    },
+    searchUsers(e){
+        let q = e.target[`q`].value.trim();
+        e.preventDefault();
+        if (q !== ``) {
+            dispatch(requestUserSearch(q));
+        }
+    },
+    requestFriend(user){
+        dispatch(requestFriend(user));
+    },
+    acceptRequest(requestID){
+        dispatch(acceptFriendRequest(requestID));
+    },
+    deleteRequest(requestID){
+        dispatch(deleteFriendRequest(requestID));
+    },
+    removeFriend(userID){
+        if (window.confirm(`Remove this friend? Anything you already share stays shared.`)) {
+            dispatch(removeFriend(userID));
+        }
+    }
+});
+
+export const ConnectedFriends = connect(mapStateToProps, mapDispatchToProps)(Friends);
@@ -0,0 +1,132 @@
+/**
+ * The title bar of a dashboard column. Owners can rename the column in place, move it left or right,
+ * and delete it, choosing whether its tasks move to another column or are deleted with it.
+ * Editors of a shared column can rename it; anyone it's shared with can see who else it's shared with.
+ */
+import { connect } from 'react-redux';
+import React from 'react';
+
+import { sortByPosition, ownGroups } from '../store/reducer'
+import { canEditGroup, canManageGroup } from '../../shared/permissions'
+import { ConnectedCollaborators } from './Collaborators'
+import {
+    setGroupName,
+    moveGroup,
+    requestGroupDeletion
+} from '../store/mutations'
+
+const DELETE_TASKS = ``;
+
+export class GroupHeader extends React.Component {
+    constructor(props){
+        super(props);
+        this.state = {name:props.name, isDeleting:false, isSharing:false, moveTo:DELETE_TASKS};
+    }
+
+    componentDidUpdate(previousProps){
+        if (previousProps.name !== this.props.name) {
+            this.setState({name:this.props.name});
+        }
+    }
+
+    // The name is saved when the field loses focus, so a column is never left without one
+    saveName(){
+        let name = this.state.name.trim();
+        if (name && name !== this.props.name) {
+            this.props.setGroupName(name);
+        } else {
+            this.setState({name:this.props.name});
+        }
+    }
+
+    render(){
+        let {id, index, count, otherGroups, canEdit, canManage, moveGroup, deleteGroup} = this.props;
+        let {name, isDeleting, isSharing, moveTo} = this.state;
+        return (
+            <div>
+                <div className="form-inline">
+                    {canEdit ?
+                        <input type="text"
+                               value={name}
+                               aria-label="Column name"
+                               onChange={e=>this.setState({name:e.target.value})}
+                               onBlur={()=>this.saveName()}
+                               onKeyDown={e=>e.key === `Enter` && e.target.blur()}
+                               className="form-control form-control-lg font-weight-bold border-0 px-0 mr-auto"/>
+                        :
+                        <h5 className="font-weight-bold mb-0 mr-auto">{name}</h5>
+                    }
+                    <button className="btn btn-link px-1" onClick={()=>this.setState({isSharing:!isSharing})} title="Sharing">
+                        👥
+                    </button>
+                    {canManage ?
+                        <span>
+                            <button className="btn btn-link px-1" disabled={index === 0} onClick={()=>moveGroup(index - 1)} title="Move left">
+                                ←
+                            </button>
+                            <button className="btn btn-link px-1" disabled={index === count - 1} onClick={()=>moveGroup(index + 1)} title="Move right">
+                                →
+                            </button>
+                            <button className="btn btn-link text-danger px-1" onClick={()=>this.setState({isDeleting:true})} title="Delete column">
+                                ✕
+                            </button>
+                        </span>
+                        : null
+                    }
+                </div>
+
+                {isSharing ? <ConnectedCollaborators kind="groups" id={id}/> : null}
+
+                {isDeleting ?
+                    <form className="mt-2" onSubmit={e=>{e.preventDefault(); deleteGroup(moveTo || null);}}>
+                        <label>
+                            What should happen to the tasks in this column?
+                        </label>
+                        <select value={moveTo} onChange={e=>this.setState({moveTo:e.target.value})} className="form-control">
+                            {otherGroups.map(group=>(
+                                <option key={group.id} value={group.id}>
+                                    Move them to {group.name}
+                                </option>
+                            ))}
+                            <option value={DELETE_TASKS}>
+                                Delete them
+                            </option>
+                        </select>
+                        <button type="submit" className="btn btn-danger mt-2">Delete Column</button>
+                        <button type="button" className="btn btn-link mt-2" onClick={()=>this.setState({isDeleting:false})}>Cancel</button>
+                    </form>
+                    : null
+                }
+            </div>
+        );
+    }
+}
+
+const mapStateToProps = (state, {id})=>{
+    let groups = sortByPosition(state.groups);
+    let group = groups.find(group=>group.id === id);
+    // Only the owner moves a column, among their own
+    let columns = ownGroups(state.groups, state.session.id);
+    return {
+        index:columns.indexOf(group),
+        count:columns.length,
+        // Tasks can only be moved to columns the user can add tasks to
+        otherGroups:groups.filter(other=>other !== group && canEditGroup(state.session.id, other)),
+        canEdit:canEditGroup(state.session.id, group),
+        canManage:canManageGroup(state.session.id, group)
+    };
+};
+
+const mapDispatchToProps = (dispatch, {id})=>({
+    setGroupName(name){
+        dispatch(setGroupName(id, name));
+    },
+    moveGroup(position){
+        dispatch(moveGroup(id, position));
+    },
+    deleteGroup(moveTo){
+        dispatch(requestGroupDeletion(id, moveTo));
+    }
+});
+
+export const ConnectedGroupHeader = connect(mapStateToProps, mapDispatchToProps)(GroupHeader);
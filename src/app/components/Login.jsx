@@ -1,13 +1,15 @@
 /**
  * The login route component contains a simple form that checks authentication data via the server.
+ * Users whose session was restored from a previous visit go straight to the dashboard.
  */
 
 import React from 'react';
 import * as mutations from '../store/mutations';
 import { connect } from 'react-redux';
 import { Link } from 'react-router-dom';
+import { Redirect } from 'react-router';
 
-const LoginComponent = ({authenticateUser,authenticated})=>(
+const LoginComponent = ({authenticateUser,authenticated,error})=>authenticated === mutations.AUTHENTICATED ? <Redirect to="/dashboard"/> : (
     <div className="card p-3 col-6">
         <h2>
             Please login
@@ -22,7 +24,7 @@ const LoginComponent = ({authenticateUser,authenticated})=>(
             <input type="password" placeholder="password" name="password" defaultValue="TUPLES" className="form-control mt-2"/>
             {authenticated === mutations.NOT_AUTHENTICATED ?
                 <p>
-                    Login incorrect.
+                    {error || `Login incorrect.`}
                 </p> : null
             }
             <button type="submit" disabled={authenticated === `PROCESSING`} className="form-control mt-2 btn btn-primary">
@@ -33,7 +35,8 @@ const LoginComponent = ({authenticateUser,authenticated})=>(
 );
 
 const mapStateToProps = ({session})=>({
-    authenticated:session.authenticated
+    authenticated:session.authenticated,
+    error:session.error
 });
 
 const mapDispatchToProps = (dispatch)=>({
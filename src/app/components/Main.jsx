@@ -3,17 +3,23 @@ import { Route, Router } from 'react-router-dom';
 import { Provider } from 'react-redux';
 import { ConnectedTaskDetail } from './TaskDetail'
 import { ConnectedDashboard } from './Dashboard'
+import { ConnectedArchivedTasks } from './ArchivedTasks'
+import { ConnectedAssignedTasks } from './AssignedTasks'
+import { ConnectedSearch } from './Search'
+import { ConnectedFriends } from './Friends'
 import { ConnectedNavigation } from './Navigation'
+import { ConnectedToasts } from './Toasts'
+import { ConnectedConflict } from './Conflict'
 import { ConnectedLogin } from './Login'
 import { ConnectedSignup } from './Signup'
 import { store } from '../store';
 import { history } from '../store/history';
 import { Redirect } from 'react-router';
 
-const RouteGuard = Component =>({match})=>
+const RouteGuard = Component =>({match, location})=>
     !store.getState().session.authenticated ?
         <Redirect to="/"/> :
-        <Component match={match}/>;
+        <Component match={match} location={location}/>;
 
 export const Main = ()=>(
     <Router history={history}>
@@ -26,9 +32,28 @@ export const Main = ()=>(
                        path="/dashboard"
                        render={RouteGuard(ConnectedDashboard)}/>
 
+                <Route exact
+                       path="/search"
+                       render={RouteGuard(ConnectedSearch)}/>
+
+                <Route exact
+                       path="/archived"
+                       render={RouteGuard(ConnectedArchivedTasks)}/>
+
+                <Route exact
+                       path="/assigned"
+                       render={RouteGuard(ConnectedAssignedTasks)}/>
+
+                <Route exact
+                       path="/friends"
+                       render={RouteGuard(ConnectedFriends)}/>
+
                 <Route exact
                        path="/task/:id"
                        render={RouteGuard(ConnectedTaskDetail)} />
+
+                <ConnectedConflict/>
+                <ConnectedToasts/>
             </div>
         </Provider>
     </Router>
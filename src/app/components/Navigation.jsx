@@ -1,15 +1,32 @@
 /**
  * The navigation component is present on all non-login pages,
- * and contains a link back to the dashboard, and the user's name.
+ * and contains a link back to the dashboard, the user's name, a search box, and links to the tasks assigned
+ * to them, their archived tasks and their friends, and buttons to undo and redo edits. While changes are waiting for the server, it says so,
+ * and how many there are while the server can't be reached.
  */
 import { connect } from 'react-redux';
 import { Link } from 'react-router-dom';
 import React from 'react';
 
 import { ConnectedUsernameDisplay } from './UsernameDisplay'
+import { ConnectedUndoRedo } from './UndoRedo'
+import { history } from '../store/history'
 import * as mutations from '../store/mutations';
 
-const Navigation = ({id, authenticated})=>(
+const search = e=>{
+    let q = e.target[`q`].value.trim();
+    e.preventDefault();
+    history.push(`/search?q=${encodeURIComponent(q)}`);
+};
+
+const savingStatus = (pendingCount, isOffline)=>{
+    if (isOffline) {
+        return `Offline, ${pendingCount} ${pendingCount === 1 ? `change` : `changes`} will be saved when the server is back`;
+    }
+    return pendingCount ? `Saving…` : null;
+};
+
+const Navigation = ({id, authenticated, pendingCount, isOffline, logout})=>(
     <div className="header">
         <Link to="/dashboard">
             <h1>
@@ -20,16 +37,37 @@ const Navigation = ({id, authenticated})=>(
         { authenticated ?
             <h4>
                 Welcome, <ConnectedUsernameDisplay id={id}/>!
+                <Link to="/assigned" className="btn btn-link">Assigned to me</Link>
+                <Link to="/archived" className="btn btn-link">Archived</Link>
+                <Link to="/friends" className="btn btn-link">Friends</Link>
+                <button className="btn btn-link" onClick={logout}>Log out</button>
+                <ConnectedUndoRedo/>
+                <small className={isOffline ? `text-warning` : `text-muted`}>{savingStatus(pendingCount, isOffline)}</small>
             </h4>
             : null
         }
+        { authenticated ?
+            <form className="form-inline mb-3" onSubmit={search}>
+                <input type="search" name="q" placeholder="Search tasks and comments" className="form-control mr-2"/>
+                <button type="submit" className="btn btn-secondary">Search</button>
+            </form>
+            : null
+        }
     </div>
 );
 
-const mapStateToProps = ({session})=>({
+const mapStateToProps = ({session, pending, network})=>({
     id:session.id,
-    authenticated:session.authenticated == mutations.AUTHENTICATED
+    authenticated:session.authenticated == mutations.AUTHENTICATED,
+    pendingCount:pending.length,
+    isOffline:network.isOffline
+});
+
+const mapDispatchToProps = (dispatch)=>({
+    logout(){
+        dispatch(mutations.requestLogout());
+    }
 });
 
-export const ConnectedNavigation = connect(mapStateToProps)(Navigation);
+export const ConnectedNavigation = connect(mapStateToProps, mapDispatchToProps)(Navigation);
 
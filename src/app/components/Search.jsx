@@ -0,0 +1,120 @@
+/**
+ * The search page lists the user's tasks matching the search text and filters, best matches first.
+ * The filters live in the page's query string, e.g. `/search?q=deploy&isComplete=false`,
+ * so a search can be bookmarked or shared, and the back button steps through earlier searches.
+ */
+import { connect } from 'react-redux';
+import { Link } from 'react-router-dom';
+import React from 'react';
+
+import { TaskBadges } from './TaskBadges'
+import { history } from '../store/history'
+import { requestSearch } from '../store/mutations'
+
+const FILTERS = [`q`, `isComplete`, `group`, `owner`, `label`, `dueAfter`, `dueBefore`];
+
+const parseFilters = search=>{
+    let params = new URLSearchParams(search);
+    let filters = {};
+    for (let key of FILTERS) {
+        filters[key] = params.get(key) || ``;
+    }
+    return filters;
+};
+
+export class Search extends React.Component {
+    componentDidMount(){
+        this.props.search(parseFilters(this.props.location.search));
+    }
+
+    componentDidUpdate(previousProps){
+        if (previousProps.location.search !== this.props.location.search) {
+            this.props.search(parseFilters(this.props.location.search));
+        }
+    }
+
+    setFilter(key, value){
+        let params = new URLSearchParams(this.props.location.search);
+        if (value) {
+            params.set(key, value);
+        } else {
+            params.delete(key);
+        }
+        history.replace(`/search?${params}`);
+    }
+
+    render(){
+        let {results, groups, users} = this.props;
+        let filters = parseFilters(this.props.location.search);
+        let filter = key => ({
+            value:filters[key],
+            onChange:e=>this.setFilter(key, e.target.value)
+        });
+        return (
+            <div className="card p-3 m-2">
+                <h2>Search</h2>
+                <div className="form-inline">
+                    <input type="search" placeholder="Search tasks and comments" {...filter(`q`)} className="form-control mr-2 mb-2"/>
+                    <select {...filter(`isComplete`)} className="form-control mr-2 mb-2">
+                        <option value="">Open or complete</option>
+                        <option value="false">Open</option>
+                        <option value="true">Complete</option>
+                    </select>
+                    <select {...filter(`group`)} className="form-control mr-2 mb-2">
+                        <option value="">Any column</option>
+                        {groups.map(group=>(
+                            <option key={group.id} value={group.id}>{group.name}</option>
+                        ))}
+                    </select>
+                    <select {...filter(`owner`)} className="form-control mr-2 mb-2">
+                        <option value="">Anyone</option>
+                        {users.map(user=>(
+                            <option key={user.id} value={user.id}>{user.name}</option>
+                        ))}
+                    </select>
+                    <input type="text" placeholder="Label" {...filter(`label`)} className="form-control mr-2 mb-2"/>
+                    <label className="mr-2 mb-2">Due from</label>
+                    <input type="date" {...filter(`dueAfter`)} className="form-control mr-2 mb-2"/>
+                    <label className="mr-2 mb-2">to</label>
+                    <input type="date" {...filter(`dueBefore`)} className="form-control mb-2"/>
+                </div>
+
+                {results.status === `FAILED` ?
+                    <p className="text-danger">{results.error}</p>
+                    : null
+                }
+                {results.status === `DONE` && !results.tasks.length ?
+                    <p>No tasks match.</p>
+                    : null
+                }
+                {results.tasks.map(task=>(
+                    <Link to={`/task/${task.id}`} key={task.id}>
+                        <div className="card p-2 mt-2">
+                            <span>
+                                {task.name} {task.isComplete ? `✓` : null}
+                            </span>
+                            <TaskBadges {...task}/>
+                            {results.comments.filter(comment=>comment.task === task.id).map(comment=>(
+                                <small key={comment.id} className="text-muted">“{comment.content}”</small>
+                            ))}
+                        </div>
+                    </Link>
+                ))}
+            </div>
+        );
+    }
+}
+
+const mapStateToProps = ({search, groups, users})=>({
+    results:search,
+    groups,
+    users
+});
+
+const mapDispatchToProps = (dispatch)=>({
+    search(filters){
+        dispatch(requestSearch(filters));
+    }
+});
+
+export const ConnectedSearch = connect(mapStateToProps, mapDispatchToProps)(Search);
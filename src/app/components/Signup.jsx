@@ -2,7 +2,7 @@ import React from 'react';
 import * as mutations from '../store/mutations';
 import { connect } from 'react-redux';
 
-const SignupComponent = ({requestCreateUserAccount,authenticated})=>{
+const SignupComponent = ({requestCreateUserAccount,authenticated,error})=>{
     return <div className="card p-3 col-6">
         <h2>
             Complete the following form to create a new account.
@@ -19,6 +19,7 @@ const SignupComponent = ({requestCreateUserAccount,authenticated})=>{
             </label>
 
             {authenticated == mutations.USERNAME_RESERVED ? <p>A user by that name already exists.</p> : null}
+            {authenticated == mutations.NOT_AUTHENTICATED && error ? <p>{error}</p> : null}
             <button type="submit" className="form-control mt-2 btn btn-primary">Sign Up</button>
         </form>
 
@@ -26,7 +27,8 @@ const SignupComponent = ({requestCreateUserAccount,authenticated})=>{
 };
 
 const mapStateToProps = state=>({
-    authenticated:state.session.authenticated
+    authenticated:state.session.authenticated,
+    error:state.session.error
 });
 
 const mapDispatchToProps = (dispatch)=>({
@@ -0,0 +1,36 @@
+/**
+ * Small badges summarizing a task's priority, due date and labels.
+ * Shown on the dashboard cards and, for tasks the user can't edit, on the detail page.
+ */
+import React from 'react';
+
+const priorityClasses = {
+    low:`badge-info`,
+    medium:`badge-warning`,
+    high:`badge-danger`
+};
+
+// Due dates are calendar days, so they are compared with the user's local date rather than UTC
+const today = ()=>{
+    let now = new Date();
+    let pad = n=>String(n).padStart(2, `0`);
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+export const TaskBadges = ({priority, dueDate, labels = [], isComplete})=>(
+    <span>
+        {priorityClasses[priority] ?
+            <span className={`badge ${priorityClasses[priority]} mr-1`}>{priority}</span>
+            : null
+        }
+        {dueDate ?
+            <span className={`badge ${!isComplete && dueDate < today() ? `badge-danger` : `badge-secondary`} mr-1`}>
+                due {dueDate}
+            </span>
+            : null
+        }
+        {labels.map(label=>(
+            <span key={label} className="badge badge-light border mr-1">{label}</span>
+        ))}
+    </span>
+);
@@ -1,37 +1,65 @@
 /**
  * The task detail component route is a more sophisticated form that has many different fields.
  * The component automatically calls the REST API [via a mutation] to update the server on every change.
+ * Editors of a shared task get the same form as its owner, except that only the owner can delete or share it.
+ * Everyone can delete their own comments.
+ * The description is saved when its field loses focus, and the field starts over whenever the saved description
+ * changes, as on undo or redo.
  */
 import React from 'react';
 import uuid from 'uuid';
 import { connect } from 'react-redux';
-import { Link } from 'react-router-dom';
+import { Link, Redirect } from 'react-router-dom';
+import ReactMarkdown from 'react-markdown';
 
 import { ConnectedUsernameDisplay } from './UsernameDisplay'
+import { TaskBadges } from './TaskBadges'
+import { ConnectedChecklist } from './Checklist'
+import { ConnectedCollaborators } from './Collaborators'
+import { ConnectedAssignees } from './Assignees'
+import { ConnectedActivity } from './Activity'
+import { canEditTask, canEditGroup } from '../../shared/permissions'
 import {
     setTaskCompletion,
     addTaskComment,
+    removeTaskComment,
     setTaskGroup,
-    setTaskName
+    setTaskName,
+    setTaskArchived,
+    deleteTask,
+    updateTask
 } from '../store/mutations'
 
+const PRIORITIES = [`none`, `low`, `medium`, `high`];
+
 const TaskDetail = ({
     id,
     comments,
     task,
     isOwner,
+    canEdit,
     isComplete,
     sessionID,
     groups,
 
     setTaskCompletion,
     addTaskComment,
+    removeTaskComment,
     setTaskGroup,
-    setTaskName
+    setTaskName,
+    setTaskArchived,
+    deleteTask,
+    updateTask,
+    addLabel,
+    removeLabel
 })=>{
+    if (!task) {
+        // The task was deleted, or never existed
+        return <Redirect to="/dashboard"/>;
+    }
     return (
         <div className="card p-3 col-6">
-            {isOwner ?
+            {canEdit ?
                 <div>
                     <input type="text" value={task.name} onChange={setTaskName} className="form-control form-control-lg"/>
                 </div>
@@ -42,13 +70,25 @@ const TaskDetail = ({
             }
 
             <div className="mt-3">
-                {isOwner ?
+                {canEdit ?
                     <div>
                         <div>
-                            You are the owner of this task.
+                            {isOwner ?
+                                `You are the owner of this task.` :
+                                <span><ConnectedUsernameDisplay id={task.owner}/> is the owner of this task.</span>
+                            }
                             <button  className="btn btn-primary ml-2" onClick={() => setTaskCompletion(id,!isComplete)}>
                                 {isComplete ? `Reopen` : `Complete`} This Task
                             </button>
+                            <button className="btn btn-secondary ml-2" onClick={() => setTaskArchived(id,!task.isArchived)}>
+                                {task.isArchived ? `Restore` : `Archive`}
+                            </button>
+                            {isOwner ?
+                                <button className="btn btn-danger ml-2" onClick={() => deleteTask(id)}>
+                                    Delete
+                                </button>
+                                : null
+                            }
                         </div>
                     </div>
                     :
@@ -56,32 +96,92 @@ const TaskDetail = ({
                         <ConnectedUsernameDisplay id={task.owner}/> is the owner of this task.
                     </div>}
             </div>
+
+            {canEdit ?
+                <div className="mt-3">
+                    <textarea key={task.description || ``}
+                              defaultValue={task.description || ``}
+                              onBlur={e=>e.target.value !== (task.description || ``) && updateTask({description:e.target.value || null})}
+                              placeholder="Description (Markdown)"
+                              rows="4"
+                              className="form-control"/>
+                    <div className="form-inline mt-2">
+                        <label className="mr-2">Due</label>
+                        <input type="date"
+                               value={task.dueDate || ``}
+                               onChange={e=>updateTask({dueDate:e.target.value || null})}
+                               className="form-control mr-4"/>
+                        <label className="mr-2">Priority</label>
+                        <select value={task.priority || `none`} onChange={e=>updateTask({priority:e.target.value})} className="form-control">
+                            {PRIORITIES.map(priority=>(
+                                <option key={priority} value={priority}>{priority}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <form className="form-inline mt-2" onSubmit={e=>addLabel(task.labels,e)}>
+                        {(task.labels || []).map(label=>(
+                            <span key={label} className="badge badge-light border mr-1">
+                                {label}
+                                <button type="button" className="btn btn-sm btn-link p-0 ml-1" onClick={()=>removeLabel(task.labels,label)}>
+                                    ✕
+                                </button>
+                            </span>
+                        ))}
+                        <input type="text" name="label" maxLength="30" autoComplete="off" placeholder="Add a label" className="form-control form-control-sm"/>
+                    </form>
+                </div>
+                :
+                <div className="mt-3">
+                    <TaskBadges {...task}/>
+                </div>
+            }
+            {task.description ?
+                <div className="mt-3">
+                    <ReactMarkdown source={task.description}/>
+                </div>
+                : null
+            }
+
+            <ConnectedAssignees taskID={id} canEdit={canEdit}/>
+            <ConnectedChecklist taskID={id} canEdit={canEdit}/>
             <div className="mt-2">
                 {comments.map(comment=>(
                     <div key={comment.id}>
                         <ConnectedUsernameDisplay id={comment.owner}/> : {comment.content}
+                        {comment.owner === sessionID ?
+                            <button type="button" className="btn btn-sm btn-link p-0 ml-1" title="Delete comment" onClick={()=>removeTaskComment(comment)}>
+                                ✕
+                            </button> :
+                            null
+                        }
                     </div>
                 ))}
             </div>
 
-            <form className="form-inline">
-                <span className="mr-4">
-                    Change Group
-                </span>
-                <select onChange={setTaskGroup} className="form-control">
-                    {groups.map(group=>(
-                        <option key={group.id} value={group.id}>
-                            {group.name}
-                        </option>
-                    ))}
-                </select>
-            </form>
+            {canEdit && groups.length ?
+                <form className="form-inline">
+                    <span className="mr-4">
+                        Change Group
+                    </span>
+                    <select onChange={setTaskGroup} value={task.group} className="form-control">
+                        {groups.map(group=>(
+                            <option key={group.id} value={group.id}>
+                                {group.name}
+                            </option>
+                        ))}
+                    </select>
+                </form>
+                : null
+            }
 
             <form className="form-inline" onSubmit={(e)=>addTaskComment(id,sessionID,e)}>
                 <input type="text" name="commentContents" autoComplete="off" placeholder="Add a comment" className="form-control"/>
                 <button type="submit" className="btn">Submit</button>
             </form>
 
+            <ConnectedCollaborators kind="tasks" id={id}/>
+            <ConnectedActivity taskID={id}/>
+
             <div>
             <Link to="/dashboard">
                 <button className="btn btn-primary mt-2">
@@ -96,15 +196,22 @@ const TaskDetail = ({
 function mapStateToProps(state,ownProps){
     let id = ownProps.match.params.id;
     let task = state.tasks.find(task=>task.id === id);
+    if (!task) {
+        return {id, task:null};
+    }
     let comments = state.comments.filter(comment=>comment.task === id);
     let isOwner = state.session.id === task.owner;
-    let groups = state.groups;
+    let group = state.groups.find(group=>group.id === task.group);
+    let canEdit = canEditTask(state.session.id, task, group);
+    // A task can only be moved to groups the user can add tasks to, and not at all from a group they can't see
+    let groups = group ? state.groups.filter(other=>other === group || canEditGroup(state.session.id, other)) : [];
 
     return {
         id,
         task,
         comments,
         isOwner,
+        canEdit,
         sessionID: state.session.id,
         isComplete: task.isComplete,
         groups
@@ -123,6 +230,29 @@ function mapDispatchToProps(dispatch, ownProps){
         setTaskName(e){
             dispatch(setTaskName(id,e.target.value));
         },
+        setTaskArchived(id,isArchived){
+            dispatch(setTaskArchived(id,isArchived));
+        },
+        updateTask(changes){
+            dispatch(updateTask(id,changes));
+        },
+        addLabel(labels = [], e){
+            let input = e.target[`label`];
+            let label = input.value.trim();
+            e.preventDefault();
+            if (label !== `` && !labels.includes(label)) {
+                input.value = ``;
+                dispatch(updateTask(id,{labels:[...labels, label]}));
+            }
+        },
+        removeLabel(labels, label){
+            dispatch(updateTask(id,{labels:labels.filter(other=>other !== label)}));
+        },
+        deleteTask(id){
+            if (window.confirm(`Delete this task and its comments permanently?`)) {
+                dispatch(deleteTask(id));
+            }
+        },
         addTaskComment(taskID, ownerID, e) {
             let input = e.target[`commentContents`];
             let commentID = uuid();
@@ -132,6 +262,10 @@ function mapDispatchToProps(dispatch, ownProps){
                 input.value = ``;
                 dispatch(addTaskComment(commentID, taskID, ownerID, content));
             }
+        },
+        // Deleting a comment can be undone, so it isn't confirmed
+        removeTaskComment(comment){
+            dispatch(removeTaskComment(comment.id, comment.task));
         }
     }
 }
@@ -1,28 +1,52 @@
 import { connect } from 'react-redux';
 import React from 'react';
-import { requestTaskCreation } from '../store/mutations'
-import { ConnectedTaskListItem } from './TaskListItem'
+import { requestTaskCreation, requestTaskMove } from '../store/mutations'
+import { sortByPosition } from '../store/reducer'
+import { ConnectedTaskListItem, TASK_DRAG_TYPE, isTaskDrag } from './TaskListItem'
+import { ConnectedGroupHeader } from './GroupHeader'
+import { canEditGroup } from '../../shared/permissions'
 
-export const TaskList = ({tasks,name,createNewTask,id})=>(
-    <div className="card p-2 m-2">
-        <h2>
-            {name}
-        </h2>
+const allowTaskDrop = e=>{
+    if (isTaskDrag(e)) {
+        e.preventDefault();
+    }
+};
+
+// Dropping on a card puts the dragged task before it; dropping anywhere else in the column puts it last
+const dropTask = (moveTask, beforeID) => e=>{
+    if (isTaskDrag(e)) {
+        e.preventDefault();
+        e.stopPropagation();
+        moveTask(e.dataTransfer.getData(TASK_DRAG_TYPE), beforeID);
+    }
+};
+
+// Columns shared with the user as a viewer accept neither new tasks nor dropped ones
+export const TaskList = ({tasks,name,canEdit,createNewTask,moveTask,id})=>(
+    <div className="card p-2 m-2" onDragOver={canEdit ? allowTaskDrop : null} onDrop={canEdit ? dropTask(moveTask, null) : null}>
+        <ConnectedGroupHeader id={id} name={name}/>
         <div>
             {tasks.map(task=>(
-                <ConnectedTaskListItem {...task} key={task.id}/>
+                <ConnectedTaskListItem {...task}
+                                       key={task.id}
+                                       onDragOver={canEdit ? allowTaskDrop : null}
+                                       onDrop={canEdit ? dropTask(moveTask, task.id) : null}/>
             ))}
         </div>
-        <div>
-            <button className="btn btn-primary btn-block mt-2" onClick={()=>createNewTask(id)}>Add New</button>
-        </div>
+        {canEdit ?
+            <div>
+                <button className="btn btn-primary btn-block mt-2" onClick={()=>createNewTask(id)}>Add New</button>
+            </div>
+            : null
+        }
     </div>
 );
 
 const mapStateToProps = (state, {name, id})=>{
     return {
         name:name,
-        tasks: state.tasks.filter(task=>task.group === id),
+        tasks: sortByPosition(state.tasks.filter(task=>task.group === id && !task.isArchived)),
+        canEdit: canEditGroup(state.session.id, state.groups.find(group=>group.id === id)),
         id
     };
 };
@@ -30,6 +54,9 @@ const mapStateToProps = (state, {name, id})=>{
 const mapDispatchToProps = (dispatch, {id})=>({
     createNewTask(){
         dispatch(requestTaskCreation(id));
+    },
+    moveTask(taskID, beforeID){
+        dispatch(requestTaskMove(taskID, id, beforeID));
     }
 });
 
@@ -1,13 +1,36 @@
 import { connect } from 'react-redux';
 import { Link } from 'react-router-dom';
 import React from 'react';
+import { TaskBadges } from './TaskBadges'
+import { ConnectedUserInitials } from './UsernameDisplay'
 
-export const TaskListItem = ({id,name,commentCount,isComplete})=>(
-    <Link to={`/task/${id}`}>
-        <div className="card p-2 mt-2">
+// Drags carry the task ID under this type, so drops of anything else (links, text, files) are ignored
+export const TASK_DRAG_TYPE = `text/x-task-id`;
+
+export const isTaskDrag = e => Array.from(e.dataTransfer.types).includes(TASK_DRAG_TYPE);
+
+const checklistProgress = (checklist = [])=>
+    checklist.length ? `☑ ${checklist.filter(item=>item.isComplete).length}/${checklist.length}` : null;
+
+export const TaskListItem = ({id,name,commentCount,checklist,isComplete,priority,dueDate,labels,assignees = [],isPending,onDragOver,onDrop})=>(
+    <Link to={`/task/${id}`}
+          draggable
+          onDragStart={e=>e.dataTransfer.setData(TASK_DRAG_TYPE, id)}
+          onDragOver={onDragOver}
+          onDrop={onDrop}>
+        <div className={`card p-2 mt-2 ${isPending ? `text-muted` : ``}`} title={isPending ? `Saving…` : null}>
             <span>
-                {name} ({commentCount}) {isComplete ? `✓` : null}
+                {name} ({commentCount}) {checklistProgress(checklist)} {isComplete ? `✓` : null}
             </span>
+            <TaskBadges priority={priority} dueDate={dueDate} labels={labels} isComplete={isComplete}/>
+            {assignees.length ?
+                <span>
+                    {assignees.map(assignee=>(
+                        <ConnectedUserInitials key={assignee} id={assignee}/>
+                    ))}
+                </span>
+                : null
+            }
         </div>
     </Link>
 );
@@ -15,6 +38,7 @@ export const TaskListItem = ({id,name,commentCount,isComplete})=>(
 export const ConnectedTaskListItem = connect((state, ownProps)=>{
     return {
         ...state.tasks.find(task=>task.id === ownProps.id),
-        commentCount:state.comments.filter(comment=>comment.task === ownProps.id).length
+        commentCount:state.comments.filter(comment=>comment.task === ownProps.id).length,
+        isPending:state.pending.some(mutation=>mutation.itemID === ownProps.id)
     };
 })(TaskListItem);
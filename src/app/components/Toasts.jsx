@@ -0,0 +1,31 @@
+/**
+ * Toasts report what went wrong in the background, mostly changes the server rejected. Those have already
+ * been undone on the board by then, so toasts only say what failed; they go away on their own or when dismissed.
+ */
+import { connect } from 'react-redux';
+import React from 'react';
+
+import { dismissToast } from '../store/mutations'
+
+export const Toasts = ({toasts, dismiss})=>(
+    <div className="fixed-bottom p-3">
+        {toasts.map(toast=>(
+            <div key={toast.id} className="alert alert-danger mb-2" role="alert">
+                {toast.message}
+                <button type="button" className="close" aria-label="Dismiss" onClick={()=>dismiss(toast.id)}>
+                    <span aria-hidden="true">&times;</span>
+                </button>
+            </div>
+        ))}
+    </div>
+);
+
+const mapStateToProps = ({toasts})=>({toasts});
+
+const mapDispatchToProps = (dispatch)=>({
+    dismiss(toastID){
+        dispatch(dismissToast(toastID));
+    }
+});
+
+export const ConnectedToasts = connect(mapStateToProps, mapDispatchToProps)(Toasts);
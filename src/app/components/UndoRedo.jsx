@@ -0,0 +1,69 @@
+/**
+ * Undo and redo buttons for the user's edits, also bound to Ctrl+Z, and Ctrl+Shift+Z or Ctrl+Y (⌘ on a Mac).
+ * The shortcuts are left to the browser while typing in a text field, where they undo the typing instead.
+ */
+import { connect } from 'react-redux';
+import React from 'react';
+
+import { requestUndo, requestRedo } from '../store/mutations'
+
+const NON_TEXT_INPUTS = [`checkbox`, `radio`, `button`, `submit`, `reset`];
+
+const isTextField = element=>element.isContentEditable ||
+    element.tagName === `TEXTAREA` ||
+    (element.tagName === `INPUT` && !NON_TEXT_INPUTS.includes(element.type));
+
+export class UndoRedo extends React.Component {
+    constructor(props){
+        super(props);
+        this.onKeyDown = this.onKeyDown.bind(this);
+    }
+
+    componentDidMount(){
+        document.addEventListener(`keydown`, this.onKeyDown);
+    }
+
+    componentWillUnmount(){
+        document.removeEventListener(`keydown`, this.onKeyDown);
+    }
+
+    onKeyDown(e){
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextField(e.target)) {
+            return;
+        }
+        let key = e.key.toLowerCase();
+        if (key === `z` && !e.shiftKey) {
+            e.preventDefault();
+            this.props.undo();
+        } else if ((key === `z` && e.shiftKey) || key === `y`) {
+            e.preventDefault();
+            this.props.redo();
+        }
+    }
+
+    render(){
+        let {canUndo, canRedo, undo, redo} = this.props;
+        return (
+            <span>
+                <button className="btn btn-link" disabled={!canUndo} onClick={undo} title="Undo (Ctrl+Z)">Undo</button>
+                <button className="btn btn-link" disabled={!canRedo} onClick={redo} title="Redo (Ctrl+Shift+Z)">Redo</button>
+            </span>
+        );
+    }
+}
+
+const mapStateToProps = ({edits})=>({
+    canUndo:edits.past.length > 0,
+    canRedo:edits.future.length > 0
+});
+
+const mapDispatchToProps = (dispatch)=>({
+    undo(){
+        dispatch(requestUndo());
+    },
+    redo(){
+        dispatch(requestRedo());
+    }
+});
+
+export const ConnectedUndoRedo = connect(mapStateToProps, mapDispatchToProps)(UndoRedo);
@@ -5,7 +5,17 @@ export const UsernameDisplay = ({name})=>(
     <span>{name}</span>
 );
 
+// The first letters of up to two words of the name, e.g. `CE` for "C. Eeyo"
+const initialsOf = (name = ``)=>name.split(/\s+/).filter(Boolean).slice(0, 2).map(word=>word[0].toUpperCase()).join(``);
+
+export const UserInitials = ({name})=>(
+    <span className="badge badge-pill badge-dark mr-1" title={name}>{initialsOf(name) || `?`}</span>
+);
+
+// Users that aren't loaded, such as former collaborators, have no name to show
 const mapStateToProps = (state,ownProps)=>{
-    return state.users.find(user=>user.id===ownProps.id)
+    return state.users.find(user=>user.id===ownProps.id) || {}
 };
-export const ConnectedUsernameDisplay = connect(mapStateToProps)(UsernameDisplay);
\ No newline at end of file
+export const ConnectedUsernameDisplay = connect(mapStateToProps)(UsernameDisplay);
+
+export const ConnectedUserInitials = connect(mapStateToProps)(UserInitials);
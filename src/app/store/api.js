@@ -0,0 +1,192 @@
+/**
+ * Helpers shared by the sagas for talking to the REST API.
+ * Requests that need a logged in user go through `authorizedRequest`, which attaches the access token
+ * and transparently refreshes it once it expires. Changes the board already shows are queued with `optimisticRequest`.
+ */
+import { select, call, put, take, spawn } from 'redux-saga/effects';
+import { delay } from 'redux-saga';
+import axios from 'axios';
+import uuid from 'uuid';
+
+import { history } from './history'
+import * as mutations from './mutations';
+
+export const url = process.env.NODE_ENV === 'production' ? `` : `http://localhost:7777`;
+
+// Prefix of the versioned resource routes, e.g. `${api}/tasks`. Keep in step with the server's API_VERSION.
+export const api = `/api/v1`;
+
+// The real-time channel, served by the same host as the API
+export const eventsURL = (url || window.location.origin).replace(/^http/, `ws`) + `${api}/events`;
+
+/**
+ * Extracts a readable message from a failed request. The server reports errors as `{error:{status, code, message}}`.
+ */
+export const errorMessage = e => {
+    const error = e.response && e.response.data && e.response.data.error;
+    return error ? error.message : e.message;
+};
+
+export const errorStatus = e => e.response ? e.response.status : null;
+
+// Refresh tokens can only be used once, so requests that fail at the same time share a single refresh.
+let pendingRefresh = null;
+
+function* refreshAccessToken(){
+    if (!pendingRefresh) {
+        const refreshToken = yield select(state=>state.session.refreshToken);
+        const clear = ()=>{ pendingRefresh = null; };
+        pendingRefresh = axios.post(url + `/token/refresh`,{refreshToken});
+        pendingRefresh.then(clear, clear);
+    }
+    const { data } = yield pendingRefresh;
+    yield put(mutations.processAuthenticateUser(mutations.AUTHENTICATED, {
+        token:data.token,
+        refreshToken:data.refreshToken
+    }));
+}
+
+function* send(method, path, data){
+    const {token, connectionID} = yield select(state=>state.session);
+    // Naming the real-time connection keeps the server from sending this client's own changes back to it
+    const headers = connectionID ? {Authorization:`Bearer ${token}`, [`X-Connection-ID`]:connectionID} : {Authorization:`Bearer ${token}`};
+    return yield call(axios.request, {
+        method,
+        url:url + path,
+        data,
+        headers
+    });
+}
+
+export function* authorizedRequest(method, path, data){
+    try {
+        return yield call(send, method, path, data);
+    } catch (e) {
+        if (errorStatus(e) !== 401) {
+            throw e;
+        }
+    }
+
+    try {
+        yield call(refreshAccessToken);
+    } catch (e) {
+        /* the session can't be renewed, so the user has to log in again */
+        yield put(mutations.processAuthenticateUser(mutations.NOT_AUTHENTICATED));
+        history.push(`/`);
+        throw e;
+    }
+
+    return yield call(send, method, path, data);
+}
+
+const MAX_RETRIES = 3;
+
+// Requests the server failed to handle may well succeed when tried again. Those that never reached it stay queued.
+const isTransient = e => errorStatus(e) >= 500;
+
+function* requestWithRetries(method, path, data){
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return yield call(authorizedRequest, method, path, data);
+        } catch (e) {
+            if (!isTransient(e) || attempt === MAX_RETRIES) {
+                throw e;
+            }
+            yield call(delay, 1000 * 2 ** attempt);
+        }
+    }
+}
+
+/**
+ * Reloads everything the user can see. Changes still waiting for the server are sent first, so none are lost.
+ */
+export function* resync(){
+    while ((yield select(state=>state.pending.length)) > 0) {
+        yield take([mutations.MUTATION_SETTLED, mutations.MUTATION_FAILED, mutations.MUTATIONS_DROPPED, mutations.LOGOUT]);
+    }
+    const { data } = yield call(authorizedRequest, `get`, `/state`);
+    yield put(mutations.setState(data.state));
+}
+
+// How to undo the changes queued since the page loaded. Those queued before it are undone by reloading the state.
+const rollbacks = new Map();
+
+/**
+ * Queues a change that the store already shows, to be sent once the changes before it have been.
+ * The queue survives reloads and going offline. If the server rejects the change, the `rollback` saga undoes it
+ * and a toast tells the user.
+ */
+export function* optimisticRequest({itemID, rollback, isVersioned = false}, method, path, data){
+    const mutationID = uuid();
+    rollbacks.set(mutationID, rollback);
+    yield put(mutations.mutationPending(mutationID, itemID, {method, path, data, isVersioned}));
+}
+
+const findTask = taskID=>state=>state.tasks.find(({id})=>id === taskID);
+
+// The server counts every change to a task, including this client's own, which it doesn't echo back.
+// Changes answer with the `task` they made, and any other `tasks` they touched, such as those renumbered by a move.
+function* updateVersions({task, tasks = []}){
+    for (const changed of [task, ...tasks]) {
+        const existing = changed && (yield select(findTask(changed.id)));
+        if (existing && !(existing.version >= changed.version)) {
+            yield put(mutations.fromServer(mutations.updateTask(changed.id, {version:changed.version})));
+        }
+    }
+}
+
+// The task the server sent back when it refused a change made to an older version of it
+const conflictingTask = e=>{
+    const error = errorStatus(e) === 409 && e.response.data && e.response.data.error;
+    return error && error.details ? error.details.task : null;
+};
+
+/**
+ * Sends a queued change, retrying a few times after server errors. Returns false if the server couldn't be
+ * reached, in which case the change stays queued.
+ *
+ * Versioned changes are only applied to the version of the task the board shows when they are sent. If someone
+ * else changed it first, `resolveConflict` is called with the queued change and the task the server has, and
+ * returns whether to send the change again. Otherwise it is dropped, along with the versioned changes queued
+ * after it for the same task, which were made on top of it.
+ */
+export function* sendMutation({id, itemID, request}, resolveConflict){
+    try {
+        let data = request.data;
+        if (request.isVersioned) {
+            const task = yield select(findTask(itemID));
+            data = task && task.version !== undefined ? {...data, version:task.version} : data;
+        }
+        const response = yield call(requestWithRetries, request.method, request.path, data);
+        yield call(updateVersions, response.data || {});
+        yield put(mutations.mutationSettled(id, itemID));
+    } catch (e) {
+        if (!e.response) {
+            return false;
+        }
+        if ((yield select(state=>state.session.authenticated)) !== mutations.AUTHENTICATED) {
+            /* the session ran out and couldn't be renewed, so the change waits at the front of the queue for a login */
+            return true;
+        }
+        const current = request.isVersioned && conflictingTask(e);
+        if (!current) {
+            yield put(mutations.mutationFailed(id, errorMessage(e)));
+            yield spawn(function* (){
+                try {
+                    yield call(rollbacks.get(id) || resync);
+                } catch (rollbackError) {
+                    console.error("Error",rollbackError);
+                }
+            });
+        } else if (yield call(resolveConflict, {id, itemID, request}, current)) {
+            /* stays at the front of the queue, to be sent with the version it was merged into */
+            return true;
+        } else {
+            const dropped = yield select(state=>state.pending.filter(mutation=>mutation.itemID === itemID && mutation.request.isVersioned));
+            dropped.forEach(mutation=>rollbacks.delete(mutation.id));
+            yield put(mutations.mutationsDropped(itemID));
+        }
+    }
+    rollbacks.delete(id);
+    return true;
+}
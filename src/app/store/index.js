@@ -3,15 +3,20 @@ import createSagaMiddleware from 'redux-saga'
 import {createLogger} from 'redux-logger'
 
 import { reducer } from './reducer'
+import { undoable } from './undo'
+import { loadState, persistStore } from './persistence'
 import * as sagas from './sagas'
 
 const sagaMiddleware = createSagaMiddleware();
 
 export const store = createStore(
-    reducer,
+    undoable(reducer),
+    loadState(),
     applyMiddleware(createLogger(), sagaMiddleware)
 );
 
+persistStore(store);
+
 for (let saga in sagas) {
     sagaMiddleware.run(sagas[saga]);
-}
\ No newline at end of file
+}
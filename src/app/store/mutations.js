@@ -1,24 +1,86 @@
-export const SET_TASK_COMPLETE = `SET_TASK_COMPLETE`;
-export const SET_TASK_GROUP = `SET_TASK_GROUP`;
-export const SET_TASK_NAME = `SET_TASK_NAME`;
+export const UPDATE_TASK = `UPDATE_TASK`;
+export const REQUEST_TASK_MOVE = `REQUEST_TASK_MOVE`;
+export const MOVE_TASK = `MOVE_TASK`;
+export const DELETE_TASK = `DELETE_TASK`;
+export const ADD_CHECKLIST_ITEM = `ADD_CHECKLIST_ITEM`;
+export const UPDATE_CHECKLIST_ITEM = `UPDATE_CHECKLIST_ITEM`;
+export const MOVE_CHECKLIST_ITEM = `MOVE_CHECKLIST_ITEM`;
+export const DELETE_CHECKLIST_ITEM = `DELETE_CHECKLIST_ITEM`;
 export const ADD_TASK_COMMENT = `ADD_TASK_COMMENT`;
+export const REMOVE_TASK_COMMENT = `REMOVE_TASK_COMMENT`;
 export const REQUEST_TASK_CREATION = `REQUEST_TASK_CREATION`;
 export const CREATE_TASK = `CREATE_TASK`;
+export const REQUEST_SEARCH = `REQUEST_SEARCH`;
+export const SET_SEARCH_RESULTS = `SET_SEARCH_RESULTS`;
+export const SEARCH_FAILED = `SEARCH_FAILED`;
+export const REQUEST_TASK_ACTIVITY = `REQUEST_TASK_ACTIVITY`;
+export const SET_TASK_ACTIVITY = `SET_TASK_ACTIVITY`;
+export const TASK_ACTIVITY_FAILED = `TASK_ACTIVITY_FAILED`;
+export const CLOSE_TASK_ACTIVITY = `CLOSE_TASK_ACTIVITY`;
+export const REQUEST_GROUP_CREATION = `REQUEST_GROUP_CREATION`;
+export const CREATE_GROUP = `CREATE_GROUP`;
+export const SET_GROUP_NAME = `SET_GROUP_NAME`;
+export const UPDATE_GROUP = `UPDATE_GROUP`;
+export const MOVE_GROUP = `MOVE_GROUP`;
+export const REQUEST_GROUP_DELETION = `REQUEST_GROUP_DELETION`;
+export const DELETE_GROUP = `DELETE_GROUP`;
+export const SET_COLLABORATOR = `SET_COLLABORATOR`;
+export const REMOVE_COLLABORATOR = `REMOVE_COLLABORATOR`;
+export const REQUEST_FRIENDS = `REQUEST_FRIENDS`;
+export const SET_FRIENDS = `SET_FRIENDS`;
+export const REQUEST_USER_SEARCH = `REQUEST_USER_SEARCH`;
+export const SET_USER_SEARCH_RESULTS = `SET_USER_SEARCH_RESULTS`;
+export const USER_SEARCH_FAILED = `USER_SEARCH_FAILED`;
+export const REQUEST_FRIEND = `REQUEST_FRIEND`;
+export const ADD_FRIEND_REQUEST = `ADD_FRIEND_REQUEST`;
+export const ACCEPT_FRIEND_REQUEST = `ACCEPT_FRIEND_REQUEST`;
+export const FRIEND_REQUEST_ACCEPTED = `FRIEND_REQUEST_ACCEPTED`;
+export const DELETE_FRIEND_REQUEST = `DELETE_FRIEND_REQUEST`;
+export const REMOVE_FRIEND = `REMOVE_FRIEND`;
 export const REQUEST_AUTHENTICATE_USER = `REQUEST_AUTHENTICATE_USER`;
 export const PROCESSING_AUTHENTICATE_USER = `PROCESSING_AUTHENTICATE_USER`;
 export const AUTHENTICATING = `AUTHENTICATING`;
 export const AUTHENTICATED = `AUTHENTICATED`;
 export const NOT_AUTHENTICATED = `NOT_AUTHENTICATED`;
 export const SET_STATE = `SET_STATE`;
+export const SET_CONNECTION = `SET_CONNECTION`;
+export const MUTATION_PENDING = `MUTATION_PENDING`;
+export const MUTATION_SETTLED = `MUTATION_SETTLED`;
+export const MUTATION_FAILED = `MUTATION_FAILED`;
+export const MUTATIONS_DROPPED = `MUTATIONS_DROPPED`;
+export const CONFLICT_FOUND = `CONFLICT_FOUND`;
+export const RESOLVE_CONFLICT = `RESOLVE_CONFLICT`;
+export const SHOW_TOAST = `SHOW_TOAST`;
+export const DISMISS_TOAST = `DISMISS_TOAST`;
+export const SET_OFFLINE = `SET_OFFLINE`;
 export const USERNAME_RESERVED = `USERNAME_RESERVED`;
 export const REQUEST_USER_ACCOUNT_CREATION = `REQUEST_USER_ACCOUNT_CREATION`;
+export const REQUEST_LOGOUT = `REQUEST_LOGOUT`;
+export const REQUEST_UNDO = `REQUEST_UNDO`;
+export const REQUEST_REDO = `REQUEST_REDO`;
+export const UNDO = `UNDO`;
+export const REDO = `REDO`;
+export const LOGOUT = `LOGOUT`;
 
-export const setTaskCompletion = (id, isComplete = true)=>({
-    type:SET_TASK_COMPLETE,
-    taskID:id,
-    isComplete
+// Marks an action as a change the server has already made, e.g. one received over the real-time channel or
+// one undoing a change the server rejected, so the sagas don't send it back
+export const fromServer = (action)=>({...action, fromServer:true});
+
+// Marks an action as replaying an edit being undone or redone, so it isn't recorded as an edit of its own
+export const fromHistory = (action)=>({...action, fromHistory:true});
+
+/**
+ * Changes any of a task's fields, e.g. `updateTask(id, {priority:'high', labels:['work']})`.
+ * The helpers below cover the common cases.
+ */
+export const updateTask = (taskID, changes)=>({
+    type:UPDATE_TASK,
+    taskID,
+    changes
 });
 
+export const setTaskCompletion = (id, isComplete = true)=>updateTask(id, {isComplete});
+
 export const addTaskComment = (commentID, taskID, ownerID, content)=>({
     type:ADD_TASK_COMMENT,
     id:commentID,
@@ -27,6 +89,12 @@ export const addTaskComment = (commentID, taskID, ownerID, content)=>({
     content
 });
 
+export const removeTaskComment = (commentID, taskID)=>({
+    type:REMOVE_TASK_COMMENT,
+    commentID,
+    taskID
+});
+
 export const requestTaskCreation = (groupID)=>({
     type:REQUEST_TASK_CREATION,
     groupID
@@ -39,18 +107,242 @@ export const createTask = (taskID, groupID, ownerID)=>({
     ownerID
 });
 
-export const setTaskGroup = (taskID, groupID)=>({
-    type:SET_TASK_GROUP,
+export const setTaskGroup = (taskID, groupID)=>updateTask(taskID, {group:groupID});
+
+export const setTaskName = (taskID, name)=>updateTask(taskID, {name});
+
+export const setTaskArchived = (taskID, isArchived = true)=>updateTask(taskID, {isArchived});
+
+/**
+ * Asks to move a task into a group, just before the task `beforeID`, or to the end of the group when it is null.
+ */
+export const requestTaskMove = (taskID, groupID, beforeID = null)=>({
+    type:REQUEST_TASK_MOVE,
+    taskID,
+    groupID,
+    beforeID
+});
+
+// `position` is the task's index among the other tasks of the group
+export const moveTask = (taskID, groupID, position)=>({
+    type:MOVE_TASK,
     taskID,
-    groupID
+    groupID,
+    position
+});
+
+export const deleteTask = (taskID)=>({
+    type:DELETE_TASK,
+    taskID
+});
+
+export const addChecklistItem = (taskID, itemID, text)=>({
+    type:ADD_CHECKLIST_ITEM,
+    taskID,
+    itemID,
+    text
+});
+
+// `changes` may hold a new `text` and/or `isComplete`
+export const updateChecklistItem = (taskID, itemID, changes)=>({
+    type:UPDATE_CHECKLIST_ITEM,
+    taskID,
+    itemID,
+    changes
+});
+
+export const moveChecklistItem = (taskID, itemID, position)=>({
+    type:MOVE_CHECKLIST_ITEM,
+    taskID,
+    itemID,
+    position
+});
+
+export const deleteChecklistItem = (taskID, itemID)=>({
+    type:DELETE_CHECKLIST_ITEM,
+    taskID,
+    itemID
+});
+
+/**
+ * Searches the user's tasks. `filters` holds the search text `q` and any of the filters the server accepts,
+ * e.g. `{q:'deploy', isComplete:false, label:'work'}`.
+ */
+export const requestSearch = (filters)=>({
+    type:REQUEST_SEARCH,
+    filters
 });
 
-export const setTaskName = (taskID, name)=>({
-    type:SET_TASK_NAME,
+export const setSearchResults = (tasks, comments)=>({
+    type:SET_SEARCH_RESULTS,
+    tasks,
+    comments
+});
+
+export const searchFailed = (error)=>({
+    type:SEARCH_FAILED,
+    error
+});
+
+/**
+ * Loads the history of the task `taskID`, which is kept up to date as the task changes until it is closed.
+ */
+export const requestTaskActivity = (taskID)=>({
+    type:REQUEST_TASK_ACTIVITY,
+    taskID
+});
+
+export const setTaskActivity = (taskID, activity)=>({
+    type:SET_TASK_ACTIVITY,
+    taskID,
+    activity
+});
+
+export const taskActivityFailed = (taskID, error)=>({
+    type:TASK_ACTIVITY_FAILED,
     taskID,
+    error
+});
+
+export const closeTaskActivity = ()=>({
+    type:CLOSE_TASK_ACTIVITY
+});
+
+export const requestGroupCreation = (name)=>({
+    type:REQUEST_GROUP_CREATION,
     name
 });
 
+export const createGroup = (groupID, name, ownerID)=>({
+    type:CREATE_GROUP,
+    groupID,
+    name,
+    ownerID
+});
+
+export const setGroupName = (groupID, name)=>({
+    type:SET_GROUP_NAME,
+    groupID,
+    name
+});
+
+// Changes any of a group's fields, e.g. `updateGroup(id, {name, collaborators})`
+export const updateGroup = (groupID, changes)=>({
+    type:UPDATE_GROUP,
+    groupID,
+    changes
+});
+
+export const moveGroup = (groupID, position)=>({
+    type:MOVE_GROUP,
+    groupID,
+    position
+});
+
+/**
+ * Asks to delete a group. Its tasks move to the group `moveTo`, or are deleted when it is null.
+ */
+export const requestGroupDeletion = (groupID, moveTo = null)=>({
+    type:REQUEST_GROUP_DELETION,
+    groupID,
+    moveTo
+});
+
+// `taskIDs` lists the deleted tasks, so their comments can be removed as well
+export const deleteGroup = (groupID, moveTo, taskIDs = [])=>({
+    type:DELETE_GROUP,
+    groupID,
+    moveTo,
+    taskIDs
+});
+
+/**
+ * Shares a group or task with a friend. `kind` is `groups` or `tasks`, and `role` is `viewer` or `editor`;
+ * setting the role of an existing collaborator replaces it.
+ */
+export const setCollaborator = (kind, itemID, userID, role)=>({
+    type:SET_COLLABORATOR,
+    kind,
+    itemID,
+    userID,
+    role
+});
+
+// `isLeaving` is true when users remove themselves, and the item should disappear from their board
+export const removeCollaborator = (kind, itemID, userID, isLeaving = false)=>({
+    type:REMOVE_COLLABORATOR,
+    kind,
+    itemID,
+    userID,
+    isLeaving
+});
+
+export const requestFriends = ()=>({
+    type:REQUEST_FRIENDS
+});
+
+/**
+ * The user's friends as loaded from the server: their IDs, the pending `requests` as `{incoming, outgoing}`,
+ * and the `users` involved.
+ */
+export const setFriends = (userID, friends, requests, users)=>({
+    type:SET_FRIENDS,
+    userID,
+    friends,
+    requests,
+    users
+});
+
+export const requestUserSearch = (q)=>({
+    type:REQUEST_USER_SEARCH,
+    q
+});
+
+export const setUserSearchResults = (users)=>({
+    type:SET_USER_SEARCH_RESULTS,
+    users
+});
+
+export const userSearchFailed = (error)=>({
+    type:USER_SEARCH_FAILED,
+    error
+});
+
+// Asks the server to send `user` a friend request
+export const requestFriend = (user)=>({
+    type:REQUEST_FRIEND,
+    user
+});
+
+export const addFriendRequest = (request, user)=>({
+    type:ADD_FRIEND_REQUEST,
+    request,
+    user
+});
+
+export const acceptFriendRequest = (requestID)=>({
+    type:ACCEPT_FRIEND_REQUEST,
+    requestID
+});
+
+// Makes the sender and recipient of `request` friends, once the server has accepted it
+export const friendRequestAccepted = (request, user = null)=>({
+    type:FRIEND_REQUEST_ACCEPTED,
+    request,
+    user
+});
+
+// Declines a request sent to the user, or withdraws one they sent
+export const deleteFriendRequest = (requestID)=>({
+    type:DELETE_FRIEND_REQUEST,
+    requestID
+});
+
+export const removeFriend = (userID)=>({
+    type:REMOVE_FRIEND,
+    userID
+});
+
 export const requestAuthenticateUser = (username, password)=>({
     type:REQUEST_AUTHENTICATE_USER,
     username,
@@ -68,9 +360,102 @@ export const setState = (state = {})=>({
     state
 });
 
+// The ID the server gave the real-time connection, or null while there is none
+export const setConnection = (connectionID)=>({
+    type:SET_CONNECTION,
+    connectionID
+});
+
 
 export const requestCreateUserAccount = (username,password)=>({
     type:REQUEST_USER_ACCOUNT_CREATION,
     username,
     password
-});
\ No newline at end of file
+});
+
+export const requestLogout = ()=>({
+    type:REQUEST_LOGOUT
+});
+
+export const logout = ()=>({
+    type:LOGOUT
+});
+
+// Undoes the user's last edit, or redoes the last one they undid
+export const requestUndo = ()=>({
+    type:REQUEST_UNDO
+});
+
+export const requestRedo = ()=>({
+    type:REQUEST_REDO
+});
+
+// Moves the last edit from those that can be undone to those that can be redone, and back
+export const undo = ()=>({
+    type:UNDO
+});
+
+export const redo = ()=>({
+    type:REDO
+});
+
+/**
+ * A change already shown to the user is waiting for the server. `itemID` is the task or group it changes,
+ * and `request` the `{method, path, data}` that will tell the server.
+ */
+export const mutationPending = (mutationID, itemID, request)=>({
+    type:MUTATION_PENDING,
+    mutationID,
+    itemID,
+    request
+});
+
+// The server has the change to the task or group `itemID`
+export const mutationSettled = (mutationID, itemID)=>({
+    type:MUTATION_SETTLED,
+    mutationID,
+    itemID
+});
+
+// The user kept someone else's change to the task `itemID`, so every versioned change still queued for it is dropped
+export const mutationsDropped = (itemID)=>({
+    type:MUTATIONS_DROPPED,
+    itemID
+});
+
+// Someone else changed the `task` before the user's queued change to it was saved; the user is asked which to keep
+export const conflictFound = (task)=>({
+    type:CONFLICT_FOUND,
+    task
+});
+
+// The user's answer to a conflict: put their change back on top of the other one, or drop it
+export const resolveConflict = (keepMine)=>({
+    type:RESOLVE_CONFLICT,
+    keepMine
+});
+
+// The server rejected a change, which has been undone; `error` is shown to the user
+export const mutationFailed = (mutationID, error)=>({
+    type:MUTATION_FAILED,
+    mutationID,
+    error
+});
+
+// Tells the user something went wrong that had nothing to undo, such as loading their friends
+export const showToast = (toastID, message)=>({
+    type:SHOW_TOAST,
+    toastID,
+    message
+});
+
+export const dismissToast = (toastID)=>({
+    type:DISMISS_TOAST,
+    toastID
+});
+
+// Whether the server can't be reached right now
+export const setOffline = (isOffline)=>({
+    type:SET_OFFLINE,
+    isOffline
+});
@@ -0,0 +1,55 @@
+/**
+ * Keeps the logged in user's board in localStorage, along with the queue of changes waiting for the server,
+ * so the app can be reloaded and used while offline. Nothing is kept once the user logs out.
+ */
+const STORAGE_KEY = `state`;
+
+// Searches, toasts and the connection state only make sense for the page that produced them
+const PERSISTED = [`session`, `users`, `groups`, `tasks`, `comments`, `friendRequests`, `pending`];
+
+// Of the session, only what the queued changes need to be sent after a reload: who made them, and the short-lived
+// access token. The refresh token would keep anyone who can read the storage logged in, so the user logs in
+// again once the access token runs out.
+const persistedSession = ({id, authenticated, token})=>({id, authenticated, token});
+
+export const loadState = ()=>{
+    try {
+        return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || undefined;
+    } catch (e) {
+        console.error("Error",e);
+        return undefined;
+    }
+};
+
+export const saveState = state=>{
+    try {
+        // A session that ran out keeps the board and its queued changes until the user logs in again
+        if (!state.session.id) {
+            window.localStorage.removeItem(STORAGE_KEY);
+            return;
+        }
+        let saved = {};
+        PERSISTED.forEach(key=>{
+            saved[key] = state[key];
+        });
+        saved.session = persistedSession(state.session);
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+    } catch (e) {
+        /* e.g. storage is full or disabled; the app keeps working, it just won't survive a reload */
+        console.error("Error",e);
+    }
+};
+
+/**
+ * Saves the store whenever one of the persisted parts of its state changes.
+ */
+export const persistStore = store=>{
+    let previous = store.getState();
+    store.subscribe(()=>{
+        let state = store.getState();
+        if (PERSISTED.some(key=>state[key] !== previous[key])) {
+            saveState(state);
+        }
+        previous = state;
+    });
+};
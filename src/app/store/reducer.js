@@ -1,8 +1,55 @@
 import { combineReducers } from 'redux';
 import * as mutations from './mutations'
 
+// Groups and tasks from before they could be reordered have no position, and keep their original order
+export const sortByPosition = groups => [...groups].sort((a, b)=>(a.position || 0) - (b.position || 0));
+
+// The position after the last of `items`, which need not be numbered without gaps
+const nextPosition = items => items.reduce((next, item)=>Math.max(next, (item.position || 0) + 1), 0);
+
+// Positions order each user's own columns, so groups are only ever ordered among those of the same owner
+export const ownGroups = (groups, ownerID) => sortByPosition(groups.filter(group=>group.owner === ownerID));
+
+// Applies `change` to the collaborators of the group or task `itemID`, when `action.kind` names that collection
+const mapCollaborators = (items, kind, action, change)=>{
+    if (action.kind !== kind) {
+        return items;
+    }
+    return items.map(item=>{
+        return (item.id === action.itemID) ? {...item, collaborators:change(item.collaborators || [])} : item;
+    });
+};
+
+const withoutCollaborator = userID => collaborators=>collaborators.filter(collaborator=>collaborator.user !== userID);
+
+const withCollaborator = (userID, role) => collaborators=>[...withoutCollaborator(userID)(collaborators), {user:userID, role}];
+
+// Applies `change` to the checklist of the task `taskID`
+const mapChecklist = (tasks, taskID, change)=>tasks.map(task=>{
+    return (task.id === taskID) ? {...task, checklist:change(task.checklist || [])} : task;
+});
+
+// Adds `added` to `users`, replacing any user with the same ID
+const mergeUsers = (users, added)=>[
+    ...users.filter(user=>!added.some(({id})=>id === user.id)),
+    ...added
+];
+
+// Applies `change` to the friends list of the user `userID`
+const mapFriends = (users, userID, change)=>users.map(user=>{
+    return (user.id === userID) ? {...user, friends:change(user.friends || [])} : user;
+});
+
 let defaultState = {
     session:{},
+    search:{status:null, tasks:[], comments:[]},
+    userSearch:{status:null, users:[]},
+    taskActivity:{taskID:null, status:null, activity:[]},
+    friendRequests:[],
+    pending:[],
+    toasts:[],
+    conflict:null,
+    network:{isOffline:false},
     comments:[],
     users:[],
     groups:[],
@@ -16,19 +63,145 @@ export const reducer = combineReducers({
             case mutations.SET_STATE:
                 return {...userSession, id: action.state.session.id};
             case mutations.REQUEST_AUTHENTICATE_USER:
-                return {...userSession, authenticated:mutations.AUTHENTICATING};
+            case mutations.REQUEST_USER_ACCOUNT_CREATION:
+                return {...userSession, authenticated:mutations.AUTHENTICATING, error:null};
             case mutations.PROCESSING_AUTHENTICATE_USER:
-                return {...userSession, authenticated};
+                return {...userSession, ...action.session, authenticated};
+            case mutations.SET_CONNECTION:
+                return {...userSession, connectionID:action.connectionID};
+            case mutations.LOGOUT:
+                return defaultState.session;
             default:
                 return userSession;
         }
     },
+    search(search = defaultState.search, action){
+        switch (action.type) {
+            case mutations.REQUEST_SEARCH:
+                return {...search, status:`SEARCHING`, error:null};
+            case mutations.SET_SEARCH_RESULTS:
+                return {status:`DONE`, tasks:action.tasks, comments:action.comments};
+            case mutations.SEARCH_FAILED:
+                return {...search, status:`FAILED`, error:action.error};
+            case mutations.LOGOUT:
+                return defaultState.search;
+            default:
+                return search;
+        }
+    },
+    userSearch(userSearch = defaultState.userSearch, action){
+        switch (action.type) {
+            case mutations.REQUEST_USER_SEARCH:
+                return {...userSearch, status:`SEARCHING`, error:null};
+            case mutations.SET_USER_SEARCH_RESULTS:
+                return {status:`DONE`, users:action.users};
+            case mutations.USER_SEARCH_FAILED:
+                return {...userSearch, status:`FAILED`, error:action.error};
+            case mutations.LOGOUT:
+                return defaultState.userSearch;
+            default:
+                return userSearch;
+        }
+    },
+    // The history of the task being viewed. Reloading it keeps the old entries on screen until the new ones arrive.
+    taskActivity(taskActivity = defaultState.taskActivity, action){
+        switch (action.type) {
+            case mutations.REQUEST_TASK_ACTIVITY:
+                return action.taskID === taskActivity.taskID ?
+                    {...taskActivity, status:`LOADING`, error:null} :
+                    {taskID:action.taskID, status:`LOADING`, activity:[]};
+            case mutations.SET_TASK_ACTIVITY:
+                return action.taskID === taskActivity.taskID ?
+                    {taskID:action.taskID, status:`DONE`, activity:action.activity} :
+                    taskActivity;
+            case mutations.TASK_ACTIVITY_FAILED:
+                return action.taskID === taskActivity.taskID ?
+                    {...taskActivity, status:`FAILED`, error:action.error} :
+                    taskActivity;
+            case mutations.CLOSE_TASK_ACTIVITY:
+            case mutations.LOGOUT:
+                return defaultState.taskActivity;
+            default:
+                return taskActivity;
+        }
+    },
+    // Changes waiting for the server, oldest first, as `{id, itemID, request}`
+    pending(pending = defaultState.pending, action){
+        switch (action.type) {
+            case mutations.MUTATION_PENDING:
+                return [...pending, {id:action.mutationID, itemID:action.itemID, request:action.request}];
+            case mutations.MUTATION_SETTLED:
+            case mutations.MUTATION_FAILED:
+                return pending.filter(mutation=>mutation.id !== action.mutationID);
+            case mutations.MUTATIONS_DROPPED:
+                return pending.filter(mutation=>mutation.itemID !== action.itemID || !mutation.request.isVersioned);
+            case mutations.LOGOUT:
+                return defaultState.pending;
+            default:
+                return pending;
+        }
+    },
+    network(network = defaultState.network, action){
+        switch (action.type) {
+            case mutations.SET_OFFLINE:
+                return {...network, isOffline:action.isOffline};
+            default:
+                return network;
+        }
+    },
+    toasts(toasts = defaultState.toasts, action){
+        switch (action.type) {
+            case mutations.MUTATION_FAILED:
+                return [...toasts, {id:action.mutationID, message:`Your change couldn't be saved: ${action.error}`}];
+            case mutations.SHOW_TOAST:
+                return [...toasts, {id:action.toastID, message:action.message}];
+            case mutations.DISMISS_TOAST:
+                return toasts.filter(toast=>toast.id !== action.toastID);
+            case mutations.LOGOUT:
+                return defaultState.toasts;
+            default:
+                return toasts;
+        }
+    },
+    conflict(conflict = defaultState.conflict, action){
+        switch (action.type) {
+            case mutations.CONFLICT_FOUND:
+                return {taskID:action.task.id, name:action.task.name};
+            case mutations.RESOLVE_CONFLICT:
+            case mutations.LOGOUT:
+                return defaultState.conflict;
+            default:
+                return conflict;
+        }
+    },
+    friendRequests(friendRequests = defaultState.friendRequests, action){
+        switch (action.type) {
+            case mutations.SET_STATE:
+                return action.state.friendRequests || [];
+            case mutations.SET_FRIENDS:
+                return [...action.requests.incoming, ...action.requests.outgoing];
+            case mutations.ADD_FRIEND_REQUEST:
+                return [...friendRequests, action.request];
+            case mutations.FRIEND_REQUEST_ACCEPTED:
+                return friendRequests.filter(request=>request.id !== action.request.id);
+            case mutations.DELETE_FRIEND_REQUEST:
+                return friendRequests.filter(request=>request.id !== action.requestID);
+            default:
+                return friendRequests;
+        }
+    },
     comments: (comments = defaultState.comments, action) => {
         switch (action.type) {
             case mutations.ADD_TASK_COMMENT: {
                 const { owner, task, content, id } = action;
                 return [...comments, { owner, task, content, id }];
             }
+            case mutations.REMOVE_TASK_COMMENT:
+                return comments.filter(comment=>comment.id !== action.commentID);
+            case mutations.DELETE_TASK:
+                return comments.filter(comment=>comment.task !== action.taskID);
+            case mutations.DELETE_GROUP:
+                return comments.filter(comment=>!action.taskIDs.includes(comment.task));
             case mutations.SET_STATE:
                 return action.state.comments;
             default:
@@ -39,6 +212,18 @@ export const reducer = combineReducers({
         switch (action.type) {
             case mutations.SET_STATE:
                 return action.state.users;
+            case mutations.SET_FRIENDS:
+                return mapFriends(mergeUsers(users, action.users), action.userID, ()=>action.friends);
+            case mutations.ADD_FRIEND_REQUEST:
+                return mergeUsers(users, [action.user]);
+            case mutations.FRIEND_REQUEST_ACCEPTED: {
+                let {from, to} = action.request;
+                let adding = id => friends=>friends.includes(id) ? friends : [...friends, id];
+                let befriended = mapFriends(mapFriends(users, from, adding(to)), to, adding(from));
+                return action.user ? mergeUsers(befriended, [action.user]) : befriended;
+            }
+            case mutations.REMOVE_FRIEND:
+                return users.map(user=>user.friends ? {...user, friends:user.friends.filter(id=>id !== action.userID)} : user);
         }
         return users;
     },
@@ -46,6 +231,40 @@ export const reducer = combineReducers({
         switch (action.type) {
             case mutations.SET_STATE:
                 return action.state.groups;
+            case mutations.CREATE_GROUP:
+                return [...groups,{
+                    id:action.groupID,
+                    name:action.name,
+                    owner:action.ownerID,
+                    position:nextPosition(groups.filter(group=>group.owner === action.ownerID))
+                }];
+            case mutations.SET_GROUP_NAME:
+                return groups.map(group=>{
+                    return (group.id === action.groupID) ? {...group, name:action.name} : group;
+                });
+            case mutations.UPDATE_GROUP:
+                return groups.map(group=>{
+                    return (group.id === action.groupID) ? {...group, ...action.changes} : group;
+                });
+            case mutations.MOVE_GROUP: {
+                let moved = groups.find(group=>group.id === action.groupID);
+                if (!moved) {
+                    return groups;
+                }
+                let others = ownGroups(groups, moved.owner).filter(group=>group !== moved);
+                others.splice(action.position, 0, moved);
+                let positions = new Map(others.map((group, position)=>[group.id, position]));
+                return groups.map(group=>positions.has(group.id) ? {...group, position:positions.get(group.id)} : group);
+            }
+            case mutations.DELETE_GROUP:
+                return groups.filter(group=>group.id !== action.groupID);
+            case mutations.SET_COLLABORATOR:
+                return mapCollaborators(groups, `groups`, action, withCollaborator(action.userID, action.role));
+            case mutations.REMOVE_COLLABORATOR:
+                if (action.isLeaving && action.kind === `groups`) {
+                    return groups.filter(group=>group.id !== action.itemID);
+                }
+                return mapCollaborators(groups, `groups`, action, withoutCollaborator(action.userID));
         }
         return groups;
     },
@@ -53,25 +272,63 @@ export const reducer = combineReducers({
         switch(action.type) {
             case mutations.SET_STATE:
                 return action.state.tasks;
-            case mutations.SET_TASK_COMPLETE:
+            case mutations.UPDATE_TASK:
                 return tasks.map(task=>{
-                    return (task.id === action.taskID) ? {...task,isComplete:action.isComplete} : task;
+                    return (task.id === action.taskID) ? {...task, ...action.changes} : task;
                 });
-            case mutations.SET_TASK_GROUP:
-                return tasks.map(task=>{
-                    return (task.id === action.taskID) ? {...task, group:action.groupID} : task;
-                });
-            case mutations.SET_TASK_NAME:
-                return tasks.map(task=> {
-                    return (task.id === action.taskID) ? {...task, name: action.name} : task;
+            case mutations.DELETE_TASK:
+                return tasks.filter(task=>task.id !== action.taskID);
+            case mutations.ADD_CHECKLIST_ITEM:
+                return mapChecklist(tasks, action.taskID, checklist=>[
+                    ...checklist,
+                    {id:action.itemID, text:action.text, isComplete:false}
+                ]);
+            case mutations.UPDATE_CHECKLIST_ITEM:
+                return mapChecklist(tasks, action.taskID, checklist=>checklist.map(item=>{
+                    return (item.id === action.itemID) ? {...item, ...action.changes} : item;
+                }));
+            case mutations.MOVE_CHECKLIST_ITEM:
+                return mapChecklist(tasks, action.taskID, checklist=>{
+                    let moved = checklist.find(item=>item.id === action.itemID);
+                    let others = checklist.filter(item=>item !== moved);
+                    others.splice(action.position, 0, moved);
+                    return others;
                 });
+            case mutations.DELETE_CHECKLIST_ITEM:
+                return mapChecklist(tasks, action.taskID, checklist=>checklist.filter(item=>item.id !== action.itemID));
+            case mutations.DELETE_GROUP:
+                return action.moveTo ?
+                    tasks.map(task=>(task.group === action.groupID) ? {...task, group:action.moveTo} : task) :
+                    tasks.filter(task=>task.group !== action.groupID);
+            case mutations.SET_COLLABORATOR:
+                return mapCollaborators(tasks, `tasks`, action, withCollaborator(action.userID, action.role));
+            case mutations.REMOVE_COLLABORATOR:
+                if (action.isLeaving) {
+                    // Tasks the user can still see on their own terms stay, those seen through what they left go
+                    let isShared = task=>task.owner === action.userID || (task.collaborators || []).some(({user})=>user === action.userID);
+                    return action.kind === `groups` ?
+                        tasks.filter(task=>task.group !== action.itemID || isShared(task)) :
+                        tasks.filter(task=>task.id !== action.itemID);
+                }
+                return mapCollaborators(tasks, `tasks`, action, withoutCollaborator(action.userID));
+            case mutations.MOVE_TASK: {
+                let moved = tasks.find(task=>task.id === action.taskID);
+                if (!moved) {
+                    return tasks;
+                }
+                let siblings = sortByPosition(tasks.filter(task=>task.group === action.groupID && task !== moved));
+                siblings.splice(action.position, 0, {...moved, group:action.groupID});
+                let placed = siblings.map((task, position)=>({...task, position}));
+                return tasks.map(task=>placed.find(({id})=>id === task.id) || task);
+            }
             case mutations.CREATE_TASK:
                 return [...tasks,{
                     id:action.taskID,
                     name:"New Task",
                     group:action.groupID,
                     owner:action.ownerID,
-                    isComplete:false
+                    isComplete:false,
+                    position:nextPosition(tasks.filter(task=>task.group === action.groupID))
                 }]
         }
         return tasks;
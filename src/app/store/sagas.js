@@ -1,47 +1,406 @@
-import { take, put, select } from 'redux-saga/effects';
+import { take, takeLatest, takeEvery, put, select, call, fork, cancel, race } from 'redux-saga/effects';
+import { eventChannel, buffers, delay } from 'redux-saga';
 import uuid from 'uuid';
 import axios from 'axios';
 
 import { history } from './history'
 import * as mutations from './mutations';
-const url = process.env.NODE_ENV === 'production' ? `` : `http://localhost:7777`;
+import { sortByPosition } from './reducer';
+import {
+    url,
+    api,
+    eventsURL,
+    authorizedRequest,
+    optimisticRequest,
+    sendMutation,
+    resync,
+    errorMessage,
+    errorStatus
+} from './api';
+
+// Matches the user's own changes, leaving out those the server sent, which it already has
+const madeHere = (...types)=>action=>types.includes(action.type) && !action.fromServer;
+
+const TOAST_DURATION_MS = 8000;
+const OFFLINE_RETRY_MS = 15000;
+
+/*
+ * Rollbacks for `optimisticRequest`. By the time a saga sees a change, the reducer has already applied it,
+ * so these put back what the server has rather than what the store had.
+ */
+
+function* reloadTask(taskID){
+    try {
+        const { data } = yield call(authorizedRequest, `get`, `${api}/tasks/${taskID}`);
+        yield call(applyServerChange, {type:`TASK_SAVED`, task:data.task});
+    } catch (e) {
+        if (errorStatus(e) !== 404) {
+            throw e;
+        }
+        yield put(mutations.fromServer(mutations.deleteTask(taskID)));
+    }
+}
+
+function* reloadFriends(){
+    yield put(mutations.requestFriends());
+}
+
+function* reloadGroup(groupID){
+    const { data } = yield call(authorizedRequest, `get`, `${api}/groups`);
+    const group = data.groups.find(({id})=>id === groupID);
+    yield call(applyServerChange, group ?
+        {type:`GROUP_SAVED`, group} :
+        {type:`GROUP_DELETED`, groupID, moveTo:null, taskIDs:[]});
+}
 
 export function* taskCreationSaga(){
     while (true){
         const {groupID} = yield take(mutations.REQUEST_TASK_CREATION);
         const ownerID = yield select(state=>state.session.id);
         const taskID = uuid();
-        let mutation = mutations.createTask(taskID, groupID, ownerID);
 
-        yield axios.post(url + `/task/new`,{task:{
+        yield put(mutations.createTask(taskID, groupID, ownerID));
+        yield call(optimisticRequest, {
+            itemID:taskID,
+            rollback:function* (){
+                yield put(mutations.fromServer(mutations.deleteTask(taskID)));
+            }
+        }, `post`, `${api}/tasks`, {
             id:taskID,
             group: groupID,
-            owner: ownerID,
             isComplete:false,
             name:"New task"
-        }});
-        
-        yield put(mutation);
+        });
     }
 }
 
 export function* commentCreationSaga(){
     while (true) {
-        const comment = yield take (mutations.ADD_TASK_COMMENT);
-        axios.post(url + `/comment/new`,{comment})
+        const comment = yield take (madeHere(mutations.ADD_TASK_COMMENT));
+        yield call(optimisticRequest, {
+            itemID:comment.task,
+            rollback:function* (){
+                yield put(mutations.fromServer(mutations.removeTaskComment(comment.id, comment.task)));
+            }
+        }, `post`, `/comment/new`, {comment});
+    }
+}
+
+export function* commentDeletionSaga(){
+    while (true) {
+        const {commentID, taskID} = yield take(madeHere(mutations.REMOVE_TASK_COMMENT));
+        yield call(optimisticRequest, {itemID:taskID}, `delete`, `/comment/${commentID}`);
     }
 }
 
 export function* taskModificationSaga(){
     while (true){
-        const task = yield take([mutations.SET_TASK_GROUP, mutations.SET_TASK_NAME,mutations.SET_TASK_COMPLETE]);
-        axios.post(url + `/task/update`,{
-            task:{
-                id:task.taskID,
-                group:task.groupID,
-                name:task.name,
-                isComplete:task.isComplete
-            }});
+        const {taskID, changes} = yield take(madeHere(mutations.UPDATE_TASK));
+        yield call(optimisticRequest, {
+            itemID:taskID,
+            rollback:()=>reloadTask(taskID),
+            isVersioned:true
+        }, `patch`, `${api}/tasks/${taskID}`, changes);
+    }
+}
+
+export function* taskMoveSaga(){
+    while (true){
+        const {taskID, groupID, beforeID} = yield take(mutations.REQUEST_TASK_MOVE);
+        if (taskID === beforeID) {
+            /* dropped onto itself */
+            continue;
+        }
+        const siblings = yield select(state=>sortByPosition(state.tasks
+            .filter(task=>task.group === groupID && task.id !== taskID)));
+        const index = siblings.findIndex(task=>task.id === beforeID);
+        const position = index === -1 ? siblings.length : index;
+
+        // The board is updated straight away; the server is told in one request
+        yield put(mutations.moveTask(taskID, groupID, position));
+        yield call(optimisticRequest, {itemID:taskID, rollback:()=>reloadTask(taskID)}, `patch`, `${api}/tasks/${taskID}`, {group:groupID, position});
+    }
+}
+
+export function* checklistSaga(){
+    while (true){
+        const action = yield take([
+            mutations.ADD_CHECKLIST_ITEM,
+            mutations.UPDATE_CHECKLIST_ITEM,
+            mutations.MOVE_CHECKLIST_ITEM,
+            mutations.DELETE_CHECKLIST_ITEM
+        ]);
+        const path = `${api}/tasks/${action.taskID}/checklist`;
+        const requests = {
+            [mutations.ADD_CHECKLIST_ITEM]:[`post`, path, {id:action.itemID, text:action.text}],
+            [mutations.UPDATE_CHECKLIST_ITEM]:[`patch`, `${path}/${action.itemID}`, action.changes],
+            [mutations.MOVE_CHECKLIST_ITEM]:[`patch`, `${path}/${action.itemID}`, {position:action.position}],
+            [mutations.DELETE_CHECKLIST_ITEM]:[`delete`, `${path}/${action.itemID}`]
+        };
+        yield call(optimisticRequest, {itemID:action.taskID, rollback:()=>reloadTask(action.taskID)}, ...requests[action.type]);
+    }
+}
+
+export function* taskDeletionSaga(){
+    while (true){
+        const {taskID} = yield take(madeHere(mutations.DELETE_TASK));
+        // The task's comments went with it, so the whole state is reloaded to bring them back
+        yield call(optimisticRequest, {itemID:taskID, rollback:resync}, `delete`, `${api}/tasks/${taskID}`);
+    }
+}
+
+export function* groupCreationSaga(){
+    while (true){
+        const {name} = yield take(mutations.REQUEST_GROUP_CREATION);
+        const ownerID = yield select(state=>state.session.id);
+        const groupID = uuid();
+
+        yield put(mutations.createGroup(groupID, name, ownerID));
+        yield call(optimisticRequest, {
+            itemID:groupID,
+            rollback:function* (){
+                yield put(mutations.fromServer(mutations.deleteGroup(groupID, null)));
+            }
+        }, `post`, `${api}/groups`, {id:groupID, name});
+    }
+}
+
+export function* groupModificationSaga(){
+    while (true){
+        const group = yield take(madeHere(mutations.SET_GROUP_NAME, mutations.MOVE_GROUP));
+        yield call(optimisticRequest, {itemID:group.groupID, rollback:()=>reloadGroup(group.groupID)}, `patch`, `${api}/groups/${group.groupID}`, {
+            name:group.name,
+            position:group.position
+        });
+    }
+}
+
+export function* groupDeletionSaga(){
+    while (true){
+        const {groupID, moveTo} = yield take(mutations.REQUEST_GROUP_DELETION);
+        const taskIDs = moveTo ? [] : yield select(state=>state.tasks
+            .filter(task=>task.group === groupID)
+            .map(task=>task.id));
+
+        yield put(mutations.deleteGroup(groupID, moveTo, taskIDs));
+        const query = moveTo ? `?moveTo=${encodeURIComponent(moveTo)}` : ``;
+        yield call(optimisticRequest, {itemID:groupID, rollback:resync}, `delete`, `${api}/groups/${groupID}${query}`);
+    }
+}
+
+export function* collaboratorSaga(){
+    while (true){
+        const {type, kind, itemID, userID, role, isLeaving} = yield take([mutations.SET_COLLABORATOR, mutations.REMOVE_COLLABORATOR]);
+        const path = `${api}/${kind}/${itemID}/collaborators/${userID}`;
+        // Leaving took the item, and maybe its tasks, off the board
+        const rollback = isLeaving ? resync : kind === `groups` ? ()=>reloadGroup(itemID) : ()=>reloadTask(itemID);
+        if (type === mutations.SET_COLLABORATOR) {
+            yield call(optimisticRequest, {itemID, rollback}, `put`, path, {role});
+        } else {
+            yield call(optimisticRequest, {itemID, rollback}, `delete`, path);
+        }
+    }
+}
+
+export function* friendsSaga(){
+    yield takeLatest(mutations.REQUEST_FRIENDS, function* (){
+        try {
+            const { data } = yield call(authorizedRequest, `get`, `${api}/friends`);
+            const userID = yield select(state=>state.session.id);
+            yield put(mutations.setFriends(userID, data.friends, data.requests, data.users));
+        } catch (e) {
+            yield put(mutations.showToast(uuid(), `Your friends couldn't be loaded: ${errorMessage(e)}`));
+        }
+    });
+}
+
+export function* userSearchSaga(){
+    yield takeLatest(mutations.REQUEST_USER_SEARCH, function* ({q}){
+        try {
+            const { data } = yield call(authorizedRequest, `get`, `${api}/users?q=${encodeURIComponent(q)}`);
+            yield put(mutations.setUserSearchResults(data.users));
+        } catch (e) {
+            yield put(mutations.userSearchFailed(errorMessage(e)));
+        }
+    });
+}
+
+export function* friendRequestSaga(){
+    while (true){
+        const action = yield take([
+            mutations.REQUEST_FRIEND,
+            mutations.ACCEPT_FRIEND_REQUEST,
+            mutations.DELETE_FRIEND_REQUEST,
+            mutations.REMOVE_FRIEND
+        ]);
+        try {
+            switch (action.type) {
+                case mutations.REQUEST_FRIEND: {
+                    const { data, status } = yield call(authorizedRequest, `post`, `${api}/friends/requests`, {to:action.user.id});
+                    // The user had already asked to be friends, so the server accepted their request instead
+                    yield put(status === 201 ?
+                        mutations.addFriendRequest(data.request, action.user) :
+                        mutations.friendRequestAccepted(data.request, action.user));
+                    break;
+                }
+                case mutations.ACCEPT_FRIEND_REQUEST: {
+                    const request = yield select(state=>state.friendRequests.find(request=>request.id === action.requestID));
+                    yield call(authorizedRequest, `post`, `${api}/friends/requests/${action.requestID}/accept`);
+                    yield put(mutations.friendRequestAccepted(request));
+                    break;
+                }
+                case mutations.DELETE_FRIEND_REQUEST:
+                    yield call(optimisticRequest, {itemID:action.requestID, rollback:reloadFriends}, `delete`, `${api}/friends/requests/${action.requestID}`);
+                    break;
+                case mutations.REMOVE_FRIEND:
+                    yield call(optimisticRequest, {itemID:action.userID, rollback:reloadFriends}, `delete`, `${api}/friends/${action.userID}`);
+                    break;
+            }
+        } catch (e) {
+            yield put(mutations.showToast(uuid(), errorMessage(e)));
+        }
+    }
+}
+
+// Emits whenever the browser finds its network connection again
+const onlineChannel = ()=>eventChannel(emit=>{
+    const online = ()=>emit(true);
+    window.addEventListener(`online`, online);
+    return ()=>window.removeEventListener(`online`, online);
+});
+
+// Someone else changed a task before the user's change to it was saved. The user chooses between the two:
+// their change is put back on top of the other one and sent again, or dropped. Logging out drops it.
+function* resolveConflict({request}, task){
+    yield put(mutations.conflictFound(task));
+    const {answer} = yield race({answer:take(mutations.RESOLVE_CONFLICT), logout:take(mutations.LOGOUT)});
+    if (!answer) {
+        return false;
+    }
+    yield call(applyServerChange, {type:`TASK_SAVED`, task});
+    if (answer.keepMine) {
+        yield put(mutations.fromServer(mutations.updateTask(task.id, request.data)));
+    }
+    return answer.keepMine;
+}
+
+export function* pendingMutationsSaga(){
+    // Queued changes are sent one at a time, oldest first, so the server sees them in the order they were made.
+    // While it can't be reached they stay queued, and are tried again when the browser is back online or
+    // every so often. While the user is logged out they wait for the next login.
+    const online = yield call(onlineChannel);
+    while (true){
+        const mutation = yield select(state=>state.pending[0]);
+        if (!mutation) {
+            yield take(mutations.MUTATION_PENDING);
+            continue;
+        }
+        if ((yield select(state=>state.session.authenticated)) !== mutations.AUTHENTICATED) {
+            yield take(isLoggedIn);
+            continue;
+        }
+        const isSent = yield call(sendMutation, mutation, resolveConflict);
+        const wasOffline = yield select(state=>state.network.isOffline);
+        if (wasOffline === isSent) {
+            yield put(mutations.setOffline(!isSent));
+        }
+        if (!isSent) {
+            yield race({online:take(online), retry:call(delay, OFFLINE_RETRY_MS)});
+        }
+    }
+}
+
+export function* toastSaga(){
+    // Toasts go away by themselves, unless the user dismisses them first
+    yield takeEvery([mutations.MUTATION_FAILED, mutations.SHOW_TOAST], function* ({mutationID, toastID}){
+        yield call(delay, TOAST_DURATION_MS);
+        yield put(mutations.dismissToast(mutationID || toastID));
+    });
+}
+
+export function* searchSaga(){
+    // A new search replaces one that is still running, so results never arrive out of order
+    yield takeLatest(mutations.REQUEST_SEARCH, function* ({filters}){
+        const query = Object.keys(filters)
+            .filter(key=>filters[key] !== undefined && filters[key] !== ``)
+            .map(key=>`${encodeURIComponent(key)}=${encodeURIComponent(filters[key])}`)
+            .join(`&`);
+        try {
+            const { data } = yield call(authorizedRequest, `get`, `${api}/search?${query}`);
+            yield put(mutations.setSearchResults(data.tasks, data.comments));
+        } catch (e) {
+            yield put(mutations.searchFailed(errorMessage(e)));
+        }
+    });
+}
+
+// The task a change the server now has was made to, if any
+const changedTaskID = action=>{
+    switch (action.type) {
+        case mutations.MUTATION_SETTLED:
+            return action.itemID;
+        case mutations.UPDATE_TASK:
+            return action.fromServer ? action.taskID : null;
+        case mutations.ADD_TASK_COMMENT:
+            return action.fromServer ? action.task : null;
+        case mutations.REMOVE_TASK_COMMENT:
+            return action.fromServer ? action.taskID : null;
+        default:
+            return null;
+    }
+};
+
+export function* taskActivitySaga(){
+    yield takeLatest(mutations.REQUEST_TASK_ACTIVITY, function* ({taskID}){
+        try {
+            const { data } = yield call(authorizedRequest, `get`, `${api}/tasks/${taskID}/activity`);
+            yield put(mutations.setTaskActivity(taskID, data.activity));
+        } catch (e) {
+            yield put(mutations.taskActivityFailed(taskID, errorMessage(e)));
+        }
+    });
+    // The history on screen is reloaded whenever the server has a new change to the task, made here or elsewhere
+    while (true){
+        const taskID = changedTaskID(yield take(action=>Boolean(changedTaskID(action))));
+        if (taskID === (yield select(state=>state.taskActivity.taskID))) {
+            yield put(mutations.requestTaskActivity(taskID));
+        }
+    }
+}
+
+export function* undoSaga(){
+    // Replays the actions recorded for the edit, which tell the server like any other change
+    while (true){
+        const {type} = yield take([mutations.REQUEST_UNDO, mutations.REQUEST_REDO]);
+        const isUndo = type === mutations.REQUEST_UNDO;
+        const step = yield select(({edits})=>{
+            const steps = isUndo ? edits.past : edits.future;
+            return steps[steps.length - 1];
+        });
+        if (!step) {
+            continue;
+        }
+        yield put(isUndo ? mutations.undo() : mutations.redo());
+        for (const action of isUndo ? step.undo : step.redo) {
+            yield put(mutations.fromHistory(action));
+        }
+    }
+}
+
+// The refresh token isn't kept across reloads, so a session can run out with changes still queued. They are sent
+// once the same user logs in again, and the board reloaded after them; anyone else logging in starts afresh.
+function* resumeQueue(userID){
+    const previousID = yield select(state=>state.session.id);
+    if (previousID && previousID !== userID) {
+        yield put(mutations.logout());
+    } else if ((yield select(state=>state.pending.length)) > 0) {
+        yield fork(function* (){
+            try {
+                yield call(resync);
+            } catch (e) {
+                console.error("Error",e);
+            }
+        });
     }
 }
 
@@ -50,15 +409,17 @@ export function* userAuthenticationSaga(){
         const {username,password} = yield take(mutations.REQUEST_AUTHENTICATE_USER);
         try {
             const { data } = yield axios.post(url + `/authenticate`,{username,password});
+            yield call(resumeQueue, data.state.session.id);
             yield put(mutations.setState(data.state));
             yield put(mutations.processAuthenticateUser(mutations.AUTHENTICATED, {
-                id:"U1", // todo... get ID from response
-                token:data.token
+                id:data.state.session.id,
+                token:data.token,
+                refreshToken:data.refreshToken
             }));
             history.push(`/dashboard`);
         } catch (e) {
             /* catch block handles failed login */
-            yield put(mutations.processAuthenticateUser(mutations.NOT_AUTHENTICATED));
+            yield put(mutations.processAuthenticateUser(mutations.NOT_AUTHENTICATED, {error:errorMessage(e)}));
         }
     }
 }
@@ -69,16 +430,163 @@ export function* userAccountCreationSaga(){
         const {username, password } = yield take(mutations.REQUEST_USER_ACCOUNT_CREATION);
         try {
             const { data } = yield axios.post(url + `/user/create`, {username,password});
-            console.log(data);
 
+            yield call(resumeQueue, data.userID);
             yield put(mutations.setState({...data.state,session:{id:data.userID}}));
-            yield put(mutations.processAuthenticateUser(mutations.AUTHENTICATED));
+            yield put(mutations.processAuthenticateUser(mutations.AUTHENTICATED, {
+                id:data.userID,
+                token:data.token,
+                refreshToken:data.refreshToken
+            }));
 
             history.push('/dashboard');
 
         } catch (e) {
+            const status = errorStatus(e) === 409 ? mutations.USERNAME_RESERVED : mutations.NOT_AUTHENTICATED;
+            yield put(mutations.processAuthenticateUser(status, {error:errorMessage(e)}));
+        }
+    }
+}
+
+export function* userLogoutSaga(){
+    while (true) {
+        yield take(mutations.REQUEST_LOGOUT);
+        const refreshToken = yield select(state=>state.session.refreshToken);
+        try {
+            yield call(axios.post, url + `/logout`, {refreshToken});
+        } catch (e) {
+            /* the session is discarded locally even if the server can't be reached */
             console.error("Error",e);
-            yield put(mutations.processAuthenticateUser(mutations.USERNAME_RESERVED));
         }
+        yield put(mutations.logout());
+        history.push(`/`);
+    }
+}
+
+// Applies a change made elsewhere through the same actions as the user's own, marked so it isn't sent back
+function* applyServerChange(message){
+    switch (message.type) {
+        case `TASK_SAVED`: {
+            const {task} = message;
+            const existing = yield select(state=>state.tasks.find(({id})=>id === task.id));
+            if (existing && existing.version > task.version) {
+                /* overtaken by a change this client has already heard back about */
+                break;
+            }
+            if (!existing) {
+                yield put(mutations.createTask(task.id, task.group, task.owner));
+            } else if (existing.group !== task.group || existing.position !== task.position) {
+                yield put(mutations.moveTask(task.id, task.group, task.position));
+            }
+            yield put(mutations.fromServer(mutations.updateTask(task.id, task)));
+            break;
+        }
+        case `TASK_DELETED`:
+            yield put(mutations.fromServer(mutations.deleteTask(message.taskID)));
+            break;
+        case `GROUP_SAVED`: {
+            const {position, ...group} = message.group;
+            const existing = yield select(state=>state.groups.find(({id})=>id === group.id));
+            const sessionID = yield select(state=>state.session.id);
+            if (!existing) {
+                yield put(mutations.createGroup(group.id, group.name, group.owner));
+            }
+            // Positions order the owner's columns, so they mean nothing on other users' boards
+            if (group.owner === sessionID && (!existing || existing.position !== position)) {
+                yield put(mutations.fromServer(mutations.moveGroup(group.id, position)));
+            }
+            yield put(mutations.fromServer(mutations.updateGroup(group.id, group)));
+            break;
+        }
+        case `GROUP_DELETED`:
+            yield put(mutations.fromServer(mutations.deleteGroup(message.groupID, message.moveTo, message.taskIDs)));
+            break;
+        case `COMMENT_ADDED`: {
+            const {id, task, owner, content} = message.comment;
+            yield put(mutations.fromServer(mutations.addTaskComment(id, task, owner, content)));
+            break;
+        }
+        case `COMMENT_DELETED`:
+            yield put(mutations.fromServer(mutations.removeTaskComment(message.commentID, message.taskID)));
+            break;
+        case `RESYNC`:
+            yield call(resync);
+            break;
     }
-}
\ No newline at end of file
+}
+
+// The real-time channel's messages, ending with `{type:'CLOSED'}` when the socket closes for any reason
+const socketChannel = token=>eventChannel(emit=>{
+    const socket = new WebSocket(eventsURL);
+    socket.onopen = ()=>socket.send(JSON.stringify({type:`AUTHENTICATE`, token}));
+    socket.onmessage = ({data})=>emit(JSON.parse(data));
+    socket.onclose = ()=>emit({type:`CLOSED`});
+    return ()=>{
+        socket.onclose = null;
+        socket.close();
+    };
+}, buffers.expanding());
+
+// Waits longer after each failed attempt to reconnect, up to half a minute
+const reconnectDelay = attempt=>Math.min(30000, 1000 * 2 ** attempt);
+
+function* syncWithServer(){
+    let attempt = 0;
+    while (true){
+        if (attempt) {
+            yield call(delay, reconnectDelay(attempt - 1));
+            try {
+                // Catches up on what was missed while disconnected, refreshing the access token if it expired
+                yield call(resync);
+            } catch (e) {
+                console.error("Error",e);
+                attempt++;
+                continue;
+            }
+        }
+        const token = yield select(state=>state.session.token);
+        const channel = yield call(socketChannel, token);
+        try {
+            while (true){
+                const message = yield take(channel);
+                if (message.type === `CLOSED`) {
+                    break;
+                }
+                if (message.type === `CONNECTED`) {
+                    attempt = 0;
+                    yield put(mutations.setConnection(message.connectionID));
+                    continue;
+                }
+                try {
+                    yield call(applyServerChange, message);
+                } catch (e) {
+                    console.error("Error",e);
+                }
+            }
+        } finally {
+            channel.close();
+        }
+        yield put(mutations.setConnection(null));
+        attempt++;
+    }
+}
+
+const isLoggedIn = action=>action.type === mutations.PROCESSING_AUTHENTICATE_USER && action.authenticated === mutations.AUTHENTICATED;
+
+const isLoggedOut = action=>action.type === mutations.LOGOUT ||
+    (action.type === mutations.PROCESSING_AUTHENTICATE_USER && action.authenticated === mutations.NOT_AUTHENTICATED);
+
+export function* realtimeSaga(){
+    // Stays connected to the real-time channel from login to logout, reconnecting whenever the connection drops.
+    // A session restored when the page loads is already logged in; after a logout it waits for the next login.
+    let isAuthenticated = (yield select(state=>state.session.authenticated)) === mutations.AUTHENTICATED;
+    while (true){
+        if (!isAuthenticated) {
+            yield take(isLoggedIn);
+        }
+        isAuthenticated = false;
+        const connection = yield fork(syncWithServer);
+        yield take(isLoggedOut);
+        yield cancel(connection);
+    }
+}
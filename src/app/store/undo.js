@@ -0,0 +1,184 @@
+/**
+ * Undo and redo for the user's own edits to tasks, groups and comments: changes to a task's fields, moving a task,
+ * renaming or moving a group, changing a checklist item, and posting or deleting a comment. Creating and deleting
+ * tasks and groups, and sharing, aren't undoable.
+ *
+ * `undoable` wraps the app's reducer, and records each such edit as a step in `state.edits`, along with the
+ * actions that undo and redo it, worked out from the state before the edit. Undoing replays those actions
+ * (see `undoSaga`), so the server is told through the same sagas as for any other change.
+ */
+import * as mutations from './mutations';
+import { sortByPosition, ownGroups } from './reducer';
+
+const MAX_STEPS = 100;
+
+const defaultEdits = {past:[], future:[]};
+
+// What a task's optional fields mean when they are missing, so undoing a change to one clears it on the server too
+const TASK_DEFAULTS = {
+    isComplete:false,
+    isArchived:false,
+    description:null,
+    dueDate:null,
+    priority:`none`,
+    labels:[],
+    assignees:[]
+};
+
+const isSameValue = (a, b)=>JSON.stringify(a) === JSON.stringify(b);
+
+// The values `changes` is about to replace in `item`
+const previousValues = (item, changes, defaults = {})=>{
+    let previous = {};
+    for (let field in changes) {
+        previous[field] = item[field] !== undefined ? item[field] : (defaults[field] !== undefined ? defaults[field] : null);
+    }
+    return previous;
+};
+
+/**
+ * The step recording `action`, as `{undo, redo, itemIDs, mergeKey}`, or null when it isn't an undoable edit or
+ * changes nothing. `itemIDs` are the tasks, groups and checklist items it touches. Consecutive steps with the
+ * same `mergeKey`, such as each keystroke of a task's name, are undone together.
+ */
+const stepFor = (state, action)=>{
+    switch (action.type) {
+        case mutations.UPDATE_TASK: {
+            let task = state.tasks.find(({id})=>id === action.taskID);
+            let previous = task && previousValues(task, action.changes, TASK_DEFAULTS);
+            if (!task || isSameValue(previous, action.changes)) {
+                return null;
+            }
+            let isRename = Object.keys(action.changes).join() === `name`;
+            return {
+                undo:[mutations.updateTask(task.id, previous)],
+                redo:[action],
+                itemIDs:[task.id],
+                mergeKey:isRename ? `name:${task.id}` : null
+            };
+        }
+        case mutations.REQUEST_TASK_MOVE: {
+            let task = state.tasks.find(({id})=>id === action.taskID);
+            if (!task || action.taskID === action.beforeID) {
+                return null;
+            }
+            // It goes back in front of the task that followed it
+            let siblings = sortByPosition(state.tasks.filter(other=>other.group === task.group));
+            let next = siblings[siblings.indexOf(task) + 1];
+            return {
+                undo:[mutations.requestTaskMove(task.id, task.group, next ? next.id : null)],
+                redo:[action],
+                itemIDs:[task.id]
+            };
+        }
+        case mutations.SET_GROUP_NAME: {
+            let group = state.groups.find(({id})=>id === action.groupID);
+            if (!group || group.name === action.name) {
+                return null;
+            }
+            return {
+                undo:[mutations.setGroupName(group.id, group.name)],
+                redo:[action],
+                itemIDs:[group.id],
+                mergeKey:`name:${group.id}`
+            };
+        }
+        case mutations.MOVE_GROUP: {
+            let group = state.groups.find(({id})=>id === action.groupID);
+            let index = group ? ownGroups(state.groups, group.owner).indexOf(group) : -1;
+            if (index === -1 || index === action.position) {
+                return null;
+            }
+            return {
+                undo:[mutations.moveGroup(action.groupID, index)],
+                redo:[action],
+                itemIDs:[action.groupID]
+            };
+        }
+        case mutations.UPDATE_CHECKLIST_ITEM: {
+            let task = state.tasks.find(({id})=>id === action.taskID);
+            let item = task && (task.checklist || []).find(({id})=>id === action.itemID);
+            let previous = item && previousValues(item, action.changes);
+            if (!item || isSameValue(previous, action.changes)) {
+                return null;
+            }
+            return {
+                undo:[mutations.updateChecklistItem(task.id, item.id, previous)],
+                redo:[action],
+                itemIDs:[task.id, item.id]
+            };
+        }
+        case mutations.ADD_TASK_COMMENT:
+            // Posting it again keeps its id, so later steps still find it
+            return {
+                undo:[mutations.removeTaskComment(action.id, action.task)],
+                redo:[action],
+                itemIDs:[action.task, action.id]
+            };
+        case mutations.REMOVE_TASK_COMMENT: {
+            let comment = state.comments.find(({id})=>id === action.commentID);
+            if (!comment) {
+                return null;
+            }
+            return {
+                undo:[mutations.addTaskComment(comment.id, comment.task, comment.owner, comment.content)],
+                redo:[action],
+                itemIDs:[comment.task, comment.id]
+            };
+        }
+        default:
+            return null;
+    }
+};
+
+// The IDs of whatever `action` deletes, which can no longer be undone or redone
+const deletedIDs = action=>{
+    switch (action.type) {
+        case mutations.DELETE_TASK:
+            return [action.taskID];
+        case mutations.DELETE_GROUP:
+            return [action.groupID, ...action.taskIDs];
+        case mutations.DELETE_CHECKLIST_ITEM:
+            return [action.itemID];
+        // Comments are also removed by undoing them, which leaves the step to be redone
+        case mutations.REMOVE_TASK_COMMENT:
+            return action.fromServer ? [action.commentID] : [];
+        default:
+            return [];
+    }
+};
+
+const withoutDeleted = (steps, ids)=>steps.filter(step=>!step.itemIDs.some(id=>ids.includes(id)));
+
+const updateEdits = (edits, state, action)=>{
+    let {past, future} = edits;
+    switch (action.type) {
+        case mutations.UNDO:
+            return past.length ? {past:past.slice(0, -1), future:[...future, past[past.length - 1]]} : edits;
+        case mutations.REDO:
+            return future.length ? {past:[...past, future[future.length - 1]], future:future.slice(0, -1)} : edits;
+        case mutations.LOGOUT:
+            return defaultEdits;
+    }
+    let deleted = deletedIDs(action);
+    if (deleted.length) {
+        return {past:withoutDeleted(past, deleted), future:withoutDeleted(future, deleted)};
+    }
+    // Changes made elsewhere, and those replayed by undo and redo themselves, aren't steps of their own
+    let step = !action.fromServer && !action.fromHistory && stepFor(state, action);
+    if (!step) {
+        return edits;
+    }
+    let last = past[past.length - 1];
+    if (step.mergeKey && !future.length && last && last.mergeKey === step.mergeKey) {
+        return {past:[...past.slice(0, -1), {...last, redo:step.redo}], future};
+    }
+    return {past:[...past, step].slice(-MAX_STEPS), future:[]};
+};
+
+export const undoable = reducer=>(state = {}, action)=>{
+    let {edits = defaultEdits, ...rest} = state;
+    let next = reducer(rest, action);
+    let nextEdits = updateEdits(edits, rest, action);
+    return next === rest && nextEdits === edits ? state : {...next, edits:nextEdits};
+};
@@ -0,0 +1,71 @@
+import express from 'express';
+import request from 'supertest';
+
+jest.mock('../config', () => ({
+  API_VERSION: 'v1'
+}));
+
+jest.mock('../authenticate', () => ({
+  requireAuthentication: jest.fn((req, res, next) => {
+    req.userID = 'user-1';
+    next();
+  })
+}));
+
+jest.mock('../communicate-db', () => ({
+  listActivityFeed: jest.fn()
+}));
+
+import { activityRoutes, ACTIVITY_PATH } from '../activity-routes';
+import { requireAuthentication } from '../authenticate';
+import { listActivityFeed } from '../communicate-db';
+import { errorHandler, UnauthorizedError } from '../errors';
+
+describe('Activity Routes', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    app = express();
+    activityRoutes(app);
+    app.use(errorHandler);
+  });
+
+  it('should mount under the versioned API prefix', () => {
+    expect(ACTIVITY_PATH).toBe('/api/v1/activity');
+  });
+
+  it('should require authentication', async () => {
+    requireAuthentication.mockImplementationOnce((req, res, next) => next(new UnauthorizedError()));
+
+    await request(app).get('/api/v1/activity').expect(401);
+
+    expect(listActivityFeed).not.toHaveBeenCalled();
+  });
+
+  it('should respond with the user\'s feed', async () => {
+    const entry = { id: 'activity-1', task: 'task-1', actor: 'user-2', field: 'name', from: 'Old', to: 'New' };
+    listActivityFeed.mockResolvedValue([entry]);
+
+    const response = await request(app).get('/api/v1/activity').expect(200);
+
+    expect(response.body).toEqual({ activity: [entry] });
+    expect(listActivityFeed).toHaveBeenCalledWith({}, 'user-1');
+  });
+
+  it('should continue from an earlier entry', async () => {
+    listActivityFeed.mockResolvedValue([]);
+
+    await request(app).get('/api/v1/activity?before=2026-10-19T12:00:00.000Z&beforeID=activity-2').expect(200);
+
+    expect(listActivityFeed).toHaveBeenCalledWith({ before: '2026-10-19T12:00:00.000Z', beforeID: 'activity-2' }, 'user-1');
+  });
+
+  it('should reject malformed times', async () => {
+    const response = await request(app).get('/api/v1/activity?before=yesterday').expect(400);
+
+    expect(response.body.error.details.map(detail => detail.field)).toEqual(['query.before']);
+    expect(listActivityFeed).not.toHaveBeenCalled();
+  });
+});
@@ -1,6 +1,7 @@
 import { connectDB } from '../connect-db';
 import { assembleUserState } from '../utility';
-import md5 from 'md5';
+import { hashPassword, verifyPassword } from '../password';
+import { createSession, verifyAccessToken, refreshSession, revokeSession } from '../session';
 import uuid from 'uuid';
 
 // Mock dependencies
@@ -12,7 +13,17 @@ jest.mock('../utility', () => ({
   assembleUserState: jest.fn()
 }));
 
-jest.mock('md5', () => jest.fn());
+jest.mock('../password', () => ({
+  hashPassword: jest.fn(),
+  verifyPassword: jest.fn()
+}));
+
+jest.mock('../session', () => ({
+  createSession: jest.fn(),
+  verifyAccessToken: jest.fn(),
+  refreshSession: jest.fn(),
+  revokeSession: jest.fn()
+}));
 
 jest.mock('uuid', () => ({
   __esModule: true,
@@ -20,7 +31,8 @@ jest.mock('uuid', () => ({
 }));
 
 // Import after mocking
-import { authenticationRoute } from '../authenticate';
+import { authenticationRoute, requireAuthentication } from '../authenticate';
+import { errorHandler, UnauthorizedError } from '../errors';
 
 describe('Authentication Module', () => {
   let mockApp;
@@ -36,7 +48,8 @@ describe('Authentication Module', () => {
     // Setup mock collections
     mockUsersCollection = {
       findOne: jest.fn(),
-      insertOne: jest.fn()
+      insertOne: jest.fn(),
+      updateOne: jest.fn()
     };
 
     mockGroupsCollection = {
@@ -59,7 +72,8 @@ describe('Authentication Module', () => {
 
     // Setup mock Express app
     mockApp = {
-      post: jest.fn()
+      post: jest.fn(),
+      get: jest.fn()
     };
 
     // Setup mock request/response
@@ -75,12 +89,62 @@ describe('Authentication Module', () => {
     connectDB.mockResolvedValue(mockDb);
   });
 
+  // Runs the middleware chain registered for a route, stopping at the first handler that doesn't call next
+  const routeHandler = (path, method = 'post') => async (req, res) => {
+    const handlers = mockApp[method].mock.calls.find(call => call[0] === path).slice(1);
+    for (const handler of handlers) {
+      let calledNext = false;
+      let error;
+      await handler(req, res, err => { calledNext = true; error = err; });
+      if (error) {
+        return errorHandler(error, req, res);
+      }
+      if (!calledNext) {
+        return;
+      }
+    }
+  };
+
   describe('authenticationRoute', () => {
     it('should register authentication routes', () => {
       authenticationRoute(mockApp);
 
-      expect(mockApp.post).toHaveBeenCalledWith('/authenticate', expect.any(Function));
-      expect(mockApp.post).toHaveBeenCalledWith('/user/create', expect.any(Function));
+      expect(mockApp.post).toHaveBeenCalledWith('/authenticate', expect.any(Function), expect.any(Function));
+      expect(mockApp.post).toHaveBeenCalledWith('/user/create', expect.any(Function), expect.any(Function));
+      expect(mockApp.post).toHaveBeenCalledWith('/token/refresh', expect.any(Function));
+      expect(mockApp.post).toHaveBeenCalledWith('/logout', expect.any(Function));
+      expect(mockApp.get).toHaveBeenCalledWith('/state', expect.any(Function), expect.any(Function));
+    });
+  });
+
+  describe('/state endpoint', () => {
+    let stateHandler;
+
+    beforeEach(() => {
+      authenticationRoute(mockApp);
+      stateHandler = routeHandler('/state', 'get');
+    });
+
+    it('should send the state of the user the access token belongs to', async () => {
+      const state = { session: { id: 'user-1' }, tasks: [], groups: [] };
+      verifyAccessToken.mockReturnValue('user-1');
+      assembleUserState.mockResolvedValue(state);
+      mockRequest.headers = { authorization: 'Bearer access-token' };
+
+      await stateHandler(mockRequest, mockResponse);
+
+      expect(assembleUserState).toHaveBeenCalledWith({ id: 'user-1' });
+      expect(mockResponse.send).toHaveBeenCalledWith({ state });
+    });
+
+    it('should reject requests without a valid access token', async () => {
+      verifyAccessToken.mockReturnValue(null);
+      mockRequest.headers = {};
+
+      await stateHandler(mockRequest, mockResponse);
+
+      expect(mockResponse.status).toHaveBeenCalledWith(401);
+      expect(assembleUserState).not.toHaveBeenCalled();
     });
   });
 
@@ -89,9 +153,7 @@ describe('Authentication Module', () => {
 
     beforeEach(() => {
       authenticationRoute(mockApp);
-      authenticateHandler = mockApp.post.mock.calls.find(
-        call => call[0] === '/authenticate'
-      )[1];
+      authenticateHandler = routeHandler('/authenticate');
     });
 
     it('should authenticate user with correct credentials', async () => {
@@ -115,23 +177,55 @@ describe('Authentication Module', () => {
       };
 
       mockUsersCollection.findOne.mockResolvedValue(user);
-      md5.mockReturnValue('hashed-password');
-      uuid.mockReturnValue('auth-token-123');
+      verifyPassword.mockResolvedValue({ valid: true, needsRehash: false });
+      createSession.mockResolvedValue({ token: 'auth-token-123', refreshToken: 'refresh-token-123' });
       assembleUserState.mockResolvedValue(state);
 
       await authenticateHandler(mockRequest, mockResponse);
 
       expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ name: 'testuser' });
-      expect(md5).toHaveBeenCalledWith('password123');
-      expect(uuid).toHaveBeenCalled();
+      expect(verifyPassword).toHaveBeenCalledWith('password123', 'hashed-password');
+      expect(mockUsersCollection.updateOne).not.toHaveBeenCalled();
+      expect(createSession).toHaveBeenCalledWith('user-1');
       expect(assembleUserState).toHaveBeenCalledWith(user);
       expect(mockResponse.send).toHaveBeenCalledWith({
         token: 'auth-token-123',
+        refreshToken: 'refresh-token-123',
         state
       });
     });
 
-    it('should return 500 when user not found', async () => {
+    it('should upgrade the stored hash when the password needs a rehash', async () => {
+      const user = {
+        id: 'user-1',
+        name: 'testuser',
+        passwordHash: 'legacy-md5-hash'
+      };
+
+      mockRequest.body = {
+        username: 'testuser',
+        password: 'password123'
+      };
+
+      mockUsersCollection.findOne.mockResolvedValue(user);
+      verifyPassword.mockResolvedValue({ valid: true, needsRehash: true });
+      hashPassword.mockResolvedValue('bcrypt-hash');
+      createSession.mockResolvedValue({ token: 'rehash-token', refreshToken: 'rehash-refresh' });
+      assembleUserState.mockResolvedValue({});
+
+      await authenticateHandler(mockRequest, mockResponse);
+
+      expect(hashPassword).toHaveBeenCalledWith('password123');
+      expect(mockUsersCollection.updateOne).toHaveBeenCalledWith(
+        { id: 'user-1' },
+        { $set: { passwordHash: 'bcrypt-hash' } }
+      );
+      expect(mockResponse.send).toHaveBeenCalledWith(
+        expect.objectContaining({ token: 'rehash-token' })
+      );
+    });
+
+    it('should return 401 when user not found', async () => {
       mockRequest.body = {
         username: 'nonexistent',
         password: 'password123'
@@ -141,11 +235,13 @@ describe('Authentication Module', () => {
 
       await authenticateHandler(mockRequest, mockResponse);
 
-      expect(mockResponse.status).toHaveBeenCalledWith(500);
-      expect(mockResponse.send).toHaveBeenCalledWith('User not found');
+      expect(mockResponse.status).toHaveBeenCalledWith(401);
+      expect(mockResponse.send).toHaveBeenCalledWith({
+        error: { status: 401, code: 'UNAUTHORIZED', message: 'User not found' }
+      });
     });
 
-    it('should return 500 when password is incorrect', async () => {
+    it('should return 401 when password is incorrect', async () => {
       const user = {
         id: 'user-1',
         name: 'testuser',
@@ -158,12 +254,14 @@ describe('Authentication Module', () => {
       };
 
       mockUsersCollection.findOne.mockResolvedValue(user);
-      md5.mockReturnValue('wrong-hash');
+      verifyPassword.mockResolvedValue({ valid: false, needsRehash: false });
 
       await authenticateHandler(mockRequest, mockResponse);
 
-      expect(mockResponse.status).toHaveBeenCalledWith(500);
-      expect(mockResponse.send).toHaveBeenCalledWith('Password incorrect');
+      expect(mockResponse.status).toHaveBeenCalledWith(401);
+      expect(mockResponse.send).toHaveBeenCalledWith({
+        error: { status: 401, code: 'UNAUTHORIZED', message: 'Password incorrect' }
+      });
     });
 
     it('should handle database connection errors', async () => {
@@ -187,8 +285,42 @@ describe('Authentication Module', () => {
 
       await authenticateHandler(mockRequest, mockResponse);
 
-      expect(mockResponse.status).toHaveBeenCalledWith(500);
-      expect(mockResponse.send).toHaveBeenCalledWith('User not found');
+      expect(mockUsersCollection.findOne).not.toHaveBeenCalled();
+      expect(mockResponse.status).toHaveBeenCalledWith(400);
+      expect(mockResponse.send).toHaveBeenCalledWith({
+        error: {
+          status: 400,
+          code: 'BAD_REQUEST',
+          message: 'Invalid request',
+          details: [{ field: 'password', message: 'is required' }]
+        }
+      });
+    });
+
+    it('should strip fields that are not part of the schema', async () => {
+      mockRequest.body = {
+        username: 'testuser',
+        password: 'password123',
+        isAdmin: true
+      };
+
+      mockUsersCollection.findOne.mockResolvedValue(null);
+
+      await authenticateHandler(mockRequest, mockResponse);
+
+      expect(mockRequest.body).toEqual({ username: 'testuser', password: 'password123' });
+    });
+
+    it('should reject usernames that are not strings', async () => {
+      mockRequest.body = {
+        username: { $ne: null },
+        password: 'password123'
+      };
+
+      await authenticateHandler(mockRequest, mockResponse);
+
+      expect(mockUsersCollection.findOne).not.toHaveBeenCalled();
+      expect(mockResponse.status).toHaveBeenCalledWith(400);
     });
   });
 
@@ -197,9 +329,7 @@ describe('Authentication Module', () => {
 
     beforeEach(() => {
       authenticationRoute(mockApp);
-      createUserHandler = mockApp.post.mock.calls.find(
-        call => call[0] === '/user/create'
-      )[1];
+      createUserHandler = routeHandler('/user/create');
     });
 
     it('should create new user successfully', async () => {
@@ -219,12 +349,12 @@ describe('Authentication Module', () => {
 
       mockUsersCollection.findOne.mockResolvedValue(null); // User doesn't exist
       uuid.mockReturnValueOnce('user-123').mockReturnValueOnce('group-456');
-      md5.mockReturnValue('hashed-password');
+      createSession.mockResolvedValue({ token: 'auth-token-789', refreshToken: 'refresh-token-789' });
+      hashPassword.mockResolvedValue('hashed-password');
       assembleUserState.mockResolvedValue(state);
 
       await createUserHandler(mockRequest, mockResponse);
 
-      expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ name: 'newuser' });
       expect(mockUsersCollection.insertOne).toHaveBeenCalledWith({
         name: 'newuser',
         id: 'user-123',
@@ -233,7 +363,8 @@ describe('Authentication Module', () => {
       expect(mockGroupsCollection.insertOne).toHaveBeenCalledWith({
         id: 'group-456',
         owner: 'user-123',
-        name: 'To Do'
+        name: 'To Do',
+        position: 0
       });
       expect(assembleUserState).toHaveBeenCalledWith({
         id: 'user-123',
@@ -242,29 +373,28 @@ describe('Authentication Module', () => {
       expect(mockResponse.status).toHaveBeenCalledWith(200);
       expect(mockResponse.send).toHaveBeenCalledWith({
         userID: 'user-123',
+        token: 'auth-token-789',
+        refreshToken: 'refresh-token-789',
         state
       });
     });
 
-    it('should return 500 when user already exists', async () => {
-      const existingUser = {
-        id: 'existing-user',
-        name: 'existinguser',
-        passwordHash: 'existing-hash'
-      };
-
+    it('should return 409 when user already exists', async () => {
       mockRequest.body = {
         username: 'existinguser',
         password: 'password123'
       };
 
-      mockUsersCollection.findOne.mockResolvedValue(existingUser);
+      // The unique index on users.name rejects the insert
+      const duplicateKeyError = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      mockUsersCollection.insertOne.mockRejectedValue(duplicateKeyError);
 
       await createUserHandler(mockRequest, mockResponse);
 
-      expect(mockResponse.status).toHaveBeenCalledWith(500);
+      expect(mockGroupsCollection.insertOne).not.toHaveBeenCalled();
+      expect(mockResponse.status).toHaveBeenCalledWith(409);
       expect(mockResponse.send).toHaveBeenCalledWith({
-        message: 'A user with that account name already exists.'
+        error: { status: 409, code: 'CONFLICT', message: 'A user with that account name already exists.' }
       });
     });
 
@@ -317,7 +447,8 @@ describe('Authentication Module', () => {
 
       await createUserHandler(mockRequest, mockResponse);
 
-      expect(mockResponse.status).toHaveBeenCalledWith(500);
+      expect(mockUsersCollection.insertOne).not.toHaveBeenCalled();
+      expect(mockResponse.status).toHaveBeenCalledWith(400);
     });
 
     it('should hash password correctly', async () => {
@@ -327,11 +458,11 @@ describe('Authentication Module', () => {
       };
 
       mockUsersCollection.findOne.mockResolvedValue(null);
-      md5.mockReturnValue('hashed-mypassword');
+      hashPassword.mockResolvedValue('hashed-mypassword');
 
       await createUserHandler(mockRequest, mockResponse);
 
-      expect(md5).toHaveBeenCalledWith('mypassword');
+      expect(hashPassword).toHaveBeenCalledWith('mypassword');
       expect(mockUsersCollection.insertOne).toHaveBeenCalledWith(
         expect.objectContaining({
           passwordHash: 'hashed-mypassword'
@@ -365,10 +496,8 @@ describe('Authentication Module', () => {
     });
   });
 
-  describe('Authentication Tokens', () => {
-    it('should store authentication tokens', async () => {
-      // This would require accessing the internal authenticationTokens array
-      // For now, we'll test that tokens are generated and used
+  describe('Session Tokens', () => {
+    it('should issue a session for the authenticated user', async () => {
       const user = {
         id: 'user-1',
         name: 'testuser',
@@ -381,52 +510,149 @@ describe('Authentication Module', () => {
       };
 
       mockUsersCollection.findOne.mockResolvedValue(user);
-      md5.mockReturnValue('hashed-password');
-      uuid.mockReturnValue('test-token-123');
+      verifyPassword.mockResolvedValue({ valid: true, needsRehash: false });
+      createSession.mockResolvedValue({ token: 'test-token-123', refreshToken: 'test-refresh-123' });
       assembleUserState.mockResolvedValue({});
 
       authenticationRoute(mockApp);
-      const authenticateHandler = mockApp.post.mock.calls.find(
-        call => call[0] === '/authenticate'
-      )[1];
+      const authenticateHandler = routeHandler('/authenticate');
 
       await authenticateHandler(mockRequest, mockResponse);
 
-      expect(uuid).toHaveBeenCalled();
+      expect(createSession).toHaveBeenCalledWith('user-1');
       expect(mockResponse.send).toHaveBeenCalledWith(
         expect.objectContaining({
-          token: 'test-token-123'
+          token: 'test-token-123',
+          refreshToken: 'test-refresh-123'
         })
       );
     });
   });
 
+  describe('/token/refresh endpoint', () => {
+    let refreshHandler;
+
+    beforeEach(() => {
+      authenticationRoute(mockApp);
+      refreshHandler = routeHandler('/token/refresh');
+    });
+
+    it('should exchange a refresh token for a new session', async () => {
+      const session = { token: 'new-token', refreshToken: 'new-refresh' };
+      mockRequest.body = { refreshToken: 'old-refresh' };
+      refreshSession.mockResolvedValue(session);
+
+      await refreshHandler(mockRequest, mockResponse);
+
+      expect(refreshSession).toHaveBeenCalledWith('old-refresh');
+      expect(mockResponse.send).toHaveBeenCalledWith(session);
+    });
+
+    it('should return 401 for an invalid or revoked refresh token', async () => {
+      mockRequest.body = { refreshToken: 'revoked-refresh' };
+      refreshSession.mockResolvedValue(null);
+
+      await refreshHandler(mockRequest, mockResponse);
+
+      expect(mockResponse.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should handle database errors', async () => {
+      mockRequest.body = { refreshToken: 'old-refresh' };
+      refreshSession.mockRejectedValue(new Error('Database connection failed'));
+
+      await refreshHandler(mockRequest, mockResponse);
+
+      expect(mockResponse.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('/logout endpoint', () => {
+    it('should revoke the refresh token', async () => {
+      authenticationRoute(mockApp);
+      const logoutHandler = routeHandler('/logout');
+
+      mockRequest.body = { refreshToken: 'refresh-token' };
+      revokeSession.mockResolvedValue(true);
+
+      await logoutHandler(mockRequest, mockResponse);
+
+      expect(revokeSession).toHaveBeenCalledWith('refresh-token');
+      expect(mockResponse.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('requireAuthentication middleware', () => {
+    let next;
+
+    beforeEach(() => {
+      next = jest.fn();
+    });
+
+    it('should accept a valid bearer access token', () => {
+      verifyAccessToken.mockReturnValue('user-1');
+
+      const req = { headers: { authorization: 'Bearer access-token' } };
+      requireAuthentication(req, mockResponse, next);
+
+      expect(verifyAccessToken).toHaveBeenCalledWith('access-token');
+      expect(next).toHaveBeenCalledWith();
+      expect(req.userID).toBe('user-1');
+    });
+
+    it('should reject requests without an authorization header', () => {
+      requireAuthentication({ headers: {} }, mockResponse, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
+    });
+
+    it('should reject invalid or expired tokens', () => {
+      verifyAccessToken.mockReturnValue(null);
+
+      requireAuthentication({ headers: { authorization: 'Bearer forged-token' } }, mockResponse, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
+    });
+
+    it('should reject schemes other than Bearer', () => {
+      verifyAccessToken.mockReturnValue('user-1');
+
+      requireAuthentication({ headers: { authorization: 'Basic access-token' } }, mockResponse, next);
+
+      expect(verifyAccessToken).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
+    });
+  });
+
   describe('Edge Cases', () => {
     it('should handle empty request body', async () => {
       mockRequest.body = {};
 
       authenticationRoute(mockApp);
-      const authenticateHandler = mockApp.post.mock.calls.find(
-        call => call[0] === '/authenticate'
-      )[1];
+      const authenticateHandler = routeHandler('/authenticate');
 
       await authenticateHandler(mockRequest, mockResponse);
 
-      expect(mockResponse.status).toHaveBeenCalledWith(500);
+      expect(mockResponse.status).toHaveBeenCalledWith(400);
     });
 
     it('should handle null request body', async () => {
       mockRequest.body = null;
 
       authenticationRoute(mockApp);
-      const authenticateHandler = mockApp.post.mock.calls.find(
-        call => call[0] === '/authenticate'
-      )[1];
+      const authenticateHandler = routeHandler('/authenticate');
 
       await authenticateHandler(mockRequest, mockResponse);
 
-      expect(mockResponse.status).toHaveBeenCalledWith(500);
-      expect(mockResponse.send).toHaveBeenCalledWith('Request body is null');
+      expect(mockResponse.status).toHaveBeenCalledWith(400);
+      expect(mockResponse.send).toHaveBeenCalledWith({
+        error: {
+          status: 400,
+          code: 'BAD_REQUEST',
+          message: 'Invalid request',
+          details: [{ field: 'body', message: 'must be an object' }]
+        }
+      });
     });
 
     it('should handle special characters in username', async () => {
@@ -438,13 +664,13 @@ describe('Authentication Module', () => {
       mockUsersCollection.findOne.mockResolvedValue(null);
 
       authenticationRoute(mockApp);
-      const createUserHandler = mockApp.post.mock.calls.find(
-        call => call[0] === '/user/create'
-      )[1];
+      const createUserHandler = routeHandler('/user/create');
 
       await createUserHandler(mockRequest, mockResponse);
 
-      expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ name: 'user@domain.com' });
+      expect(mockUsersCollection.insertOne).toHaveBeenCalledWith(
+        expect.objectContaining({ name: 'user@domain.com' })
+      );
     });
   });
 });
@@ -1,12 +1,47 @@
 import { connectDB } from '../connect-db';
+import { publish } from '../realtime';
 
 // Mock connectDB
 jest.mock('../connect-db', () => ({
   connectDB: jest.fn()
 }));
 
+jest.mock('../realtime', () => ({
+  publish: jest.fn()
+}));
+
 // Import after mocking
-import { addNewTask, updateTask } from '../communicate-db';
+import {
+  getTask,
+  listTasks,
+  addNewTask,
+  updateTask,
+  deleteTask,
+  addComment,
+  deleteComment,
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+  listTaskActivity,
+  listActivityFeed,
+  ACTIVITY_LIMIT,
+  searchTasks,
+  SEARCH_LIMIT,
+  listGroups,
+  addGroup,
+  updateGroup,
+  deleteGroup,
+  setCollaborator,
+  removeCollaborator,
+  searchUsers,
+  USER_SEARCH_LIMIT,
+  listFriends,
+  sendFriendRequest,
+  acceptFriendRequest,
+  deleteFriendRequest,
+  removeFriend
+} from '../communicate-db';
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError } from '../errors';
 
 describe('Database Communication Module', () => {
   let mockDb;
@@ -16,9 +51,18 @@ describe('Database Communication Module', () => {
     jest.clearAllMocks();
     
     // Setup mock collection
+    // The same collection mock serves tasks and groups, both owned by the acting user
     mockCollection = {
+      findOne: jest.fn().mockResolvedValue({ owner: 'user-1' }),
+      find: jest.fn().mockReturnValue({ toArray: jest.fn().mockResolvedValue([]) }),
+      countDocuments: jest.fn().mockResolvedValue(0),
       insertOne: jest.fn(),
-      updateOne: jest.fn()
+      insertMany: jest.fn(),
+      updateOne: jest.fn(),
+      findOneAndUpdate: jest.fn().mockResolvedValue({ value: { id: 'task-1', owner: 'user-1', version: 2 } }),
+      updateMany: jest.fn(),
+      deleteOne: jest.fn(),
+      deleteMany: jest.fn()
     };
 
     // Setup mock database
@@ -38,11 +82,11 @@ describe('Database Communication Module', () => {
         owner: 'user-1'
       };
 
-      await addNewTask(task);
+      await addNewTask(task, 'user-1');
 
       expect(connectDB).toHaveBeenCalled();
       expect(mockDb.collection).toHaveBeenCalledWith('tasks');
-      expect(mockCollection.insertOne).toHaveBeenCalledWith(task);
+      expect(mockCollection.insertOne).toHaveBeenCalledWith({ ...task, owner: 'user-1', position: 0, version: 1 });
     });
 
     it('should handle task with minimal properties', async () => {
@@ -50,9 +94,34 @@ describe('Database Communication Module', () => {
         name: 'Simple Task'
       };
 
-      await addNewTask(task);
+      await addNewTask(task, 'user-1');
+
+      expect(mockCollection.insertOne).toHaveBeenCalledWith({ ...task, id: expect.any(String), owner: 'user-1', position: 0, version: 1 });
+    });
+
+    it('should generate an id when the task has none', async () => {
+      const first = await addNewTask({ group: 'group-1' }, 'user-1');
+      const second = await addNewTask({ group: 'group-1' }, 'user-1');
+
+      expect(first.id).toEqual(expect.any(String));
+      expect(first.id).not.toBe(second.id);
+    });
+
+    it('should return the created task', async () => {
+      const task = { id: 'task-1', group: 'group-1', name: 'Task' };
 
-      expect(mockCollection.insertOne).toHaveBeenCalledWith(task);
+      await expect(addNewTask(task, 'user-1')).resolves.toEqual({ ...task, owner: 'user-1', position: 0, version: 1 });
+    });
+
+    it('should add the task after the last task in its group', async () => {
+      mockCollection.find.mockReturnValue({
+        toArray: jest.fn().mockResolvedValue([{ id: 'task-1', position: 0 }, { id: 'task-2', position: 3 }])
+      });
+
+      const created = await addNewTask({ id: 'task-3', group: 'group-1' }, 'user-1');
+
+      expect(mockCollection.find).toHaveBeenCalledWith({ group: 'group-1' });
+      expect(created.position).toBe(4);
     });
 
     it('should handle database connection errors', async () => {
@@ -61,7 +130,7 @@ describe('Database Communication Module', () => {
 
       const task = { name: 'Test Task' };
 
-      await expect(addNewTask(task)).rejects.toThrow('Database connection failed');
+      await expect(addNewTask(task, 'user-1')).rejects.toThrow('Database connection failed');
     });
 
     it('should handle insertion errors', async () => {
@@ -70,23 +139,257 @@ describe('Database Communication Module', () => {
 
       const task = { name: 'Test Task' };
 
-      await expect(addNewTask(task)).rejects.toThrow('Insertion failed');
+      await expect(addNewTask(task, 'user-1')).rejects.toThrow('Insertion failed');
+    });
+  });
+
+  describe('getTask', () => {
+    it('should return a task the user can see', async () => {
+      mockCollection.findOne.mockResolvedValue({ id: 'task-1', owner: 'user-1' });
+
+      await expect(getTask('task-1', 'user-1')).resolves.toEqual({ id: 'task-1', owner: 'user-1' });
+      expect(mockCollection.findOne).toHaveBeenCalledWith({ id: 'task-1' });
+    });
+
+    it('should refuse tasks owned by someone else', async () => {
+      mockCollection.findOne.mockResolvedValue({ id: 'task-1', owner: 'user-2' });
+
+      await expect(getTask('task-1', 'user-1')).rejects.toThrow(ForbiddenError);
+    });
+
+    it('should report missing tasks', async () => {
+      mockCollection.findOne.mockResolvedValue(null);
+
+      await expect(getTask('missing', 'user-1')).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  // The tasks user-1 can see when no groups are shared with them
+  const visibleTasks = {
+    $or: [{ owner: 'user-1' }, { 'collaborators.user': 'user-1' }, { assignees: 'user-1' }, { group: { $in: [] } }]
+  };
+
+  describe('listTasks', () => {
+    it('should only list tasks the user can see', async () => {
+      const tasks = [{ id: 'task-1', owner: 'user-1' }];
+      mockCollection.find
+        .mockReturnValueOnce({ toArray: jest.fn().mockResolvedValue([]) })
+        .mockReturnValueOnce({ toArray: jest.fn().mockResolvedValue(tasks) });
+
+      await expect(listTasks({}, 'user-1')).resolves.toEqual(tasks);
+      expect(mockCollection.find).toHaveBeenCalledWith({ $and: [{}, visibleTasks] });
+    });
+
+    it('should include tasks in groups shared with the user', async () => {
+      mockCollection.find.mockReturnValueOnce({ toArray: jest.fn().mockResolvedValue([{ id: 'group-2' }]) });
+
+      await listTasks({}, 'user-1');
+
+      expect(mockCollection.find).toHaveBeenNthCalledWith(1, {
+        $or: [{ owner: 'user-1' }, { 'collaborators.user': 'user-1' }]
+      });
+      expect(mockCollection.find).toHaveBeenNthCalledWith(2, {
+        $and: [{}, { $or: [{ owner: 'user-1' }, { 'collaborators.user': 'user-1' }, { assignees: 'user-1' }, { group: { $in: ['group-2'] } }] }]
+      });
+    });
+
+    it('should apply filters', async () => {
+      await listTasks({ group: 'group-1', isComplete: false }, 'user-1');
+
+      expect(mockCollection.find).toHaveBeenCalledWith({ $and: [{ group: 'group-1', isComplete: false }, visibleTasks] });
+    });
+
+    it('should count tasks without an archive state as not archived', async () => {
+      await listTasks({ isArchived: false }, 'user-1');
+
+      expect(mockCollection.find).toHaveBeenCalledWith({ $and: [{ isArchived: { $ne: true } }, visibleTasks] });
+    });
+
+    it('should not let a filter override the visibility rules', async () => {
+      await listTasks({ owner: 'user-2' }, 'user-1');
+
+      expect(mockCollection.find).toHaveBeenCalledWith({ $and: [{ owner: 'user-2' }, visibleTasks] });
+    });
+  });
+
+  describe('deleteTask', () => {
+    it('should delete a task the user owns', async () => {
+      mockCollection.findOne.mockResolvedValue({ id: 'task-1', owner: 'user-1' });
+
+      await deleteTask('task-1', 'user-1');
+
+      expect(mockCollection.deleteOne).toHaveBeenCalledWith({ id: 'task-1' });
+    });
+
+    it('should delete the task\'s comments', async () => {
+      mockCollection.findOne.mockResolvedValue({ id: 'task-1', owner: 'user-1' });
+
+      await deleteTask('task-1', 'user-1');
+
+      expect(mockDb.collection).toHaveBeenCalledWith('comments');
+      expect(mockCollection.deleteMany).toHaveBeenCalledWith({ task: 'task-1' });
+    });
+
+    it('should refuse to delete a task owned by someone else', async () => {
+      mockCollection.findOne.mockResolvedValue({ id: 'task-1', owner: 'user-2' });
+
+      await expect(deleteTask('task-1', 'user-1')).rejects.toThrow(ForbiddenError);
+      expect(mockCollection.deleteOne).not.toHaveBeenCalled();
+      expect(mockCollection.deleteMany).not.toHaveBeenCalled();
+    });
+
+    it('should report missing tasks', async () => {
+      mockCollection.findOne.mockResolvedValue(null);
+
+      await expect(deleteTask('missing', 'user-1')).rejects.toThrow(NotFoundError);
+      expect(mockCollection.deleteOne).not.toHaveBeenCalled();
     });
   });
 
   describe('updateTask', () => {
+    it('should move a task within its group and renumber its siblings', async () => {
+      mockCollection.findOne.mockResolvedValue({ id: 'task-3', group: 'group-1', owner: 'user-1' });
+      mockCollection.find.mockReturnValue({
+        toArray: jest.fn().mockResolvedValue([
+          { id: 'task-1', position: 0 },
+          { id: 'task-2', position: 1 },
+          { id: 'task-3', position: 2 }
+        ])
+      });
+
+      mockCollection.findOneAndUpdate
+        .mockResolvedValueOnce({ value: { id: 'task-3', position: 1, version: 2 } })
+        .mockResolvedValueOnce({ value: { id: 'task-2', position: 2, version: 5 } });
+
+      await expect(updateTask({ id: 'task-3', position: 1 }, 'user-1')).resolves.toEqual({
+        task: { id: 'task-3', position: 1, version: 2 },
+        tasks: [{ id: 'task-2', position: 2, version: 5 }]
+      });
+
+      expect(mockCollection.find).toHaveBeenCalledWith({ group: 'group-1' });
+      // Only the task it was moved in front of changes position, and it goes up a version too
+      expect(mockCollection.findOneAndUpdate.mock.calls).toEqual([
+        [{ id: 'task-3' }, { $set: { position: 1 }, $inc: { version: 1 } }, { returnOriginal: false }],
+        [{ id: 'task-2' }, { $set: { position: 2 }, $inc: { version: 1 } }, { returnOriginal: false }]
+      ]);
+      expect(mockCollection.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should position a task among the tasks of its new group', async () => {
+      mockCollection.findOne.mockResolvedValue({ id: 'task-3', group: 'group-1', owner: 'user-1' });
+      mockCollection.find.mockReturnValue({
+        toArray: jest.fn().mockResolvedValue([{ id: 'task-4', position: 0 }])
+      });
+
+      mockCollection.findOneAndUpdate
+        .mockResolvedValueOnce({ value: { id: 'task-3', group: 'group-2', position: 0, version: 2 } })
+        .mockResolvedValueOnce({ value: { id: 'task-4', position: 1, version: 2 } });
+
+      await updateTask({ id: 'task-3', group: 'group-2', position: 0 }, 'user-1');
+
+      expect(mockCollection.find).toHaveBeenCalledWith({ group: 'group-2' });
+      expect(mockCollection.findOneAndUpdate.mock.calls).toEqual([
+        [{ id: 'task-3' }, { $set: { group: 'group-2', position: 0 }, $inc: { version: 1 } }, { returnOriginal: false }],
+        [{ id: 'task-4' }, { $set: { position: 1 }, $inc: { version: 1 } }, { returnOriginal: false }]
+      ]);
+    });
+
+    it('should publish the renumbered tasks with their new versions', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-3', group: 'group-1', owner: 'user-1' })
+        .mockResolvedValueOnce({ id: 'group-1', owner: 'user-1' });
+      mockCollection.find.mockReturnValue({
+        toArray: jest.fn().mockResolvedValue([{ id: 'task-4', owner: 'user-1', position: 0 }, { id: 'task-3', position: 1 }])
+      });
+      mockCollection.findOneAndUpdate
+        .mockResolvedValueOnce({ value: { id: 'task-3', owner: 'user-1', position: 0, version: 2 } })
+        .mockResolvedValueOnce({ value: { id: 'task-4', owner: 'user-1', position: 1, version: 7 } });
+
+      await updateTask({ id: 'task-3', position: 0 }, 'user-1');
+
+      expect(publish).toHaveBeenCalledWith(['user-1'], { type: 'TASK_SAVED', task: { id: 'task-4', owner: 'user-1', position: 1, version: 7 } });
+    });
+
+    it('should update descriptive fields in a single write', async () => {
+      await updateTask({
+        id: 'task-1',
+        description: '**Soon**',
+        dueDate: '2026-11-01',
+        priority: 'high',
+        labels: ['work']
+      }, 'user-1');
+
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith(
+        { id: 'task-1' },
+        { $set: { description: '**Soon**', dueDate: '2026-11-01', priority: 'high', labels: ['work'] }, $inc: { version: 1 } },
+        { returnOriginal: false }
+      );
+    });
+
+    it('should ignore fields that cannot be changed', async () => {
+      await updateTask({ id: 'task-1', owner: 'user-2', name: 'Task' }, 'user-1');
+
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith({ id: 'task-1' }, { $set: { name: 'Task' }, $inc: { version: 1 } }, { returnOriginal: false });
+    });
+
+    it('should archive and restore a task', async () => {
+      await updateTask({ id: 'task-1', isArchived: true }, 'user-1');
+      await updateTask({ id: 'task-1', isArchived: false }, 'user-1');
+
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith({ id: 'task-1' }, { $set: { isArchived: true }, $inc: { version: 1 } }, { returnOriginal: false });
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith({ id: 'task-1' }, { $set: { isArchived: false }, $inc: { version: 1 } }, { returnOriginal: false });
+    });
+
+    it('should return the updated task', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', name: 'Old', owner: 'user-1' })
+        .mockResolvedValueOnce({ id: 'group-1', owner: 'user-1' });
+      mockCollection.findOneAndUpdate.mockResolvedValueOnce({ value: { id: 'task-1', name: 'New', owner: 'user-1', version: 2 } });
+
+      await expect(updateTask({ id: 'task-1', name: 'New' }, 'user-1'))
+        .resolves.toEqual({ task: { id: 'task-1', name: 'New', owner: 'user-1', version: 2 }, tasks: [] });
+    });
+
+    it('should only update the version of the task the client saw', async () => {
+      mockCollection.findOne.mockResolvedValue({ id: 'task-1', name: 'Old', owner: 'user-1', version: 3 });
+
+      await updateTask({ id: 'task-1', name: 'New', version: 3 }, 'user-1');
+
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith(
+        { id: 'task-1', version: 3 },
+        { $set: { name: 'New' }, $inc: { version: 1 } },
+        { returnOriginal: false }
+      );
+    });
+
+    it('should refuse an update to a version that has changed, sending the current task', async () => {
+      const current = { id: 'task-1', name: 'Theirs', owner: 'user-1', version: 4 };
+      mockCollection.findOne.mockResolvedValue(current);
+      mockCollection.findOneAndUpdate.mockResolvedValueOnce({ value: null });
+      mockCollection.find.mockReturnValue({ toArray: jest.fn().mockResolvedValue([{ id: 'task-1' }, { id: 'task-2' }]) });
+
+      const error = await updateTask({ id: 'task-1', name: 'Mine', version: 3, position: 1 }, 'user-1').catch(error => error);
+
+      expect(error).toBeInstanceOf(ConflictError);
+      expect(error.details).toEqual({ task: current });
+      expect(mockCollection.updateOne).not.toHaveBeenCalled();
+      expect(publish).not.toHaveBeenCalled();
+    });
+
     it('should update task name when provided', async () => {
       const task = {
         id: 'task-1',
         name: 'Updated Task Name'
       };
 
-      await updateTask(task);
+      await updateTask(task, 'user-1');
 
       expect(mockDb.collection).toHaveBeenCalledWith('tasks');
-      expect(mockCollection.updateOne).toHaveBeenCalledWith(
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith(
         { id: 'task-1' },
-        { $set: { name: 'Updated Task Name' } }
+        { $set: { name: 'Updated Task Name' }, $inc: { version: 1 } },
+        { returnOriginal: false }
       );
     });
 
@@ -96,11 +399,12 @@ describe('Database Communication Module', () => {
         isComplete: true
       };
 
-      await updateTask(task);
+      await updateTask(task, 'user-1');
 
-      expect(mockCollection.updateOne).toHaveBeenCalledWith(
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith(
         { id: 'task-1' },
-        { $set: { isComplete: true } }
+        { $set: { isComplete: true }, $inc: { version: 1 } },
+        { returnOriginal: false }
       );
     });
 
@@ -110,11 +414,12 @@ describe('Database Communication Module', () => {
         group: 'new-group'
       };
 
-      await updateTask(task);
+      await updateTask(task, 'user-1');
 
-      expect(mockCollection.updateOne).toHaveBeenCalledWith(
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith(
         { id: 'task-1' },
-        { $set: { group: 'new-group' } }
+        { $set: { group: 'new-group' }, $inc: { version: 1 } },
+        { returnOriginal: false }
       );
     });
 
@@ -126,20 +431,13 @@ describe('Database Communication Module', () => {
         group: 'new-group'
       };
 
-      await updateTask(task);
+      await updateTask(task, 'user-1');
 
-      expect(mockCollection.updateOne).toHaveBeenCalledTimes(3);
-      expect(mockCollection.updateOne).toHaveBeenCalledWith(
-        { id: 'task-1' },
-        { $set: { group: 'new-group' } }
-      );
-      expect(mockCollection.updateOne).toHaveBeenCalledWith(
-        { id: 'task-1' },
-        { $set: { name: 'Updated Name' } }
-      );
-      expect(mockCollection.updateOne).toHaveBeenCalledWith(
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith(
         { id: 'task-1' },
-        { $set: { isComplete: true } }
+        { $set: { group: 'new-group', name: 'Updated Name', isComplete: true }, $inc: { version: 1 } },
+        { returnOriginal: false }
       );
     });
 
@@ -149,11 +447,12 @@ describe('Database Communication Module', () => {
         isComplete: false
       };
 
-      await updateTask(task);
+      await updateTask(task, 'user-1');
 
-      expect(mockCollection.updateOne).toHaveBeenCalledWith(
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith(
         { id: 'task-1' },
-        { $set: { isComplete: false } }
+        { $set: { isComplete: false }, $inc: { version: 1 } },
+        { returnOriginal: false }
       );
     });
 
@@ -165,12 +464,13 @@ describe('Database Communication Module', () => {
         group: undefined
       };
 
-      await updateTask(task);
+      await updateTask(task, 'user-1');
 
-      expect(mockCollection.updateOne).toHaveBeenCalledTimes(1);
-      expect(mockCollection.updateOne).toHaveBeenCalledWith(
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith(
         { id: 'task-1' },
-        { $set: { name: 'Test Task' } }
+        { $set: { name: 'Test Task' }, $inc: { version: 1 } },
+        { returnOriginal: false }
       );
     });
 
@@ -179,9 +479,9 @@ describe('Database Communication Module', () => {
         id: 'task-1'
       };
 
-      await updateTask(task);
+      await updateTask(task, 'user-1');
 
-      expect(mockCollection.updateOne).not.toHaveBeenCalled();
+      expect(mockCollection.findOneAndUpdate).not.toHaveBeenCalled();
     });
 
     it('should handle database connection errors', async () => {
@@ -190,16 +490,16 @@ describe('Database Communication Module', () => {
 
       const task = { id: 'task-1', name: 'Test' };
 
-      await expect(updateTask(task)).rejects.toThrow('Database connection failed');
+      await expect(updateTask(task, 'user-1')).rejects.toThrow('Database connection failed');
     });
 
     it('should handle update errors', async () => {
       const error = new Error('Update failed');
-      mockCollection.updateOne.mockRejectedValue(error);
+      mockCollection.findOneAndUpdate.mockRejectedValue(error);
 
       const task = { id: 'task-1', name: 'Test' };
 
-      await expect(updateTask(task)).rejects.toThrow('Update failed');
+      await expect(updateTask(task, 'user-1')).rejects.toThrow('Update failed');
     });
 
     it('should handle missing id', async () => {
@@ -207,20 +507,995 @@ describe('Database Communication Module', () => {
         name: 'Task without ID'
       };
 
-      await updateTask(task);
+      await updateTask(task, 'user-1');
 
-      expect(mockCollection.updateOne).toHaveBeenCalledWith(
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith(
         { id: undefined },
-        { $set: { name: 'Task without ID' } }
+        { $set: { name: 'Task without ID' }, $inc: { version: 1 } },
+        { returnOriginal: false }
+      );
+    });
+  });
+
+  describe('Authorization', () => {
+    it('should stamp the acting user as owner of a new task', async () => {
+      const task = { id: 'task-1', group: 'group-1', owner: 'someone-else' };
+
+      await expect(addNewTask(task, 'user-1')).resolves.toEqual({ ...task, owner: 'user-1', position: 0, version: 1 });
+
+      expect(mockCollection.findOne).toHaveBeenCalledWith({ id: 'group-1' });
+      expect(mockCollection.insertOne).toHaveBeenCalledWith({ ...task, owner: 'user-1', position: 0, version: 1 });
+    });
+
+    it('should refuse to add a task to a group owned by someone else', async () => {
+      mockCollection.findOne.mockResolvedValue({ owner: 'user-2' });
+
+      await expect(addNewTask({ id: 'task-1', group: 'group-1' }, 'user-1')).rejects.toThrow(ForbiddenError);
+
+      expect(mockCollection.insertOne).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to update a task owned by someone else', async () => {
+      mockCollection.findOne.mockResolvedValue({ id: 'task-1', owner: 'user-2' });
+
+      await expect(updateTask({ id: 'task-1', name: 'Hijacked' }, 'user-1')).rejects.toThrow(ForbiddenError);
+
+      expect(mockCollection.findOne).toHaveBeenCalledWith({ id: 'task-1' });
+      expect(mockCollection.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to update a task that does not exist', async () => {
+      mockCollection.findOne.mockResolvedValue(null);
+
+      await expect(updateTask({ id: 'missing', name: 'Test' }, 'user-1')).rejects.toThrow(NotFoundError);
+
+      expect(mockCollection.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to move a task into a group owned by someone else', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', owner: 'user-1' })
+        .mockResolvedValueOnce({ id: 'group-1', owner: 'user-1' })
+        .mockResolvedValueOnce({ id: 'group-2', owner: 'user-2' });
+
+      await expect(updateTask({ id: 'task-1', group: 'group-2' }, 'user-1')).rejects.toThrow(ForbiddenError);
+
+      expect(mockCollection.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should stamp the acting user as owner of a new comment', async () => {
+      const comment = { id: 'comment-1', task: 'task-1', content: 'Hello', owner: 'someone-else' };
+
+      await expect(addComment(comment, 'user-1')).resolves.toBeUndefined();
+
+      expect(mockDb.collection).toHaveBeenCalledWith('comments');
+      expect(mockCollection.insertOne).toHaveBeenCalledWith({ ...comment, owner: 'user-1' });
+    });
+
+    it('should refuse comments on tasks the user cannot see', async () => {
+      mockCollection.findOne.mockResolvedValue({ id: 'task-1', owner: 'user-2' });
+
+      await expect(addComment({ id: 'comment-1', task: 'task-1' }, 'user-1')).rejects.toThrow(ForbiddenError);
+
+      expect(mockCollection.insertOne).not.toHaveBeenCalled();
+    });
+
+    it('should delete the user\'s own comment and record it', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'comment-1', task: 'task-1', owner: 'user-1', content: 'Hi' })
+        .mockResolvedValueOnce({ id: 'task-1', group: 'group-1', owner: 'user-2', collaborators: [{ user: 'user-1', role: 'viewer' }] })
+        .mockResolvedValueOnce({ id: 'group-1', owner: 'user-2' });
+
+      await deleteComment('comment-1', 'user-1');
+
+      expect(mockCollection.deleteOne).toHaveBeenCalledWith({ id: 'comment-1' });
+      expect(publish).toHaveBeenCalledWith(['user-2', 'user-1'], { type: 'COMMENT_DELETED', commentID: 'comment-1', taskID: 'task-1' });
+      expect(mockCollection.insertMany).toHaveBeenCalledWith([
+        expect.objectContaining({ task: 'task-1', actor: 'user-1', field: 'comment', from: 'Hi', to: null })
+      ]);
+    });
+
+    it('should refuse to delete other users\' comments', async () => {
+      mockCollection.findOne.mockResolvedValueOnce({ id: 'comment-1', task: 'task-1', owner: 'user-2' });
+
+      await expect(deleteComment('comment-1', 'user-1')).rejects.toThrow(ForbiddenError);
+      expect(mockCollection.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should report missing comments', async () => {
+      mockCollection.findOne.mockResolvedValueOnce(null);
+
+      await expect(deleteComment('comment-1', 'user-1')).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('searchTasks', () => {
+    const cursor = results => ({
+      toArray: jest.fn().mockResolvedValue(results),
+      limit: jest.fn().mockReturnThis()
+    });
+
+    it('should list filtered tasks when there is no search text', async () => {
+      const results = cursor([{ id: 'task-1' }]);
+      mockCollection.find.mockReturnValueOnce(cursor([])).mockReturnValue(results);
+
+      await expect(searchTasks({ isComplete: false, label: 'work' }, 'user-1'))
+        .resolves.toEqual({ tasks: [{ id: 'task-1' }], comments: [] });
+
+      expect(mockCollection.find).toHaveBeenCalledWith({
+        $and: [visibleTasks, { isComplete: false }, { labels: 'work' }]
+      });
+      expect(results.limit).toHaveBeenCalledWith(SEARCH_LIMIT);
+    });
+
+    it('should filter by group, owner and due date range', async () => {
+      mockCollection.find.mockReturnValue(cursor([]));
+
+      await searchTasks({ group: 'group-1', owner: 'user-2', dueAfter: '2026-01-01', dueBefore: '2026-01-31' }, 'user-1');
+
+      expect(mockCollection.find).toHaveBeenCalledWith({
+        $and: [
+          visibleTasks,
+          { group: 'group-1' },
+          { owner: 'user-2' },
+          { dueDate: { $gte: '2026-01-01' } },
+          { dueDate: { $lte: '2026-01-31' } }
+        ]
+      });
+    });
+
+    it('should rank tasks matched by text or by their comments', async () => {
+      mockCollection.find
+        .mockReturnValueOnce(cursor([]))
+        .mockReturnValueOnce(cursor([{ id: 'task-1', name: 'Deploy', score: 1 }]))
+        .mockReturnValueOnce(cursor([{ id: 'task-1' }, { id: 'task-2' }]))
+        .mockReturnValueOnce(cursor([{ id: 'comment-1', task: 'task-2', content: 'deploy first', score: 2 }]))
+        .mockReturnValueOnce(cursor([{ id: 'task-2', name: 'Release' }]));
+
+      const result = await searchTasks({ q: 'deploy' }, 'user-1');
+
+      const text = { $text: { $search: 'deploy' } };
+      const withScore = { projection: { score: { $meta: 'textScore' } } };
+      expect(mockCollection.find).toHaveBeenNthCalledWith(2, { $and: [visibleTasks, text] }, withScore);
+      expect(mockCollection.find).toHaveBeenNthCalledWith(4, { ...text, task: { $in: ['task-1', 'task-2'] } }, withScore);
+      expect(mockCollection.find).toHaveBeenNthCalledWith(5, { id: { $in: ['task-2'] } });
+      expect(result).toEqual({
+        tasks: [{ id: 'task-2', name: 'Release' }, { id: 'task-1', name: 'Deploy' }],
+        comments: [{ id: 'comment-1', task: 'task-2', content: 'deploy first' }]
+      });
+    });
+
+    it('should only search comments on tasks the user can see', async () => {
+      mockCollection.find.mockReturnValue(cursor([]));
+
+      await expect(searchTasks({ q: 'secret' }, 'user-1')).resolves.toEqual({ tasks: [], comments: [] });
+
+      expect(mockCollection.find).toHaveBeenNthCalledWith(3, { $and: [visibleTasks] }, { projection: { id: 1 } });
+      expect(mockCollection.find).toHaveBeenNthCalledWith(4, expect.objectContaining({ task: { $in: [] } }), expect.anything());
+    });
+  });
+
+  describe('Checklists', () => {
+    const task = {
+      id: 'task-1',
+      owner: 'user-1',
+      version: 4,
+      checklist: [
+        { id: 'item-1', text: 'First', isComplete: false },
+        { id: 'item-2', text: 'Second', isComplete: true },
+        { id: 'item-3', text: 'Third', isComplete: false }
+      ]
+    };
+
+    beforeEach(() => {
+      mockCollection.findOne.mockResolvedValue(task);
+    });
+
+    it('should append an item to the checklist', async () => {
+      const { item, task: saved } = await addChecklistItem('task-1', { text: 'Fourth' }, 'user-1');
+
+      expect(item).toEqual({ id: expect.any(String), text: 'Fourth', isComplete: false });
+      expect(saved).toEqual({ id: 'task-1', owner: 'user-1', version: 2 });
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith(
+        { id: 'task-1' },
+        { $push: { checklist: item }, $inc: { version: 1 } },
+        { returnOriginal: false }
+      );
+    });
+
+    it('should refuse to change the checklist of a task owned by someone else', async () => {
+      mockCollection.findOne.mockResolvedValue({ ...task, owner: 'user-2' });
+
+      await expect(addChecklistItem('task-1', { text: 'Mine' }, 'user-1')).rejects.toThrow(ForbiddenError);
+      await expect(deleteChecklistItem('task-1', 'item-1', 'user-1')).rejects.toThrow(ForbiddenError);
+      expect(mockCollection.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should update an item in place', async () => {
+      const { item } = await updateChecklistItem('task-1', { id: 'item-1', isComplete: true }, 'user-1');
+
+      expect(item).toEqual({ id: 'item-1', text: 'First', isComplete: true });
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith(
+        { id: 'task-1', 'checklist.id': 'item-1' },
+        { $set: { 'checklist.$.isComplete': true }, $inc: { version: 1 } },
+        { returnOriginal: false }
+      );
+    });
+
+    it('should move an item within the checklist of the version it was read from', async () => {
+      await updateChecklistItem('task-1', { id: 'item-3', text: 'Now', position: 0 }, 'user-1');
+
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith({ id: 'task-1', version: 4 }, {
+        $set: { checklist: [{ ...task.checklist[2], text: 'Now' }, task.checklist[0], task.checklist[1]] },
+        $inc: { version: 1 }
+      }, { returnOriginal: false });
+    });
+
+    it('should refuse to move an item once the checklist has changed', async () => {
+      mockCollection.findOneAndUpdate.mockResolvedValueOnce({ value: null });
+
+      const error = await updateChecklistItem('task-1', { id: 'item-3', position: 0 }, 'user-1').catch(error => error);
+
+      expect(error).toBeInstanceOf(ConflictError);
+      expect(error.details).toEqual({ task });
+      expect(publish).not.toHaveBeenCalled();
+    });
+
+    it('should report missing items', async () => {
+      await expect(updateChecklistItem('task-1', { id: 'missing', text: 'Test' }, 'user-1')).rejects.toThrow(NotFoundError);
+      await expect(deleteChecklistItem('task-1', 'missing', 'user-1')).rejects.toThrow(NotFoundError);
+      expect(mockCollection.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should remove an item', async () => {
+      await expect(deleteChecklistItem('task-1', 'item-2', 'user-1')).resolves.toEqual({ id: 'task-1', owner: 'user-1', version: 2 });
+
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith(
+        { id: 'task-1' },
+        { $pull: { checklist: { id: 'item-2' } }, $inc: { version: 1 } },
+        { returnOriginal: false }
+      );
+    });
+  });
+
+  describe('Groups', () => {
+    it('should list the user\'s groups in column order', async () => {
+      const groups = [
+        { id: 'group-2', position: 1 },
+        { id: 'group-3', position: 2 },
+        { id: 'group-1', position: 0 }
+      ];
+      mockCollection.find.mockReturnValue({ toArray: jest.fn().mockResolvedValue(groups) });
+
+      const result = await listGroups('user-1');
+
+      expect(mockDb.collection).toHaveBeenCalledWith('groups');
+      expect(mockCollection.find).toHaveBeenCalledWith({ $or: [{ owner: 'user-1' }, { 'collaborators.user': 'user-1' }] });
+      expect(result.map(group => group.id)).toEqual(['group-1', 'group-2', 'group-3']);
+    });
+
+    it('should add a group as the last column', async () => {
+      // The column at position 1 was deleted
+      mockCollection.find.mockReturnValue({ toArray: jest.fn().mockResolvedValue([{ id: 'group-1', position: 0 }, { id: 'group-3', position: 2 }]) });
+
+      const group = await addGroup({ name: 'Review', owner: 'someone-else' }, 'user-1');
+
+      expect(mockCollection.find).toHaveBeenCalledWith({ owner: 'user-1' });
+      expect(group).toEqual({ id: expect.any(String), name: 'Review', owner: 'user-1', position: 3 });
+      expect(mockCollection.insertOne).toHaveBeenCalledWith(group);
+    });
+
+    it('should rename a group', async () => {
+      await updateGroup({ id: 'group-1', name: 'Backlog' }, 'user-1');
+
+      expect(mockCollection.updateOne).toHaveBeenCalledWith({ id: 'group-1' }, { $set: { name: 'Backlog' } });
+    });
+
+    it('should move a group and renumber the other columns', async () => {
+      const groups = [
+        { id: 'group-1', position: 0 },
+        { id: 'group-2', position: 1 },
+        { id: 'group-3', position: 2 }
+      ];
+      mockCollection.find.mockReturnValue({ toArray: jest.fn().mockResolvedValue(groups) });
+
+      await updateGroup({ id: 'group-3', position: 0 }, 'user-1');
+
+      expect(mockCollection.findOneAndUpdate.mock.calls).toEqual([
+        [{ id: 'group-3' }, { $set: { position: 0 } }, { returnOriginal: false }],
+        [{ id: 'group-1' }, { $set: { position: 1 } }, { returnOriginal: false }],
+        [{ id: 'group-2' }, { $set: { position: 2 } }, { returnOriginal: false }]
+      ]);
+    });
+
+    it('should clamp positions past the last column', async () => {
+      const groups = [{ id: 'group-1', position: 0 }, { id: 'group-2', position: 1 }];
+      mockCollection.find.mockReturnValue({ toArray: jest.fn().mockResolvedValue(groups) });
+
+      await updateGroup({ id: 'group-1', position: 10 }, 'user-1');
+
+      expect(mockCollection.findOneAndUpdate.mock.calls).toEqual([
+        [{ id: 'group-2' }, { $set: { position: 0 } }, { returnOriginal: false }],
+        [{ id: 'group-1' }, { $set: { position: 1 } }, { returnOriginal: false }]
+      ]);
+    });
+
+    it('should refuse to change a group owned by someone else', async () => {
+      mockCollection.findOne.mockResolvedValue({ id: 'group-1', owner: 'user-2' });
+
+      await expect(updateGroup({ id: 'group-1', name: 'Mine' }, 'user-1')).rejects.toThrow(ForbiddenError);
+      expect(mockCollection.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should move tasks to another group when deleting a group', async () => {
+      const moved = [{ id: 'task-1', group: 'group-2', owner: 'user-1', version: 3 }];
+      mockCollection.find
+        .mockReturnValueOnce({ toArray: jest.fn().mockResolvedValue([{ id: 'task-1', group: 'group-1', version: 2 }]) })
+        .mockReturnValueOnce({ toArray: jest.fn().mockResolvedValue(moved) });
+
+      await expect(deleteGroup('group-1', 'group-2', 'user-1')).resolves.toEqual(moved);
+
+      expect(mockCollection.updateMany).toHaveBeenCalledWith({ group: 'group-1' }, { $set: { group: 'group-2' }, $inc: { version: 1 } });
+      expect(mockCollection.find).toHaveBeenCalledWith({ id: { $in: ['task-1'] } });
+      expect(mockCollection.deleteMany).not.toHaveBeenCalled();
+      expect(mockCollection.deleteOne).toHaveBeenCalledWith({ id: 'group-1' });
+      expect(publish).toHaveBeenCalledWith(['user-1'], { type: 'TASK_SAVED', task: moved[0] });
+    });
+
+    it('should delete tasks and their comments along with the group otherwise', async () => {
+      mockCollection.find.mockReturnValue({ toArray: jest.fn().mockResolvedValue([{ id: 'task-1' }, { id: 'task-2' }]) });
+
+      await deleteGroup('group-1', undefined, 'user-1');
+
+      expect(mockCollection.find).toHaveBeenCalledWith({ group: 'group-1' });
+      expect(mockCollection.deleteMany).toHaveBeenCalledWith({ task: { $in: ['task-1', 'task-2'] } });
+      expect(mockCollection.deleteMany).toHaveBeenCalledWith({ group: 'group-1' });
+      expect(mockCollection.deleteOne).toHaveBeenCalledWith({ id: 'group-1' });
+    });
+
+    it('should refuse to move tasks into the group being deleted', async () => {
+      await expect(deleteGroup('group-1', 'group-1', 'user-1')).rejects.toThrow(BadRequestError);
+      expect(mockCollection.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to move tasks into a group owned by someone else', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'group-1', owner: 'user-1' })
+        .mockResolvedValueOnce({ id: 'group-2', owner: 'user-2' });
+
+      await expect(deleteGroup('group-1', 'group-2', 'user-1')).rejects.toThrow(ForbiddenError);
+      expect(mockCollection.updateMany).not.toHaveBeenCalled();
+      expect(mockCollection.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to delete a group owned by someone else', async () => {
+      mockCollection.findOne.mockResolvedValue({ id: 'group-1', owner: 'user-2' });
+
+      await expect(deleteGroup('group-1', undefined, 'user-1')).rejects.toThrow(ForbiddenError);
+      expect(mockCollection.deleteOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Assignees', () => {
+    it('should assign a task to a friend', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', group: 'group-1', owner: 'user-1' })
+        .mockResolvedValueOnce({ id: 'group-1', owner: 'user-1' })
+        .mockResolvedValueOnce({ id: 'user-1', friends: ['user-2'] });
+
+      await updateTask({ id: 'task-1', assignees: ['user-1', 'user-2'] }, 'user-1');
+
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith({ id: 'task-1' }, { $set: { assignees: ['user-1', 'user-2'] }, $inc: { version: 1 } }, { returnOriginal: false });
+    });
+
+    it('should assign a task to a collaborator on its group', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', group: 'group-1', owner: 'user-1' })
+        .mockResolvedValueOnce({ id: 'group-1', owner: 'user-1', collaborators: [{ user: 'user-3', role: 'viewer' }] })
+        .mockResolvedValueOnce({ id: 'user-1', friends: [] });
+
+      await updateTask({ id: 'task-1', assignees: ['user-3'] }, 'user-1');
+
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith({ id: 'task-1' }, { $set: { assignees: ['user-3'] }, $inc: { version: 1 } }, { returnOriginal: false });
+    });
+
+    it('should refuse to assign a task to strangers', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', group: 'group-1', owner: 'user-1' })
+        .mockResolvedValueOnce({ id: 'group-1', owner: 'user-1' })
+        .mockResolvedValueOnce({ id: 'user-1', friends: [] });
+
+      await expect(updateTask({ id: 'task-1', assignees: ['user-9'] }, 'user-1')).rejects.toThrow(BadRequestError);
+      expect(mockCollection.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should let an editor assign the task to their own friends', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', group: 'group-1', owner: 'user-2', collaborators: [{ user: 'user-1', role: 'editor' }] })
+        .mockResolvedValueOnce({ id: 'group-1', owner: 'user-2' })
+        .mockResolvedValueOnce({ id: 'user-1', friends: ['user-3'] });
+
+      await updateTask({ id: 'task-1', assignees: ['user-3'] }, 'user-1');
+
+      expect(mockCollection.findOne).toHaveBeenLastCalledWith({ id: 'user-1' });
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith({ id: 'task-1' }, { $set: { assignees: ['user-3'] }, $inc: { version: 1 } }, { returnOriginal: false });
+    });
+
+    it("should refuse to let an editor assign the task to friends of the owner who aren't theirs", async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', group: 'group-1', owner: 'user-2', collaborators: [{ user: 'user-1', role: 'editor' }] })
+        .mockResolvedValueOnce({ id: 'group-1', owner: 'user-2' })
+        .mockResolvedValueOnce({ id: 'user-1', friends: ['user-2'] });
+
+      await expect(updateTask({ id: 'task-1', assignees: ['user-4'] }, 'user-1')).rejects.toThrow(BadRequestError);
+      expect(mockCollection.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should let an editor assign the task to the owner and to themselves', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', group: 'group-1', owner: 'user-2', collaborators: [{ user: 'user-1', role: 'editor' }] })
+        .mockResolvedValueOnce({ id: 'group-1', owner: 'user-2' })
+        .mockResolvedValueOnce({ id: 'user-1', friends: [] });
+
+      await updateTask({ id: 'task-1', assignees: ['user-2', 'user-1'] }, 'user-1');
+
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith({ id: 'task-1' }, { $set: { assignees: ['user-2', 'user-1'] }, $inc: { version: 1 } }, { returnOriginal: false });
+    });
+
+    it('should keep existing assignees when removing others', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', group: 'group-1', owner: 'user-1', assignees: ['user-9', 'user-8'] })
+        .mockResolvedValueOnce({ id: 'group-1', owner: 'user-1' });
+
+      await updateTask({ id: 'task-1', assignees: ['user-9'] }, 'user-1');
+
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith({ id: 'task-1' }, { $set: { assignees: ['user-9'] }, $inc: { version: 1 } }, { returnOriginal: false });
+    });
+
+    it('should check the assignees of a new task', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'group-1', owner: 'user-1' })
+        .mockResolvedValueOnce({ id: 'user-1', friends: [] });
+
+      await expect(addNewTask({ group: 'group-1', assignees: ['user-9'] }, 'user-1')).rejects.toThrow(BadRequestError);
+      expect(mockCollection.insertOne).not.toHaveBeenCalled();
+    });
+
+    it('should let assignees change the task', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', group: 'group-1', owner: 'user-2', assignees: ['user-1'] })
+        .mockResolvedValueOnce({ id: 'group-1', owner: 'user-2' });
+
+      await updateTask({ id: 'task-1', isComplete: true }, 'user-1');
+
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith({ id: 'task-1' }, { $set: { isComplete: true }, $inc: { version: 1 } }, { returnOriginal: false });
+    });
+  });
+
+  describe('Sharing', () => {
+    const sharedGroup = role => ({ id: 'group-1', owner: 'user-2', collaborators: [{ user: 'user-1', role }] });
+
+    it('should let collaborators on a group see its tasks', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', group: 'group-1', owner: 'user-2' })
+        .mockResolvedValueOnce(sharedGroup('viewer'));
+
+      await expect(getTask('task-1', 'user-1')).resolves.toEqual({ id: 'task-1', group: 'group-1', owner: 'user-2' });
+      expect(mockCollection.findOne).toHaveBeenLastCalledWith({ id: 'group-1' });
+    });
+
+    it('should let editors of a group change its tasks', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', group: 'group-1', owner: 'user-2' })
+        .mockResolvedValueOnce(sharedGroup('editor'));
+
+      await updateTask({ id: 'task-1', name: 'Shared' }, 'user-1');
+
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith({ id: 'task-1' }, { $set: { name: 'Shared' }, $inc: { version: 1 } }, { returnOriginal: false });
+    });
+
+    it('should refuse changes from viewers', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', group: 'group-1', owner: 'user-2' })
+        .mockResolvedValueOnce(sharedGroup('viewer'));
+
+      await expect(updateTask({ id: 'task-1', name: 'Shared' }, 'user-1')).rejects.toThrow(ForbiddenError);
+      expect(mockCollection.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should let editors of a task change it without access to its group', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', group: 'group-1', owner: 'user-2', collaborators: [{ user: 'user-1', role: 'editor' }] })
+        .mockResolvedValueOnce({ id: 'group-1', owner: 'user-2' });
+
+      await updateTask({ id: 'task-1', isComplete: true }, 'user-1');
+
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith({ id: 'task-1' }, { $set: { isComplete: true }, $inc: { version: 1 } }, { returnOriginal: false });
+    });
+
+    it('should only let the owner delete a task', async () => {
+      mockCollection.findOne.mockResolvedValue({ id: 'task-1', owner: 'user-2', collaborators: [{ user: 'user-1', role: 'editor' }] });
+
+      await expect(deleteTask('task-1', 'user-1')).rejects.toThrow(ForbiddenError);
+      expect(mockCollection.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should let editors rename a group but not move or delete it', async () => {
+      mockCollection.findOne.mockResolvedValue(sharedGroup('editor'));
+
+      await updateGroup({ id: 'group-1', name: 'Ours' }, 'user-1');
+      await expect(updateGroup({ id: 'group-1', position: 0 }, 'user-1')).rejects.toThrow(ForbiddenError);
+      await expect(deleteGroup('group-1', undefined, 'user-1')).rejects.toThrow(ForbiddenError);
+
+      expect(mockCollection.updateOne).toHaveBeenCalledTimes(1);
+      expect(mockCollection.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should share a group with a friend', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'group-1', owner: 'user-1' })
+        .mockResolvedValueOnce({ id: 'user-1', friends: ['user-2'] });
+
+      const { collaborators } = await setCollaborator('groups', 'group-1', 'user-2', 'viewer', 'user-1');
+
+      expect(collaborators).toEqual([{ user: 'user-2', role: 'viewer' }]);
+      expect(mockDb.collection).toHaveBeenCalledWith('groups');
+      expect(mockCollection.updateOne).toHaveBeenCalledWith({ id: 'group-1' }, { $set: { collaborators } });
+    });
+
+    it('should replace the role of an existing collaborator', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', owner: 'user-1', collaborators: [{ user: 'user-2', role: 'viewer' }] })
+        .mockResolvedValueOnce({ id: 'user-1', friends: ['user-2'] });
+
+      mockCollection.findOneAndUpdate.mockResolvedValueOnce({
+        value: { id: 'task-1', owner: 'user-1', collaborators: [{ user: 'user-2', role: 'editor' }], version: 2 }
+      });
+
+      await expect(setCollaborator('tasks', 'task-1', 'user-2', 'editor', 'user-1'))
+        .resolves.toEqual({ id: 'task-1', owner: 'user-1', collaborators: [{ user: 'user-2', role: 'editor' }], version: 2 });
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith(
+        { id: 'task-1' },
+        { $set: { collaborators: [{ user: 'user-2', role: 'editor' }] }, $inc: { version: 1 } },
+        { returnOriginal: false }
       );
     });
+
+    it('should only share with friends', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', owner: 'user-1' })
+        .mockResolvedValueOnce({ id: 'user-1', friends: [] });
+
+      await expect(setCollaborator('tasks', 'task-1', 'user-2', 'editor', 'user-1')).rejects.toThrow(BadRequestError);
+      expect(mockCollection.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should only let the owner share', async () => {
+      mockCollection.findOne.mockResolvedValue(sharedGroup('editor'));
+
+      await expect(setCollaborator('groups', 'group-1', 'user-3', 'editor', 'user-1')).rejects.toThrow(ForbiddenError);
+      expect(mockCollection.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should let collaborators remove themselves but nobody else', async () => {
+      mockCollection.findOne.mockResolvedValue({
+        ...sharedGroup('editor'),
+        collaborators: [{ user: 'user-1', role: 'editor' }, { user: 'user-3', role: 'viewer' }]
+      });
+
+      await expect(removeCollaborator('groups', 'group-1', 'user-3', 'user-1')).rejects.toThrow(ForbiddenError);
+      await expect(removeCollaborator('groups', 'group-1', 'user-1', 'user-1'))
+        .resolves.toMatchObject({ collaborators: [{ user: 'user-3', role: 'viewer' }] });
+    });
+  });
+
+  describe('Real-time changes', () => {
+    const sharedGroup = { id: 'group-1', owner: 'user-1', collaborators: [{ user: 'user-2', role: 'viewer' }] };
+
+    it('should publish a new task to everyone who can see its group', async () => {
+      mockCollection.findOne.mockResolvedValueOnce(sharedGroup);
+
+      const task = await addNewTask({ id: 'task-1', group: 'group-1' }, 'user-1');
+
+      expect(publish).toHaveBeenCalledWith(['user-1', 'user-2'], { type: 'TASK_SAVED', task });
+    });
+
+    it('should publish the updated task, and its deletion to those who can no longer see it', async () => {
+      const updated = { id: 'task-1', group: 'group-2', owner: 'user-1' };
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', group: 'group-1', owner: 'user-1' })
+        .mockResolvedValueOnce(sharedGroup)
+        .mockResolvedValueOnce({ id: 'group-2', owner: 'user-1' });
+      mockCollection.findOneAndUpdate.mockResolvedValueOnce({ value: updated });
+
+      await updateTask({ id: 'task-1', group: 'group-2' }, 'user-1');
+
+      expect(publish).toHaveBeenCalledWith(['user-1'], { type: 'TASK_SAVED', task: updated });
+      expect(publish).toHaveBeenCalledWith(['user-2'], { type: 'TASK_DELETED', taskID: 'task-1' });
+    });
+
+    it('should publish a task with its changed checklist', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', group: 'group-1', owner: 'user-1', checklist: [], version: 1 })
+        .mockResolvedValueOnce(sharedGroup);
+      const saved = { id: 'task-1', group: 'group-1', owner: 'user-1', checklist: [{ id: 'item-1', text: 'Step', isComplete: false }], version: 2 };
+      mockCollection.findOneAndUpdate.mockResolvedValueOnce({ value: saved });
+
+      await addChecklistItem('task-1', { id: 'item-1', text: 'Step' }, 'user-1');
+
+      expect(publish).toHaveBeenCalledWith(['user-1', 'user-2'], { type: 'TASK_SAVED', task: saved });
+    });
+
+    it('should publish deleted tasks', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', group: 'group-1', owner: 'user-1' })
+        .mockResolvedValueOnce(sharedGroup);
+
+      await deleteTask('task-1', 'user-1');
+
+      expect(publish).toHaveBeenCalledWith(['user-1', 'user-2'], { type: 'TASK_DELETED', taskID: 'task-1' });
+    });
+
+    it('should publish new comments to everyone who can see the task', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', group: 'group-1', owner: 'user-3', assignees: ['user-4'] })
+        .mockResolvedValueOnce(sharedGroup);
+
+      await addComment({ id: 'comment-1', task: 'task-1', content: 'Hi' }, 'user-1');
+
+      expect(publish).toHaveBeenCalledWith(['user-3', 'user-4', 'user-1', 'user-2'], {
+        type: 'COMMENT_ADDED',
+        comment: { id: 'comment-1', task: 'task-1', content: 'Hi', owner: 'user-1' }
+      });
+    });
+
+    it('should publish deleted groups along with their deleted tasks', async () => {
+      mockCollection.findOne.mockResolvedValueOnce(sharedGroup);
+      mockCollection.find.mockReturnValueOnce({ toArray: jest.fn().mockResolvedValue([{ id: 'task-1' }]) });
+
+      await deleteGroup('group-1', undefined, 'user-1');
+
+      expect(publish).toHaveBeenCalledWith(['user-1', 'user-2'], {
+        type: 'GROUP_DELETED', groupID: 'group-1', moveTo: null, taskIDs: ['task-1']
+      });
+    });
+
+    it('should ask users who gain or lose access through sharing to resync', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce(sharedGroup)
+        .mockResolvedValueOnce({ id: 'user-1', friends: ['user-3'] });
+
+      await setCollaborator('groups', 'group-1', 'user-3', 'viewer', 'user-1');
+
+      expect(publish).toHaveBeenCalledWith(['user-1', 'user-2'], {
+        type: 'GROUP_SAVED',
+        group: { ...sharedGroup, collaborators: [...sharedGroup.collaborators, { user: 'user-3', role: 'viewer' }] }
+      });
+      expect(publish).toHaveBeenCalledWith(['user-3'], { type: 'RESYNC' });
+    });
+  });
+
+  describe('Activity', () => {
+    const sharedGroup = { id: 'group-1', owner: 'user-1', collaborators: [{ user: 'user-2', role: 'viewer' }] };
+
+    // Every entry written, across all calls
+    const recorded = () => mockCollection.insertMany.mock.calls.flatMap(([entries]) => entries);
+
+    const cursor = results => ({
+      toArray: jest.fn().mockResolvedValue(results),
+      sort: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis()
+    });
+
+    it('should record who created a task, for everyone who can see it', async () => {
+      mockCollection.findOne.mockResolvedValueOnce(sharedGroup);
+
+      await addNewTask({ id: 'task-1', group: 'group-1', name: 'Plan' }, 'user-1');
+
+      expect(mockDb.collection).toHaveBeenCalledWith('activity');
+      expect(recorded()).toEqual([{
+        id: expect.any(String),
+        task: 'task-1',
+        actor: 'user-1',
+        createdAt: expect.any(String),
+        field: 'task',
+        from: null,
+        to: 'Plan',
+        audience: ['user-1', 'user-2']
+      }]);
+    });
+
+    it('should record each changed field of a task with its old and new values', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', group: 'group-1', owner: 'user-1', name: 'Plan', isComplete: true })
+        .mockResolvedValueOnce({ ...sharedGroup, collaborators: [{ user: 'user-2', role: 'editor' }] });
+
+      await updateTask({ id: 'task-1', name: 'Plan', isComplete: false, dueDate: '2026-11-01' }, 'user-2');
+
+      expect(recorded()).toEqual([
+        expect.objectContaining({ task: 'task-1', actor: 'user-2', field: 'isComplete', from: true, to: false }),
+        expect.objectContaining({ task: 'task-1', actor: 'user-2', field: 'dueDate', from: null, to: '2026-11-01' })
+      ]);
+    });
+
+    it('should record moves between groups but not reordering', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', group: 'group-1', owner: 'user-1', position: 3 })
+        .mockResolvedValueOnce(sharedGroup)
+        .mockResolvedValueOnce({ id: 'group-2', owner: 'user-1' });
+      mockCollection.findOneAndUpdate.mockResolvedValueOnce({ value: { id: 'task-1', group: 'group-2', owner: 'user-1' } });
+
+      await updateTask({ id: 'task-1', group: 'group-2', position: 0 }, 'user-1');
+
+      expect(recorded()).toEqual([
+        expect.objectContaining({ field: 'group', from: 'group-1', to: 'group-2', audience: ['user-1', 'user-2'] })
+      ]);
+    });
+
+    it('should record deleted tasks and new comments', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', group: 'group-1', owner: 'user-1', name: 'Plan' })
+        .mockResolvedValueOnce(sharedGroup)
+        .mockResolvedValueOnce({ id: 'task-2', group: 'group-1', owner: 'user-1' })
+        .mockResolvedValueOnce(sharedGroup);
+
+      await deleteTask('task-1', 'user-1');
+      await addComment({ id: 'comment-1', task: 'task-2', content: 'Done?' }, 'user-2');
+
+      expect(recorded()).toEqual([
+        expect.objectContaining({ task: 'task-1', field: 'task', from: 'Plan', to: null }),
+        expect.objectContaining({ task: 'task-2', actor: 'user-2', field: 'comment', from: null, to: 'Done?' })
+      ]);
+    });
+
+    it('should record checklist items as they were before and after a change', async () => {
+      const item = { id: 'item-1', text: 'Step', isComplete: false };
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', group: 'group-1', owner: 'user-1', checklist: [item] })
+        .mockResolvedValueOnce(sharedGroup);
+
+      await updateChecklistItem('task-1', { id: 'item-1', isComplete: true }, 'user-1');
+
+      expect(recorded()).toEqual([
+        expect.objectContaining({ task: 'task-1', field: 'checklist', from: item, to: { ...item, isComplete: true } })
+      ]);
+    });
+
+    it('should not record changes that change nothing', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'task-1', group: 'group-1', owner: 'user-1', checklist: [{ id: 'item-1', text: 'Step' }] })
+        .mockResolvedValueOnce(sharedGroup);
+
+      await updateChecklistItem('task-1', { id: 'item-1', position: 0 }, 'user-1');
+
+      expect(mockCollection.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('should record renamed groups', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ ...sharedGroup, name: 'To Do' })
+        .mockResolvedValueOnce({ ...sharedGroup, name: 'Backlog' });
+
+      await updateGroup({ id: 'group-1', name: 'Backlog' }, 'user-1');
+
+      expect(recorded()).toEqual([
+        expect.objectContaining({ group: 'group-1', field: 'name', from: 'To Do', to: 'Backlog', audience: ['user-1', 'user-2'] })
+      ]);
+    });
+
+    it('should record a deleted group and what happened to its tasks', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ ...sharedGroup, name: 'To Do' })
+        .mockResolvedValueOnce({ id: 'group-2', owner: 'user-1' });
+      mockCollection.find.mockReturnValueOnce({ toArray: jest.fn().mockResolvedValue([{ id: 'task-1', owner: 'user-1' }]) });
+
+      await deleteGroup('group-1', 'group-2', 'user-1');
+
+      expect(recorded()).toEqual([
+        expect.objectContaining({ group: 'group-1', field: 'group', from: 'To Do', to: null }),
+        expect.objectContaining({ task: 'task-1', field: 'group', from: 'group-1', to: 'group-2', audience: ['user-1', 'user-2'] })
+      ]);
+    });
+
+    it('should record sharing, and show it to whoever gained access', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce(sharedGroup)
+        .mockResolvedValueOnce({ id: 'user-1', friends: ['user-2'] });
+
+      await setCollaborator('groups', 'group-1', 'user-2', 'editor', 'user-1');
+
+      expect(recorded()).toEqual([expect.objectContaining({
+        group: 'group-1',
+        field: 'collaborators',
+        from: { user: 'user-2', role: 'viewer' },
+        to: { user: 'user-2', role: 'editor' }
+      })]);
+    });
+
+    it('should list the history of a task the user can see, oldest first', async () => {
+      const history = cursor([{ id: 'activity-1' }]);
+      mockCollection.find.mockReturnValue(history);
+
+      await expect(listTaskActivity('task-1', 'user-1')).resolves.toEqual([{ id: 'activity-1' }]);
+
+      expect(mockCollection.find).toHaveBeenCalledWith({ task: 'task-1' }, { projection: { _id: 0, audience: 0 } });
+      expect(history.sort).toHaveBeenCalledWith({ createdAt: 1, id: 1 });
+    });
+
+    it('should not list the history of tasks the user cannot see', async () => {
+      mockCollection.findOne.mockResolvedValueOnce({ id: 'task-1', owner: 'user-2' }).mockResolvedValueOnce(null);
+
+      await expect(listTaskActivity('task-1', 'user-1')).rejects.toThrow(ForbiddenError);
+      expect(mockCollection.find).not.toHaveBeenCalled();
+    });
+
+    it('should list the latest changes the user could see, newest first', async () => {
+      const feed = cursor([{ id: 'activity-2' }]);
+      mockCollection.find.mockReturnValue(feed);
+
+      await expect(listActivityFeed({}, 'user-1')).resolves.toEqual([{ id: 'activity-2' }]);
+
+      expect(mockCollection.find).toHaveBeenCalledWith({ audience: 'user-1' }, { projection: { _id: 0, audience: 0 } });
+      expect(feed.sort).toHaveBeenCalledWith({ createdAt: -1, id: -1 });
+      expect(feed.limit).toHaveBeenCalledWith(ACTIVITY_LIMIT);
+    });
+
+    it('should continue the feed from before a given time', async () => {
+      mockCollection.find.mockReturnValue(cursor([]));
+
+      await listActivityFeed({ before: '2026-10-19T12:00:00.000Z' }, 'user-1');
+
+      expect(mockCollection.find).toHaveBeenCalledWith(
+        { audience: 'user-1', createdAt: { $lt: '2026-10-19T12:00:00.000Z' } },
+        expect.anything()
+      );
+    });
+
+    it('should continue with the rest of a change when the last page ended in the middle of it', async () => {
+      mockCollection.find.mockReturnValue(cursor([]));
+
+      await listActivityFeed({ before: '2026-10-19T12:00:00.000Z', beforeID: 'activity-2' }, 'user-1');
+
+      expect(mockCollection.find).toHaveBeenCalledWith(
+        {
+          audience: 'user-1',
+          $or: [
+            { createdAt: { $lt: '2026-10-19T12:00:00.000Z' } },
+            { createdAt: '2026-10-19T12:00:00.000Z', id: { $lt: 'activity-2' } }
+          ]
+        },
+        expect.anything()
+      );
+    });
+  });
+
+  describe('Friends', () => {
+    it('should search other users by the start of their name', async () => {
+      const cursor = { toArray: jest.fn().mockResolvedValue([{ id: 'user-2', name: 'C. Eeyo' }]), limit: jest.fn().mockReturnThis() };
+      mockCollection.find.mockReturnValue(cursor);
+
+      await expect(searchUsers('c. e', 'user-1')).resolves.toEqual([{ id: 'user-2', name: 'C. Eeyo' }]);
+
+      expect(mockDb.collection).toHaveBeenCalledWith('users');
+      expect(mockCollection.find).toHaveBeenCalledWith(
+        { name: { $regex: '^c\\. e', $options: 'i' }, id: { $ne: 'user-1' } },
+        { projection: { _id: 0, id: 1, name: 1 } }
+      );
+      expect(cursor.limit).toHaveBeenCalledWith(USER_SEARCH_LIMIT);
+    });
+
+    it('should list friends and pending requests in both directions', async () => {
+      const incoming = { id: 'request-1', from: 'user-3', to: 'user-1' };
+      const outgoing = { id: 'request-2', from: 'user-1', to: 'user-4' };
+      mockCollection.findOne.mockResolvedValue({ id: 'user-1', friends: ['user-2'] });
+      mockCollection.find
+        .mockReturnValueOnce({ toArray: jest.fn().mockResolvedValue([incoming, outgoing]) })
+        .mockReturnValueOnce({ toArray: jest.fn().mockResolvedValue([{ id: 'user-2' }]) });
+
+      const result = await listFriends('user-1');
+
+      expect(result).toEqual({
+        friends: ['user-2'],
+        requests: { incoming: [incoming], outgoing: [outgoing] },
+        users: [{ id: 'user-2' }]
+      });
+      expect(mockCollection.find).toHaveBeenLastCalledWith(
+        { id: { $in: ['user-2', 'user-3', 'user-4'] } },
+        { projection: { _id: 0, id: 1, name: 1 } }
+      );
+    });
+
+    it('should send a friend request', async () => {
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'user-2', friends: [] })
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(null);
+
+      const request = await sendFriendRequest('user-2', 'user-1');
+
+      expect(request).toEqual({ id: expect.any(String), from: 'user-1', to: 'user-2', createdAt: expect.any(String) });
+      expect(mockDb.collection).toHaveBeenCalledWith('friendRequests');
+      expect(mockCollection.insertOne).toHaveBeenCalledWith(request);
+    });
+
+    it('should refuse friend requests to yourself, to friends, to missing users and twice', async () => {
+      await expect(sendFriendRequest('user-1', 'user-1')).rejects.toThrow(BadRequestError);
+
+      mockCollection.findOne.mockResolvedValueOnce(null);
+      await expect(sendFriendRequest('user-2', 'user-1')).rejects.toThrow(NotFoundError);
+
+      mockCollection.findOne.mockResolvedValueOnce({ id: 'user-2', friends: ['user-1'] });
+      await expect(sendFriendRequest('user-2', 'user-1')).rejects.toThrow(ConflictError);
+
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'user-2' })
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ id: 'request-1', from: 'user-1', to: 'user-2' });
+      await expect(sendFriendRequest('user-2', 'user-1')).rejects.toThrow(ConflictError);
+
+      expect(mockCollection.insertOne).not.toHaveBeenCalled();
+    });
+
+    it('should accept a crossing friend request instead of sending another', async () => {
+      const reverse = { id: 'request-1', from: 'user-2', to: 'user-1' };
+      mockCollection.findOne
+        .mockResolvedValueOnce({ id: 'user-2' })
+        .mockResolvedValueOnce(reverse)
+        .mockResolvedValueOnce(reverse);
+
+      await expect(sendFriendRequest('user-2', 'user-1')).resolves.toEqual({ ...reverse, isAccepted: true });
+
+      expect(mockCollection.insertOne).not.toHaveBeenCalled();
+      expect(mockCollection.deleteOne).toHaveBeenCalledWith({ id: 'request-1' });
+    });
+
+    it('should make both users friends when a request is accepted', async () => {
+      mockCollection.findOne.mockResolvedValue({ id: 'request-1', from: 'user-2', to: 'user-1' });
+
+      await acceptFriendRequest('request-1', 'user-1');
+
+      expect(mockCollection.updateOne).toHaveBeenCalledWith({ id: 'user-2' }, { $addToSet: { friends: 'user-1' } });
+      expect(mockCollection.updateOne).toHaveBeenCalledWith({ id: 'user-1' }, { $addToSet: { friends: 'user-2' } });
+      expect(mockCollection.deleteOne).toHaveBeenCalledWith({ id: 'request-1' });
+    });
+
+    it('should only let the recipient accept a request', async () => {
+      mockCollection.findOne.mockResolvedValue({ id: 'request-1', from: 'user-1', to: 'user-2' });
+
+      await expect(acceptFriendRequest('request-1', 'user-1')).rejects.toThrow(ForbiddenError);
+      expect(mockCollection.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should let either side delete a request, and nobody else', async () => {
+      mockCollection.findOne.mockResolvedValue({ id: 'request-1', from: 'user-2', to: 'user-3' });
+
+      await deleteFriendRequest('request-1', 'user-2');
+      await deleteFriendRequest('request-1', 'user-3');
+      await expect(deleteFriendRequest('request-1', 'user-1')).rejects.toThrow(ForbiddenError);
+
+      expect(mockCollection.deleteOne).toHaveBeenCalledTimes(2);
+    });
+
+    it('should report missing requests', async () => {
+      mockCollection.findOne.mockResolvedValue(null);
+
+      await expect(acceptFriendRequest('missing', 'user-1')).rejects.toThrow(NotFoundError);
+    });
+
+    it('should remove a friend on both sides', async () => {
+      await removeFriend('user-2', 'user-1');
+
+      expect(mockCollection.updateOne).toHaveBeenCalledWith({ id: 'user-1' }, { $pull: { friends: 'user-2' } });
+      expect(mockCollection.updateOne).toHaveBeenCalledWith({ id: 'user-2' }, { $pull: { friends: 'user-1' } });
+    });
   });
 
   describe('Edge Cases', () => {
     it('should handle empty task object for addNewTask', async () => {
-      await addNewTask({});
+      await addNewTask({}, 'user-1');
 
-      expect(mockCollection.insertOne).toHaveBeenCalledWith({});
+      expect(mockCollection.insertOne).toHaveBeenCalledWith({ id: expect.any(String), owner: 'user-1', position: 0, version: 1 });
     });
 
     it('should handle null values in task updates', async () => {
@@ -230,16 +1505,13 @@ describe('Database Communication Module', () => {
         isComplete: null
       };
 
-      await updateTask(task);
+      await updateTask(task, 'user-1');
 
-      expect(mockCollection.updateOne).toHaveBeenCalledTimes(2);
-      expect(mockCollection.updateOne).toHaveBeenCalledWith(
-        { id: 'task-1' },
-        { $set: { name: null } }
-      );
-      expect(mockCollection.updateOne).toHaveBeenCalledWith(
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith(
         { id: 'task-1' },
-        { $set: { isComplete: null } }
+        { $set: { name: null, isComplete: null }, $inc: { version: 1 } },
+        { returnOriginal: false }
       );
     });
 
@@ -249,11 +1521,12 @@ describe('Database Communication Module', () => {
         name: 'Task with special chars: !@#$%^&*()'
       };
 
-      await updateTask(task);
+      await updateTask(task, 'user-1');
 
-      expect(mockCollection.updateOne).toHaveBeenCalledWith(
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith(
         { id: 'task-1' },
-        { $set: { name: 'Task with special chars: !@#$%^&*()' } }
+        { $set: { name: 'Task with special chars: !@#$%^&*()' }, $inc: { version: 1 } },
+        { returnOriginal: false }
       );
     });
   });
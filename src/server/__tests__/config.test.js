@@ -71,6 +71,8 @@ describe('Configuration Module', () => {
       process.env.MONGODB_URI = 'mongodb://test:27017/testdb';
       process.env.CORS_ORIGIN = 'https://test.com';
       process.env.LOG_LEVEL = 'debug';
+      process.env.SESSION_SECRET = 'test-session-secret';
+      process.env.JWT_SECRET = 'test-jwt-secret';
       
       const testConfig = require('../config').default;
       
@@ -82,6 +84,20 @@ describe('Configuration Module', () => {
     });
   });
 
+  describe('Production Secrets', () => {
+    it('should exit when the default secrets are used in production', () => {
+      process.env.NODE_ENV = 'production';
+      const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      require('../config');
+
+      expect(exit).toHaveBeenCalledWith(1);
+      exit.mockRestore();
+      error.mockRestore();
+    });
+  });
+
   describe('Type Conversion', () => {
     it('should convert PORT to integer', () => {
       process.env.PORT = '8080';
@@ -9,11 +9,12 @@ jest.mock('mongodb', () => ({
 
 // Mock config
 jest.mock('../config', () => ({
-  MONGODB_URI: 'mongodb://test:27017/testdb'
+  MONGODB_URI: 'mongodb://test:27017/testdb',
+  DB_POOL_SIZE: 5
 }));
 
 // Import after mocking
-import { connectDB } from '../connect-db';
+import { connectDB, closeDB } from '../connect-db';
 
 describe('Database Connection Module', () => {
   let mockClient;
@@ -40,12 +41,18 @@ describe('Database Connection Module', () => {
     };
 
     mockClient = {
-      db: jest.fn().mockReturnValue(mockDb)
+      db: jest.fn().mockReturnValue(mockDb),
+      close: jest.fn().mockResolvedValue()
     };
 
     MongoClient.connect.mockResolvedValue(mockClient);
   });
 
+  afterEach(async () => {
+    // The client is shared by the whole module, so drop it between tests
+    await closeDB();
+  });
+
   describe('connectDB', () => {
     it('should connect to MongoDB with correct URI', async () => {
       await connectDB();
@@ -53,7 +60,8 @@ describe('Database Connection Module', () => {
       expect(MongoClient.connect).toHaveBeenCalledWith(
         'mongodb://test:27017/testdb',
         { useNewUrlParser: true, 
-          useUnifiedTopology: true
+          useUnifiedTopology: true,
+          poolSize: 5
         }
       );
     });
@@ -64,7 +72,7 @@ describe('Database Connection Module', () => {
       expect(result).toBe(mockDb);
     });
 
-    it('should create new connection on subsequent calls', async () => {
+    it('should reuse the connection on subsequent calls', async () => {
       // First call
       await connectDB();
       
@@ -72,7 +80,7 @@ describe('Database Connection Module', () => {
       await connectDB();
 
       // Should only connect once
-      expect(MongoClient.connect).toHaveBeenCalledTimes(2);
+      expect(MongoClient.connect).toHaveBeenCalledTimes(1);
     });
 
     it('should handle connection errors', async () => {
@@ -87,7 +95,16 @@ describe('Database Connection Module', () => {
 
       expect(MongoClient.connect).toHaveBeenCalledWith(
         expect.any(String),
-        { useNewUrlParser: true, useUnifiedTopology: true }
+        expect.objectContaining({ useNewUrlParser: true, useUnifiedTopology: true })
+      );
+    });
+
+    it('should size the connection pool from the configuration', async () => {
+      await connectDB();
+
+      expect(MongoClient.connect).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({ poolSize: 5 })
       );
     });
   });
@@ -131,7 +148,32 @@ describe('Database Connection Module', () => {
 
       await Promise.all(promises);
 
-      expect(MongoClient.connect).toHaveBeenCalledTimes(3);
+      expect(MongoClient.connect).toHaveBeenCalledTimes(1);
+    });
+
+    it('should retry after a failed connection', async () => {
+      MongoClient.connect.mockRejectedValueOnce(new Error('Network error'));
+
+      await expect(connectDB()).rejects.toThrow('Network error');
+      await expect(connectDB()).resolves.toBe(mockDb);
+
+      expect(MongoClient.connect).toHaveBeenCalledTimes(2);
+    });
+
+    it('should close the shared client', async () => {
+      await connectDB();
+      await closeDB();
+
+      expect(mockClient.close).toHaveBeenCalled();
+
+      await connectDB();
+      expect(MongoClient.connect).toHaveBeenCalledTimes(2);
+    });
+
+    it('should do nothing when closing without a connection', async () => {
+      await expect(closeDB()).resolves.toBeUndefined();
+
+      expect(mockClient.close).not.toHaveBeenCalled();
     });
   });
 
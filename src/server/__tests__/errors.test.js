@@ -0,0 +1,115 @@
+import express from 'express';
+import request from 'supertest';
+
+import {
+  ApiError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  asyncHandler,
+  errorHandler
+} from '../errors';
+
+describe('Errors Module', () => {
+  describe('Error classes', () => {
+    it.each([
+      [BadRequestError, 400, 'BAD_REQUEST'],
+      [UnauthorizedError, 401, 'UNAUTHORIZED'],
+      [ForbiddenError, 403, 'FORBIDDEN'],
+      [NotFoundError, 404, 'NOT_FOUND'],
+      [ConflictError, 409, 'CONFLICT']
+    ])('%p should map to status %i', (ErrorClass, status, code) => {
+      const error = new ErrorClass('Something went wrong');
+
+      expect(error).toBeInstanceOf(ApiError);
+      expect(error).toBeInstanceOf(Error);
+      expect(error.status).toBe(status);
+      expect(error.code).toBe(code);
+      expect(error.message).toBe('Something went wrong');
+    });
+
+    it('should provide a default message', () => {
+      expect(new NotFoundError().message).toBe('Not found');
+    });
+  });
+
+  describe('errorHandler', () => {
+    let app;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      app = express();
+      app.use(express.json());
+      app.post('/echo', (req, res) => res.send(req.body));
+      app.get('/conflict', asyncHandler(async () => {
+        throw new ConflictError('Already exists', { id: 'T1' });
+      }));
+      app.get('/duplicate', asyncHandler(async () => {
+        throw Object.assign(new Error('E11000 duplicate key error collection: organizer.tasks'), { code: 11000 });
+      }));
+      app.get('/forbidden', (req, res, next) => next(new ForbiddenError()));
+      app.get('/crash', asyncHandler(async () => {
+        throw new Error('connection string contains a password');
+      }));
+      app.use(errorHandler);
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+    });
+
+    it('should respond with the status and JSON envelope of an ApiError', async () => {
+      const response = await request(app).get('/conflict').expect(409);
+
+      expect(response.body).toEqual({
+        error: { status: 409, code: 'CONFLICT', message: 'Already exists', details: { id: 'T1' } }
+      });
+    });
+
+    it('should turn duplicate key errors into a 409', async () => {
+      const response = await request(app).get('/duplicate').expect(409);
+
+      expect(response.body.error.code).toBe('CONFLICT');
+      expect(response.body.error.message).not.toMatch('organizer.tasks');
+    });
+
+    it('should handle errors passed to next', async () => {
+      const response = await request(app).get('/forbidden').expect(403);
+
+      expect(response.body.error.code).toBe('FORBIDDEN');
+    });
+
+    it('should hide the message of unexpected errors behind a 500', async () => {
+      const response = await request(app).get('/crash').expect(500);
+
+      expect(response.body).toEqual({
+        error: { status: 500, code: 'INTERNAL_ERROR', message: 'Internal server error' }
+      });
+      expect(console.error).toHaveBeenCalled();
+    });
+
+    it('should turn malformed JSON into a 400', async () => {
+      const response = await request(app)
+        .post('/echo')
+        .set('Content-Type', 'application/json')
+        .send('invalid json')
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Malformed request body');
+    });
+
+    it('should leave errors to Express once the response has started', () => {
+      const error = new Error('stream failed');
+      const res = { headersSent: true, status: jest.fn() };
+      const next = jest.fn();
+
+      errorHandler(error, {}, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import express from 'express';
+import request from 'supertest';
+
+jest.mock('../config', () => ({
+  API_VERSION: 'v1'
+}));
+
+jest.mock('../authenticate', () => ({
+  requireAuthentication: jest.fn((req, res, next) => {
+    req.userID = 'user-1';
+    next();
+  })
+}));
+
+jest.mock('../communicate-db', () => ({
+  listFriends: jest.fn(),
+  removeFriend: jest.fn(),
+  sendFriendRequest: jest.fn(),
+  acceptFriendRequest: jest.fn(),
+  deleteFriendRequest: jest.fn()
+}));
+
+import { friendRoutes, FRIENDS_PATH } from '../friend-routes';
+import { requireAuthentication } from '../authenticate';
+import {
+  listFriends,
+  removeFriend,
+  sendFriendRequest,
+  acceptFriendRequest,
+  deleteFriendRequest
+} from '../communicate-db';
+import { errorHandler, ConflictError, ForbiddenError, UnauthorizedError } from '../errors';
+
+describe('Friend Routes', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    app = express();
+    app.use(express.json());
+    friendRoutes(app);
+    app.use(errorHandler);
+  });
+
+  it('should mount under the versioned API prefix', () => {
+    expect(FRIENDS_PATH).toBe('/api/v1/friends');
+  });
+
+  it('should require authentication', async () => {
+    requireAuthentication.mockImplementationOnce((req, res, next) => next(new UnauthorizedError()));
+
+    await request(app).get('/api/v1/friends').expect(401);
+
+    expect(listFriends).not.toHaveBeenCalled();
+  });
+
+  it('should list friends and requests', async () => {
+    const friends = { friends: ['user-2'], requests: { incoming: [], outgoing: [] }, users: [{ id: 'user-2' }] };
+    listFriends.mockResolvedValue(friends);
+
+    const response = await request(app).get('/api/v1/friends').expect(200);
+
+    expect(response.body).toEqual(friends);
+    expect(listFriends).toHaveBeenCalledWith('user-1');
+  });
+
+  it('should remove a friend', async () => {
+    removeFriend.mockResolvedValue();
+
+    await request(app).delete('/api/v1/friends/user-2').expect(204);
+
+    expect(removeFriend).toHaveBeenCalledWith('user-2', 'user-1');
+  });
+
+  describe('requests', () => {
+    it('should send a request and return it with 201', async () => {
+      const sent = { id: 'request-1', from: 'user-1', to: 'user-2' };
+      sendFriendRequest.mockResolvedValue(sent);
+
+      const response = await request(app).post('/api/v1/friends/requests').send({ to: 'user-2' }).expect(201);
+
+      expect(response.body).toEqual({ request: sent });
+      expect(sendFriendRequest).toHaveBeenCalledWith('user-2', 'user-1');
+    });
+
+    it('should respond with 200 when the request was accepted straight away', async () => {
+      sendFriendRequest.mockResolvedValue({ id: 'request-1', from: 'user-2', to: 'user-1', isAccepted: true });
+
+      await request(app).post('/api/v1/friends/requests').send({ to: 'user-2' }).expect(200);
+    });
+
+    it('should require a recipient', async () => {
+      await request(app).post('/api/v1/friends/requests').send({}).expect(400);
+
+      expect(sendFriendRequest).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 for duplicate requests', async () => {
+      sendFriendRequest.mockRejectedValue(new ConflictError());
+
+      await request(app).post('/api/v1/friends/requests').send({ to: 'user-2' }).expect(409);
+    });
+
+    it('should accept a request', async () => {
+      acceptFriendRequest.mockResolvedValue();
+
+      await request(app).post('/api/v1/friends/requests/request-1/accept').expect(204);
+
+      expect(acceptFriendRequest).toHaveBeenCalledWith('request-1', 'user-1');
+    });
+
+    it('should return 403 when accepting a request sent to someone else', async () => {
+      acceptFriendRequest.mockRejectedValue(new ForbiddenError());
+
+      await request(app).post('/api/v1/friends/requests/request-1/accept').expect(403);
+    });
+
+    it('should decline or withdraw a request', async () => {
+      deleteFriendRequest.mockResolvedValue();
+
+      await request(app).delete('/api/v1/friends/requests/request-1').expect(204);
+
+      expect(deleteFriendRequest).toHaveBeenCalledWith('request-1', 'user-1');
+      expect(removeFriend).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,167 @@
+import express from 'express';
+import request from 'supertest';
+
+jest.mock('../config', () => ({
+  API_VERSION: 'v1'
+}));
+
+jest.mock('../authenticate', () => ({
+  requireAuthentication: jest.fn((req, res, next) => {
+    req.userID = 'user-1';
+    next();
+  })
+}));
+
+jest.mock('../communicate-db', () => ({
+  listGroups: jest.fn(),
+  addGroup: jest.fn(),
+  updateGroup: jest.fn(),
+  deleteGroup: jest.fn(),
+  setCollaborator: jest.fn(),
+  removeCollaborator: jest.fn()
+}));
+
+import { groupRoutes, GROUPS_PATH } from '../group-routes';
+import { requireAuthentication } from '../authenticate';
+import {
+  listGroups,
+  addGroup,
+  updateGroup,
+  deleteGroup,
+  setCollaborator,
+  removeCollaborator
+} from '../communicate-db';
+import { errorHandler, ForbiddenError, UnauthorizedError } from '../errors';
+
+describe('Group Routes', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    app = express();
+    app.use(express.json());
+    groupRoutes(app);
+    app.use(errorHandler);
+  });
+
+  it('should mount under the versioned API prefix', () => {
+    expect(GROUPS_PATH).toBe('/api/v1/groups');
+  });
+
+  it('should require authentication', async () => {
+    requireAuthentication.mockImplementationOnce((req, res, next) => next(new UnauthorizedError()));
+
+    await request(app).get('/api/v1/groups').expect(401);
+
+    expect(listGroups).not.toHaveBeenCalled();
+  });
+
+  describe('GET /groups', () => {
+    it('should list the user\'s groups', async () => {
+      listGroups.mockResolvedValue([{ id: 'group-1' }]);
+
+      const response = await request(app).get('/api/v1/groups').expect(200);
+
+      expect(response.body).toEqual({ groups: [{ id: 'group-1' }] });
+      expect(listGroups).toHaveBeenCalledWith('user-1');
+    });
+  });
+
+  describe('POST /groups', () => {
+    it('should create a group and return it with 201', async () => {
+      const created = { id: 'group-1', name: 'Review', owner: 'user-1', position: 1 };
+      addGroup.mockResolvedValue(created);
+
+      const response = await request(app).post('/api/v1/groups').send({ name: 'Review' }).expect(201);
+
+      expect(response.body).toEqual({ group: created });
+      expect(addGroup).toHaveBeenCalledWith({ name: 'Review' }, 'user-1');
+    });
+
+    it('should reject a group without a name', async () => {
+      const response = await request(app).post('/api/v1/groups').send({ name: '' }).expect(400);
+
+      expect(response.body.error.details).toEqual([{ field: 'name', message: 'must not be empty' }]);
+      expect(addGroup).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /groups/:id', () => {
+    it('should rename a group', async () => {
+      updateGroup.mockResolvedValue({ id: 'group-1', name: 'Backlog' });
+
+      const response = await request(app).patch('/api/v1/groups/group-1').send({ name: 'Backlog' }).expect(200);
+
+      expect(response.body).toEqual({ group: { id: 'group-1', name: 'Backlog' } });
+      expect(updateGroup).toHaveBeenCalledWith({ id: 'group-1', name: 'Backlog' }, 'user-1');
+    });
+
+    it('should move a group', async () => {
+      updateGroup.mockResolvedValue({ id: 'group-1', position: 2 });
+
+      await request(app).patch('/api/v1/groups/group-1').send({ position: 2 }).expect(200);
+
+      expect(updateGroup).toHaveBeenCalledWith({ id: 'group-1', position: 2 }, 'user-1');
+    });
+
+    it('should reject a non-numeric position', async () => {
+      await request(app).patch('/api/v1/groups/group-1').send({ position: 'first' }).expect(400);
+
+      expect(updateGroup).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 for groups owned by someone else', async () => {
+      updateGroup.mockRejectedValue(new ForbiddenError());
+
+      await request(app).patch('/api/v1/groups/group-1').send({ name: 'Mine' }).expect(403);
+    });
+  });
+
+  describe('DELETE /groups/:id', () => {
+    it('should delete the group and its tasks', async () => {
+      deleteGroup.mockResolvedValue([]);
+
+      await request(app).delete('/api/v1/groups/group-1').expect(200);
+
+      expect(deleteGroup).toHaveBeenCalledWith('group-1', undefined, 'user-1');
+    });
+
+    it('should move the tasks to the group named by moveTo', async () => {
+      deleteGroup.mockResolvedValue([{ id: 'task-1', group: 'group-2', version: 3 }]);
+
+      const response = await request(app).delete('/api/v1/groups/group-1?moveTo=group-2').expect(200);
+
+      expect(response.body).toEqual({ tasks: [{ id: 'task-1', group: 'group-2', version: 3 }] });
+      expect(deleteGroup).toHaveBeenCalledWith('group-1', 'group-2', 'user-1');
+    });
+  });
+
+  describe('collaborators', () => {
+    it('should share the group with a user', async () => {
+      setCollaborator.mockResolvedValue({ id: 'group-1', collaborators: [{ user: 'user-2', role: 'editor' }] });
+
+      const response = await request(app)
+        .put('/api/v1/groups/group-1/collaborators/user-2')
+        .send({ role: 'editor' })
+        .expect(200);
+
+      expect(response.body).toEqual({ collaborators: [{ user: 'user-2', role: 'editor' }] });
+      expect(setCollaborator).toHaveBeenCalledWith('groups', 'group-1', 'user-2', 'editor', 'user-1');
+    });
+
+    it('should reject unknown roles', async () => {
+      await request(app).put('/api/v1/groups/group-1/collaborators/user-2').send({ role: 'owner' }).expect(400);
+
+      expect(setCollaborator).not.toHaveBeenCalled();
+    });
+
+    it('should stop sharing the group with a user', async () => {
+      removeCollaborator.mockResolvedValue({ id: 'group-1', collaborators: [] });
+
+      await request(app).delete('/api/v1/groups/group-1/collaborators/user-2').expect(204);
+
+      expect(removeCollaborator).toHaveBeenCalledWith('groups', 'group-1', 'user-2', 'user-1');
+    });
+  });
+});
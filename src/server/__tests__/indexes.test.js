@@ -0,0 +1,70 @@
+import { indexes, ensureIndexes } from '../indexes';
+
+describe('Indexes Module', () => {
+  let mockDb;
+  let collections;
+
+  beforeEach(() => {
+    collections = {};
+    mockDb = {
+      collection: jest.fn(name => {
+        collections[name] = collections[name] || { createIndexes: jest.fn().mockResolvedValue() };
+        return collections[name];
+      })
+    };
+  });
+
+  const uniqueKeys = collectionName => indexes[collectionName]
+    .filter(index => index.unique)
+    .map(index => index.key);
+
+  it('should make every id unique', () => {
+    ['users', 'groups', 'tasks', 'comments'].forEach(collectionName => {
+      expect(uniqueKeys(collectionName)).toContainEqual({ id: 1 });
+    });
+  });
+
+  it('should make user names unique', () => {
+    expect(uniqueKeys('users')).toContainEqual({ name: 1 });
+  });
+
+  it('should index tasks by owner and group, and comments by task', () => {
+    expect(indexes.tasks.map(index => index.key)).toContainEqual({ owner: 1, group: 1 });
+    expect(indexes.comments.map(index => index.key)).toContainEqual({ task: 1 });
+  });
+
+  it('should index groups and tasks by collaborator', () => {
+    expect(indexes.groups.map(index => index.key)).toContainEqual({ 'collaborators.user': 1 });
+    expect(indexes.tasks.map(index => index.key)).toContainEqual({ 'collaborators.user': 1 });
+  });
+
+  it('should allow one pending friend request per pair of users', () => {
+    expect(uniqueKeys('friendRequests')).toContainEqual({ id: 1 });
+    expect(uniqueKeys('friendRequests')).toContainEqual({ from: 1, to: 1 });
+  });
+
+  it('should index task names, descriptions and comment content for search', () => {
+    expect(indexes.tasks.map(index => index.key)).toContainEqual({ name: 'text', description: 'text' });
+    expect(indexes.comments.map(index => index.key)).toContainEqual({ content: 'text' });
+  });
+
+  it('should index activity by task and by the users who saw it', () => {
+    expect(uniqueKeys('activity')).toContainEqual({ id: 1 });
+    expect(indexes.activity.map(index => index.key)).toContainEqual({ task: 1, createdAt: 1, id: 1 });
+    expect(indexes.activity.map(index => index.key)).toContainEqual({ audience: 1, createdAt: -1, id: -1 });
+  });
+
+  it('should create the indexes of every collection', async () => {
+    await ensureIndexes(mockDb);
+
+    Object.keys(indexes).forEach(collectionName => {
+      expect(collections[collectionName].createIndexes).toHaveBeenCalledWith(indexes[collectionName]);
+    });
+  });
+
+  it('should propagate index creation errors', async () => {
+    mockDb.collection('users').createIndexes.mockRejectedValue(new Error('Duplicate values in users.name'));
+
+    await expect(ensureIndexes(mockDb)).rejects.toThrow('Duplicate values in users.name');
+  });
+});
@@ -0,0 +1,134 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Mock connectDB to avoid actual database connections
+jest.mock('../connect-db', () => ({
+  connectDB: jest.fn(),
+  closeDB: jest.fn()
+}));
+
+// Import after mocking
+import { loadMigrations, migrateUp, migrateDown, migrationStatus } from '../migrate';
+
+describe('Migration Runner', () => {
+  let mockDb;
+  let records;
+  let migrations;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // An in-memory stand-in for the migrations collection
+    records = [];
+    const mockMigrationsCollection = {
+      find: jest.fn(() => ({
+        sort: jest.fn(() => ({
+          toArray: jest.fn().mockResolvedValue([...records].sort((a, b) => a.id.localeCompare(b.id)))
+        }))
+      })),
+      insertOne: jest.fn(async record => { records.push(record); }),
+      deleteOne: jest.fn(async ({ id }) => { records = records.filter(record => record.id !== id); })
+    };
+
+    mockDb = {
+      collection: jest.fn().mockReturnValue(mockMigrationsCollection)
+    };
+
+    migrations = ['001-first', '002-second', '003-third'].map(id => ({
+      id,
+      up: jest.fn(),
+      down: jest.fn()
+    }));
+  });
+
+  describe('loadMigrations', () => {
+    it('should load the migrations shipped with the server in order', () => {
+      const loaded = loadMigrations();
+
+      expect(loaded.length).toBeGreaterThan(0);
+      expect(loaded[0].id).toBe('001-expire-sessions');
+      expect(loaded.map(migration => migration.id)).toEqual(loaded.map(migration => migration.id).sort());
+      loaded.forEach(migration => {
+        expect(migration.up).toEqual(expect.any(Function));
+        expect(migration.down).toEqual(expect.any(Function));
+      });
+    });
+
+    it('should ignore files that are not numbered migrations', () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+      fs.writeFileSync(path.join(directory, '002-later.js'), 'exports.up = () => {}; exports.down = () => {};');
+      fs.writeFileSync(path.join(directory, '001-earlier.js'), 'exports.up = () => {}; exports.down = () => {};');
+      fs.writeFileSync(path.join(directory, 'README.md'), '');
+
+      expect(loadMigrations(directory).map(migration => migration.id)).toEqual(['001-earlier', '002-later']);
+    });
+  });
+
+  describe('migrateUp', () => {
+    it('should apply pending migrations in order and record them', async () => {
+      const ran = await migrateUp(mockDb, migrations);
+
+      expect(ran).toEqual(['001-first', '002-second', '003-third']);
+      migrations.forEach(migration => expect(migration.up).toHaveBeenCalledWith(mockDb));
+      expect(mockDb.collection).toHaveBeenCalledWith('migrations');
+      expect(records.map(record => record.id)).toEqual(['001-first', '002-second', '003-third']);
+    });
+
+    it('should skip migrations that were already applied', async () => {
+      records = [{ id: '001-first', appliedAt: new Date() }];
+
+      const ran = await migrateUp(mockDb, migrations);
+
+      expect(ran).toEqual(['002-second', '003-third']);
+      expect(migrations[0].up).not.toHaveBeenCalled();
+    });
+
+    it('should stop and not record a migration that fails', async () => {
+      migrations[1].up.mockRejectedValue(new Error('Migration failed'));
+
+      await expect(migrateUp(mockDb, migrations)).rejects.toThrow('Migration failed');
+
+      expect(records.map(record => record.id)).toEqual(['001-first']);
+      expect(migrations[2].up).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('migrateDown', () => {
+    beforeEach(async () => {
+      await migrateUp(mockDb, migrations);
+    });
+
+    it('should revert the most recent migration', async () => {
+      const reverted = await migrateDown(mockDb, migrations);
+
+      expect(reverted).toEqual(['003-third']);
+      expect(migrations[2].down).toHaveBeenCalledWith(mockDb);
+      expect(migrations[1].down).not.toHaveBeenCalled();
+      expect(records.map(record => record.id)).toEqual(['001-first', '002-second']);
+    });
+
+    it('should revert several migrations in reverse order', async () => {
+      const reverted = await migrateDown(mockDb, migrations, 2);
+
+      expect(reverted).toEqual(['003-third', '002-second']);
+    });
+
+    it('should refuse to revert a migration whose file is missing', async () => {
+      await expect(migrateDown(mockDb, migrations.slice(0, 2))).rejects.toThrow('003-third');
+    });
+  });
+
+  describe('migrationStatus', () => {
+    it('should list every migration with the date it was applied', async () => {
+      const appliedAt = new Date();
+      records = [{ id: '001-first', appliedAt }];
+
+      await expect(migrationStatus(mockDb, migrations)).resolves.toEqual([
+        { id: '001-first', appliedAt },
+        { id: '002-second', appliedAt: null },
+        { id: '003-third', appliedAt: null }
+      ]);
+    });
+  });
+});
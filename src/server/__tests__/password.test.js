@@ -0,0 +1,66 @@
+import bcrypt from 'bcryptjs';
+import md5 from 'md5';
+
+// Mock config with a low cost factor to keep the tests fast
+jest.mock('../config', () => ({
+  BCRYPT_ROUNDS: 4
+}));
+
+// Import after mocking
+import { hashPassword, hashPasswordSync, verifyPassword } from '../password';
+
+describe('Password Module', () => {
+  describe('hashPassword', () => {
+    it('should produce a salted bcrypt hash using the configured rounds', async () => {
+      const hash = await hashPassword('TUPLES');
+
+      expect(hash).toMatch(/^\$2[aby]\$04\$/);
+      expect(bcrypt.getRounds(hash)).toBe(4);
+    });
+
+    it('should produce a different hash for the same password each time', async () => {
+      const first = await hashPassword('TUPLES');
+      const second = await hashPassword('TUPLES');
+
+      expect(first).not.toBe(second);
+    });
+
+    it('should provide a synchronous variant for seed data', () => {
+      const hash = hashPasswordSync('TUPLES');
+
+      expect(bcrypt.compareSync('TUPLES', hash)).toBe(true);
+    });
+  });
+
+  describe('verifyPassword', () => {
+    it('should accept the correct password for a bcrypt hash', async () => {
+      const hash = await hashPassword('TUPLES');
+
+      await expect(verifyPassword('TUPLES', hash)).resolves.toEqual({ valid: true, needsRehash: false });
+    });
+
+    it('should reject an incorrect password for a bcrypt hash', async () => {
+      const hash = await hashPassword('TUPLES');
+
+      await expect(verifyPassword('WRONG', hash)).resolves.toEqual({ valid: false, needsRehash: false });
+    });
+
+    it('should accept a legacy md5 hash and flag it for rehashing', async () => {
+      await expect(verifyPassword('TUPLES', md5('TUPLES'))).resolves.toEqual({ valid: true, needsRehash: true });
+    });
+
+    it('should reject an incorrect password for a legacy md5 hash', async () => {
+      await expect(verifyPassword('WRONG', md5('TUPLES'))).resolves.toEqual({ valid: false, needsRehash: false });
+    });
+
+    it('should flag bcrypt hashes created with a different cost', async () => {
+      const hash = bcrypt.hashSync('TUPLES', 5);
+
+      await expect(verifyPassword('TUPLES', hash)).resolves.toEqual({ valid: true, needsRehash: true });
+    });
+
+    it('should reject users without a stored hash', async () => {
+      await expect(verifyPassword('TUPLES', undefined)).resolves.toEqual({ valid: false, needsRehash: false });
+    });
+  });
+});
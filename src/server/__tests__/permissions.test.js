@@ -0,0 +1,38 @@
+import {
+  visibleGroupsQuery,
+  visibleTasksQuery,
+  audienceOf
+} from '../permissions';
+
+describe('Permissions Module', () => {
+  const task = { id: 'task-1', owner: 'user-1' };
+  const shared = {
+    id: 'shared-1',
+    owner: 'user-1',
+    collaborators: [{ user: 'user-2', role: 'viewer' }, { user: 'user-3', role: 'editor' }]
+  };
+
+  describe('visibility queries', () => {
+    it('should match owned and shared groups', () => {
+      expect(visibleGroupsQuery('user-1')).toEqual({ $or: [{ owner: 'user-1' }, { 'collaborators.user': 'user-1' }] });
+    });
+
+    it('should match owned and shared tasks, and tasks in visible groups', () => {
+      expect(visibleTasksQuery('user-1', ['group-1'])).toEqual({
+        $or: [{ owner: 'user-1' }, { 'collaborators.user': 'user-1' }, { assignees: 'user-1' }, { group: { $in: ['group-1'] } }]
+      });
+    });
+  });
+
+  describe('audienceOf', () => {
+    it('should list everyone who can see a task through itself or its group, once', () => {
+      const assigned = { id: 'task-2', owner: 'user-1', assignees: ['user-5'], collaborators: [{ user: 'user-2', role: 'viewer' }] };
+
+      expect(audienceOf(assigned, shared)).toEqual(['user-1', 'user-2', 'user-5', 'user-3']);
+    });
+
+    it('should skip missing items', () => {
+      expect(audienceOf(task, null)).toEqual(['user-1']);
+    });
+  });
+});
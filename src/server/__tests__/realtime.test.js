@@ -0,0 +1,111 @@
+import http from 'http';
+import WebSocket from 'ws';
+import { verifyAccessToken } from '../session';
+
+// Mock dependencies
+jest.mock('../config', () => ({
+  API_VERSION: 'v1'
+}));
+
+jest.mock('../session', () => ({
+  verifyAccessToken: jest.fn()
+}));
+
+// Import after mocking
+import { attachRealtime, publish, trackOrigin, EVENTS_PATH, UNAUTHORIZED } from '../realtime';
+
+describe('Realtime Module', () => {
+  let server;
+  let wss;
+  let sockets;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    verifyAccessToken.mockImplementation(token => token === 'token-1' ? 'user-1' : token === 'token-2' ? 'user-2' : null);
+    server = http.createServer();
+    wss = attachRealtime(server);
+    sockets = [];
+    await new Promise(resolve => server.listen(0, resolve));
+  });
+
+  afterEach(async () => {
+    sockets.forEach(socket => socket.terminate());
+    await new Promise(resolve => wss.close(resolve));
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const open = () => {
+    const socket = new WebSocket(`ws://localhost:${server.address().port}${EVENTS_PATH}`);
+    const messages = [];
+    socket.on('message', data => messages.push(JSON.parse(data)));
+    sockets.push(socket);
+    socket.messages = messages;
+    return new Promise(resolve => socket.on('open', () => resolve(socket)));
+  };
+
+  const nextMessage = socket => new Promise(resolve => socket.once('message', data => resolve(JSON.parse(data))));
+
+  const connect = async token => {
+    const socket = await open();
+    const connected = nextMessage(socket);
+    socket.send(JSON.stringify({ type: 'AUTHENTICATE', token }));
+    socket.connectionID = (await connected).connectionID;
+    return socket;
+  };
+
+  it('should confirm connections that authenticate', async () => {
+    const socket = await open();
+    const connected = nextMessage(socket);
+
+    socket.send(JSON.stringify({ type: 'AUTHENTICATE', token: 'token-1' }));
+
+    expect(await connected).toEqual({ type: 'CONNECTED', connectionID: expect.any(String) });
+    expect(verifyAccessToken).toHaveBeenCalledWith('token-1');
+  });
+
+  it('should close connections with an invalid token', async () => {
+    const socket = await open();
+    const closed = new Promise(resolve => socket.on('close', resolve));
+
+    socket.send(JSON.stringify({ type: 'AUTHENTICATE', token: 'expired' }));
+
+    expect(await closed).toBe(UNAUTHORIZED);
+  });
+
+  it('should send published messages to the given users only', async () => {
+    const first = await connect('token-1');
+    const second = await connect('token-2');
+    const received = nextMessage(first);
+    const resync = nextMessage(second);
+
+    publish(['user-1'], { type: 'TASK_DELETED', taskID: 'task-1' });
+    publish(['user-2'], { type: 'RESYNC' });
+
+    expect(await received).toEqual({ type: 'TASK_DELETED', taskID: 'task-1' });
+    expect(await resync).toEqual({ type: 'RESYNC' });
+    expect(second.messages).not.toContainEqual({ type: 'TASK_DELETED', taskID: 'task-1' });
+  });
+
+  it('should not echo changes back to the connection that made them', async () => {
+    const origin = await connect('token-1');
+    const other = await connect('token-1');
+    const received = nextMessage(other);
+    const req = { get: jest.fn().mockReturnValue(origin.connectionID) };
+
+    trackOrigin(req, {}, () => publish(['user-1'], { type: 'RESYNC' }));
+
+    expect(await received).toEqual({ type: 'RESYNC' });
+    expect(req.get).toHaveBeenCalledWith('X-Connection-ID');
+    expect(origin.messages).toHaveLength(1);
+  });
+
+  it('should stop sending to closed connections', async () => {
+    const socket = await connect('token-1');
+    const closed = new Promise(resolve => socket.on('close', resolve));
+
+    socket.close();
+    await closed;
+
+    expect(() => publish(['user-1'], { type: 'RESYNC' })).not.toThrow();
+  });
+});
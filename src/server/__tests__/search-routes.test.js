@@ -0,0 +1,81 @@
+import express from 'express';
+import request from 'supertest';
+
+jest.mock('../config', () => ({
+  API_VERSION: 'v1'
+}));
+
+jest.mock('../authenticate', () => ({
+  requireAuthentication: jest.fn((req, res, next) => {
+    req.userID = 'user-1';
+    next();
+  })
+}));
+
+jest.mock('../communicate-db', () => ({
+  searchTasks: jest.fn()
+}));
+
+import { searchRoutes, SEARCH_PATH } from '../search-routes';
+import { requireAuthentication } from '../authenticate';
+import { searchTasks } from '../communicate-db';
+import { errorHandler, UnauthorizedError } from '../errors';
+
+describe('Search Routes', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    app = express();
+    searchRoutes(app);
+    app.use(errorHandler);
+  });
+
+  it('should mount under the versioned API prefix', () => {
+    expect(SEARCH_PATH).toBe('/api/v1/search');
+  });
+
+  it('should require authentication', async () => {
+    requireAuthentication.mockImplementationOnce((req, res, next) => next(new UnauthorizedError()));
+
+    await request(app).get('/api/v1/search?q=deploy').expect(401);
+
+    expect(searchTasks).not.toHaveBeenCalled();
+  });
+
+  it('should respond with the matching tasks and comments', async () => {
+    searchTasks.mockResolvedValue({ tasks: [{ id: 'task-1' }], comments: [{ id: 'comment-1', task: 'task-1' }] });
+
+    const response = await request(app).get('/api/v1/search?q=deploy').expect(200);
+
+    expect(response.body).toEqual({ tasks: [{ id: 'task-1' }], comments: [{ id: 'comment-1', task: 'task-1' }] });
+    expect(searchTasks).toHaveBeenCalledWith({ q: 'deploy' }, 'user-1');
+  });
+
+  it('should pass typed filters through', async () => {
+    searchTasks.mockResolvedValue({ tasks: [], comments: [] });
+
+    await request(app)
+      .get('/api/v1/search?isComplete=true&group=group-1&owner=user-1&label=work&dueAfter=2026-01-01&dueBefore=2026-02-01')
+      .expect(200);
+
+    expect(searchTasks).toHaveBeenCalledWith({
+      isComplete: true,
+      group: 'group-1',
+      owner: 'user-1',
+      label: 'work',
+      dueAfter: '2026-01-01',
+      dueBefore: '2026-02-01'
+    }, 'user-1');
+  });
+
+  it('should reject malformed dates', async () => {
+    const response = await request(app).get('/api/v1/search?dueAfter=soon').expect(400);
+
+    expect(response.body.error.details).toEqual([
+      { field: 'query.dueAfter', message: 'must be a date in YYYY-MM-DD format' }
+    ]);
+    expect(searchTasks).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,51 @@
+// Mock connectDB to avoid actual database connections
+jest.mock('../connect-db', () => ({
+  connectDB: jest.fn(),
+  closeDB: jest.fn()
+}));
+
+// Import after mocking
+import { seed } from '../seed';
+
+describe('Seed Module', () => {
+  let mockDb;
+  let mockCollection;
+
+  const state = {
+    users: [{ id: 'U1', name: 'Dev' }],
+    tasks: [{ id: 'T1', owner: 'U1' }]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockCollection = {
+      findOne: jest.fn(),
+      insertMany: jest.fn()
+    };
+
+    mockDb = {
+      collection: jest.fn().mockReturnValue(mockCollection)
+    };
+  });
+
+  it('should insert every collection of the demo state', async () => {
+    mockCollection.findOne.mockResolvedValue(null);
+
+    await expect(seed(mockDb, state)).resolves.toBe(true);
+
+    expect(mockDb.collection).toHaveBeenCalledWith('users');
+    expect(mockDb.collection).toHaveBeenCalledWith('tasks');
+    expect(mockCollection.insertMany).toHaveBeenCalledWith(state.users);
+    expect(mockCollection.insertMany).toHaveBeenCalledWith(state.tasks);
+  });
+
+  it('should not insert anything if the demo user already exists', async () => {
+    mockCollection.findOne.mockResolvedValue({ id: 'U1' });
+
+    await expect(seed(mockDb, state)).resolves.toBe(false);
+
+    expect(mockCollection.findOne).toHaveBeenCalledWith({ id: 'U1' });
+    expect(mockCollection.insertMany).not.toHaveBeenCalled();
+  });
+});
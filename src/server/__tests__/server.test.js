@@ -21,15 +21,47 @@ jest.mock('../connect-db', () => ({
 }));
 
 jest.mock('../authenticate', () => ({
-  authenticationRoute: jest.fn()
+  authenticationRoute: jest.fn(),
+  requireAuthentication: jest.fn((req, res, next) => next())
+}));
+
+jest.mock('../task-routes', () => ({
+  TASKS_PATH: '/api/v1/tasks',
+  taskRoutes: jest.fn(),
+  deprecated: jest.fn(() => (req, res, next) => next())
+}));
+
+jest.mock('../group-routes', () => ({
+  groupRoutes: jest.fn()
+}));
+
+jest.mock('../search-routes', () => ({
+  searchRoutes: jest.fn()
+}));
+
+jest.mock('../user-routes', () => ({
+  userRoutes: jest.fn()
+}));
+
+jest.mock('../friend-routes', () => ({
+  friendRoutes: jest.fn()
+}));
+
+jest.mock('../activity-routes', () => ({
+  activityRoutes: jest.fn()
+}));
+
+jest.mock('../realtime', () => ({
+  attachRealtime: jest.fn(),
+  trackOrigin: (req, res, next) => next()
 }));
 
 jest.mock('../communicate-db', () => ({
   addNewTask: jest.fn(),
-  updateTask: jest.fn()
+  updateTask: jest.fn(),
+  addComment: jest.fn()
 }));
 
-jest.mock('../initialize-db', () => ({}));
 
 
 describe('Server Integration Tests', () => {
@@ -0,0 +1,146 @@
+import jwt from 'jsonwebtoken';
+import { connectDB } from '../connect-db';
+
+// Mock dependencies
+jest.mock('../connect-db', () => ({
+  connectDB: jest.fn()
+}));
+
+jest.mock('../config', () => ({
+  JWT_SECRET: 'test-jwt-secret',
+  ACCESS_TOKEN_TTL: 900,
+  REFRESH_TOKEN_TTL: 604800
+}));
+
+// Import after mocking
+import { createSession, verifyAccessToken, refreshSession, revokeSession } from '../session';
+
+describe('Session Module', () => {
+  let mockDb;
+  let mockSessionsCollection;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockSessionsCollection = {
+      insertOne: jest.fn(),
+      updateOne: jest.fn(),
+      findOneAndUpdate: jest.fn()
+    };
+
+    mockDb = {
+      collection: jest.fn().mockReturnValue(mockSessionsCollection)
+    };
+
+    connectDB.mockResolvedValue(mockDb);
+  });
+
+  describe('createSession', () => {
+    it('should issue an access token and a refresh token for the user', async () => {
+      const { token, refreshToken } = await createSession('user-1');
+
+      expect(jwt.verify(token, 'test-jwt-secret')).toEqual(expect.objectContaining({ sub: 'user-1', type: 'access' }));
+      expect(jwt.verify(refreshToken, 'test-jwt-secret')).toEqual(expect.objectContaining({ sub: 'user-1', type: 'refresh' }));
+    });
+
+    it('should record the refresh token in the sessions collection', async () => {
+      const { refreshToken } = await createSession('user-1');
+      const { jti } = jwt.decode(refreshToken);
+
+      expect(mockDb.collection).toHaveBeenCalledWith('sessions');
+      expect(mockSessionsCollection.insertOne).toHaveBeenCalledWith({
+        id: jti,
+        user: 'user-1',
+        revoked: false,
+        expiresAt: expect.any(Date)
+      });
+    });
+
+    it('should give the access token the configured lifetime', async () => {
+      const { token } = await createSession('user-1');
+      const { iat, exp } = jwt.decode(token);
+
+      expect(exp - iat).toBe(900);
+    });
+  });
+
+  describe('verifyAccessToken', () => {
+    it('should return the user ID for a valid access token', async () => {
+      const { token } = await createSession('user-1');
+
+      expect(verifyAccessToken(token)).toBe('user-1');
+    });
+
+    it('should reject refresh tokens used as access tokens', async () => {
+      const { refreshToken } = await createSession('user-1');
+
+      expect(verifyAccessToken(refreshToken)).toBeNull();
+    });
+
+    it('should reject tokens signed with another secret', () => {
+      const token = jwt.sign({ sub: 'user-1', type: 'access' }, 'another-secret');
+
+      expect(verifyAccessToken(token)).toBeNull();
+    });
+
+    it('should reject expired tokens', () => {
+      const token = jwt.sign({ sub: 'user-1', type: 'access' }, 'test-jwt-secret', { expiresIn: -1 });
+
+      expect(verifyAccessToken(token)).toBeNull();
+    });
+
+    it('should reject malformed tokens', () => {
+      expect(verifyAccessToken('not-a-token')).toBeNull();
+      expect(verifyAccessToken(undefined)).toBeNull();
+    });
+  });
+
+  describe('refreshSession', () => {
+    it('should revoke the old refresh token and issue a new session', async () => {
+      const { refreshToken } = await createSession('user-1');
+      const { jti } = jwt.decode(refreshToken);
+      mockSessionsCollection.findOneAndUpdate.mockResolvedValue({ value: { id: jti } });
+
+      const session = await refreshSession(refreshToken);
+
+      expect(mockSessionsCollection.findOneAndUpdate).toHaveBeenCalledWith(
+        { id: jti, revoked: false },
+        { $set: { revoked: true } }
+      );
+      expect(verifyAccessToken(session.token)).toBe('user-1');
+      expect(jwt.decode(session.refreshToken).jti).not.toBe(jti);
+    });
+
+    it('should return null for a revoked refresh token', async () => {
+      const { refreshToken } = await createSession('user-1');
+      mockSessionsCollection.findOneAndUpdate.mockResolvedValue({ value: null });
+
+      await expect(refreshSession(refreshToken)).resolves.toBeNull();
+    });
+
+    it('should return null for access tokens', async () => {
+      const { token } = await createSession('user-1');
+
+      await expect(refreshSession(token)).resolves.toBeNull();
+      expect(mockSessionsCollection.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('should mark the refresh token as revoked', async () => {
+      const { refreshToken } = await createSession('user-1');
+      const { jti } = jwt.decode(refreshToken);
+
+      await expect(revokeSession(refreshToken)).resolves.toBe(true);
+      expect(mockSessionsCollection.updateOne).toHaveBeenCalledWith(
+        { id: jti },
+        { $set: { revoked: true } }
+      );
+    });
+
+    it('should ignore invalid refresh tokens', async () => {
+      await expect(revokeSession('not-a-token')).resolves.toBe(false);
+      expect(mockSessionsCollection.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
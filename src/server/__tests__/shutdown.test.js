@@ -0,0 +1,101 @@
+import { closeDB } from '../connect-db';
+
+// Mock dependencies
+jest.mock('../connect-db', () => ({
+  closeDB: jest.fn()
+}));
+
+jest.mock('../config', () => ({
+  SHUTDOWN_TIMEOUT_MS: 1000
+}));
+
+// Import after mocking
+import { registerShutdown } from '../shutdown';
+
+describe('Shutdown Module', () => {
+  let server;
+  let exit;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    server = {
+      close: jest.fn(),
+      closeIdleConnections: jest.fn()
+    };
+    exit = jest.fn();
+    closeDB.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    process.removeAllListeners('SIGTERM');
+    process.removeAllListeners('SIGINT');
+    jest.useRealTimers();
+    console.info.mockRestore();
+    console.error.mockRestore();
+  });
+
+  it('should listen for SIGTERM and SIGINT', () => {
+    registerShutdown(server, exit);
+
+    expect(process.listenerCount('SIGTERM')).toBe(1);
+    expect(process.listenerCount('SIGINT')).toBe(1);
+  });
+
+  it('should stop accepting connections and close the database once requests have drained', async () => {
+    const shutdown = registerShutdown(server, exit);
+
+    shutdown('SIGTERM');
+
+    expect(server.close).toHaveBeenCalled();
+    expect(server.closeIdleConnections).toHaveBeenCalled();
+    expect(closeDB).not.toHaveBeenCalled();
+
+    // Simulate the last in-flight request finishing
+    await server.close.mock.calls[0][0]();
+
+    expect(closeDB).toHaveBeenCalled();
+    expect(exit).toHaveBeenCalledWith(0);
+  });
+
+  it('should exit with an error if requests do not drain in time', () => {
+    const shutdown = registerShutdown(server, exit);
+
+    shutdown('SIGINT');
+    jest.advanceTimersByTime(1000);
+
+    expect(exit).toHaveBeenCalledWith(1);
+  });
+
+  it('should exit with an error if the database fails to close', async () => {
+    closeDB.mockRejectedValue(new Error('Close failed'));
+    const shutdown = registerShutdown(server, exit);
+
+    shutdown('SIGTERM');
+    await server.close.mock.calls[0][0]();
+
+    expect(exit).toHaveBeenCalledWith(1);
+  });
+
+  it('should only shut down once', () => {
+    const shutdown = registerShutdown(server, exit);
+
+    shutdown('SIGTERM');
+    shutdown('SIGINT');
+
+    expect(server.close).toHaveBeenCalledTimes(1);
+  });
+
+  it('should close long-lived sockets along with the server', () => {
+    const closeSockets = jest.fn();
+    const shutdown = registerShutdown(server, exit, closeSockets);
+
+    shutdown('SIGTERM');
+
+    expect(closeSockets).toHaveBeenCalled();
+    expect(server.close).toHaveBeenCalled();
+  });
+});
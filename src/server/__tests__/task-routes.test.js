@@ -0,0 +1,375 @@
+import express from 'express';
+import request from 'supertest';
+
+jest.mock('../config', () => ({
+  API_VERSION: 'v1'
+}));
+
+jest.mock('../authenticate', () => ({
+  requireAuthentication: jest.fn((req, res, next) => {
+    req.userID = 'user-1';
+    next();
+  })
+}));
+
+jest.mock('../communicate-db', () => ({
+  getTask: jest.fn(),
+  listTasks: jest.fn(),
+  addNewTask: jest.fn(),
+  updateTask: jest.fn(),
+  deleteTask: jest.fn(),
+  listTaskActivity: jest.fn(),
+  addChecklistItem: jest.fn(),
+  updateChecklistItem: jest.fn(),
+  deleteChecklistItem: jest.fn(),
+  setCollaborator: jest.fn(),
+  removeCollaborator: jest.fn()
+}));
+
+import { taskRoutes, deprecated, TASKS_PATH } from '../task-routes';
+import { requireAuthentication } from '../authenticate';
+import {
+  getTask,
+  listTasks,
+  addNewTask,
+  updateTask,
+  deleteTask,
+  listTaskActivity,
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+  setCollaborator,
+  removeCollaborator
+} from '../communicate-db';
+import { errorHandler, ConflictError, ForbiddenError, NotFoundError, UnauthorizedError } from '../errors';
+
+describe('Task Routes', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    app = express();
+    app.use(express.json());
+    taskRoutes(app);
+    app.use(errorHandler);
+  });
+
+  it('should mount under the versioned API prefix', () => {
+    expect(TASKS_PATH).toBe('/api/v1/tasks');
+  });
+
+  it('should require authentication', async () => {
+    requireAuthentication.mockImplementationOnce((req, res, next) => next(new UnauthorizedError()));
+
+    const response = await request(app).get('/api/v1/tasks').expect(401);
+
+    expect(response.body.error.code).toBe('UNAUTHORIZED');
+    expect(listTasks).not.toHaveBeenCalled();
+  });
+
+  describe('GET /tasks', () => {
+    it('should list the user\'s tasks', async () => {
+      listTasks.mockResolvedValue([{ id: 'task-1' }]);
+
+      const response = await request(app).get('/api/v1/tasks').expect(200);
+
+      expect(response.body).toEqual({ tasks: [{ id: 'task-1' }] });
+      expect(listTasks).toHaveBeenCalledWith({}, 'user-1');
+    });
+
+    it('should pass typed filters through', async () => {
+      listTasks.mockResolvedValue([]);
+
+      await request(app).get('/api/v1/tasks?group=group-1&isComplete=false').expect(200);
+
+      expect(listTasks).toHaveBeenCalledWith({ group: 'group-1', isComplete: false }, 'user-1');
+    });
+
+    it('should filter by archive state', async () => {
+      listTasks.mockResolvedValue([]);
+
+      await request(app).get('/api/v1/tasks?isArchived=true').expect(200);
+
+      expect(listTasks).toHaveBeenCalledWith({ isArchived: true }, 'user-1');
+
+      await request(app).get('/api/v1/tasks?isArchived=false').expect(200);
+
+      expect(listTasks).toHaveBeenCalledWith({ isArchived: false }, 'user-1');
+    });
+
+    it('should drop unknown filters', async () => {
+      listTasks.mockResolvedValue([]);
+
+      await request(app).get('/api/v1/tasks?owner=user-2').expect(200);
+
+      expect(listTasks).toHaveBeenCalledWith({}, 'user-1');
+    });
+
+    it('should reject malformed filters', async () => {
+      const response = await request(app).get('/api/v1/tasks?isComplete=maybe').expect(400);
+
+      expect(response.body.error.details).toEqual([
+        { field: 'query.isComplete', message: 'must be a boolean' }
+      ]);
+      expect(listTasks).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /tasks/:id', () => {
+    it('should return the task', async () => {
+      getTask.mockResolvedValue({ id: 'task-1' });
+
+      const response = await request(app).get('/api/v1/tasks/task-1').expect(200);
+
+      expect(response.body).toEqual({ task: { id: 'task-1' } });
+      expect(getTask).toHaveBeenCalledWith('task-1', 'user-1');
+    });
+
+    it('should return 404 for missing tasks', async () => {
+      getTask.mockRejectedValue(new NotFoundError('Task not found'));
+
+      const response = await request(app).get('/api/v1/tasks/missing').expect(404);
+
+      expect(response.body.error.message).toBe('Task not found');
+    });
+
+    it('should return 403 for tasks the user cannot see', async () => {
+      getTask.mockRejectedValue(new ForbiddenError());
+
+      await request(app).get('/api/v1/tasks/task-1').expect(403);
+    });
+  });
+
+  describe('POST /tasks', () => {
+    it('should create a task and return it with 201', async () => {
+      const created = { id: 'task-1', group: 'group-1', name: 'Task', owner: 'user-1' };
+      addNewTask.mockResolvedValue(created);
+
+      const response = await request(app)
+        .post('/api/v1/tasks')
+        .send({ group: 'group-1', name: 'Task' })
+        .expect(201);
+
+      expect(response.body).toEqual({ task: created });
+      expect(addNewTask).toHaveBeenCalledWith({ group: 'group-1', name: 'Task' }, 'user-1');
+    });
+
+    it('should reject a task without a group', async () => {
+      await request(app).post('/api/v1/tasks').send({ name: 'Task' }).expect(400);
+
+      expect(addNewTask).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /tasks/:id', () => {
+    it('should update only the given fields', async () => {
+      updateTask.mockResolvedValue({ task: { id: 'task-1', isComplete: true }, tasks: [] });
+
+      const response = await request(app)
+        .patch('/api/v1/tasks/task-1')
+        .send({ isComplete: true })
+        .expect(200);
+
+      expect(response.body).toEqual({ task: { id: 'task-1', isComplete: true }, tasks: [] });
+      expect(updateTask).toHaveBeenCalledWith({ id: 'task-1', isComplete: true }, 'user-1');
+    });
+
+    it('should archive a task', async () => {
+      updateTask.mockResolvedValue({ task: { id: 'task-1', isArchived: true }, tasks: [] });
+
+      await request(app).patch('/api/v1/tasks/task-1').send({ isArchived: true }).expect(200);
+
+      expect(updateTask).toHaveBeenCalledWith({ id: 'task-1', isArchived: true }, 'user-1');
+    });
+
+    it('should move a task in a single request', async () => {
+      updateTask.mockResolvedValue({ task: { id: 'task-1', group: 'group-2', position: 0 }, tasks: [] });
+
+      await request(app).patch('/api/v1/tasks/task-1').send({ group: 'group-2', position: 0 }).expect(200);
+
+      expect(updateTask).toHaveBeenCalledWith({ id: 'task-1', group: 'group-2', position: 0 }, 'user-1');
+    });
+
+    it('should take the id from the path, not the body', async () => {
+      updateTask.mockResolvedValue({ task: { id: 'task-1' }, tasks: [] });
+
+      await request(app).patch('/api/v1/tasks/task-1').send({ id: 'task-2', name: 'Task' }).expect(200);
+
+      expect(updateTask).toHaveBeenCalledWith({ id: 'task-1', name: 'Task' }, 'user-1');
+    });
+
+    it('should accept descriptive fields and clear them with null', async () => {
+      updateTask.mockResolvedValue({ task: { id: 'task-1' }, tasks: [] });
+      const changes = { description: null, dueDate: '2026-11-01', priority: 'low', labels: ['home', 'errand'] };
+
+      await request(app).patch('/api/v1/tasks/task-1').send(changes).expect(200);
+
+      expect(updateTask).toHaveBeenCalledWith({ id: 'task-1', ...changes }, 'user-1');
+    });
+
+    it('should reject malformed dates, priorities and labels', async () => {
+      const response = await request(app)
+        .patch('/api/v1/tasks/task-1')
+        .send({ dueDate: 'tomorrow', priority: 'urgent', labels: 'home' })
+        .expect(400);
+
+      expect(response.body.error.details.map(detail => detail.field)).toEqual(['dueDate', 'priority', 'labels']);
+      expect(updateTask).not.toHaveBeenCalled();
+    });
+
+    it('should assign a task', async () => {
+      updateTask.mockResolvedValue({ task: { id: 'task-1', assignees: ['user-2'] }, tasks: [] });
+
+      await request(app).patch('/api/v1/tasks/task-1').send({ assignees: ['user-2'] }).expect(200);
+
+      expect(updateTask).toHaveBeenCalledWith({ id: 'task-1', assignees: ['user-2'] }, 'user-1');
+    });
+
+    it('should reject assignees that are not a list of user IDs', async () => {
+      const response = await request(app).patch('/api/v1/tasks/task-1').send({ assignees: 'user-2' }).expect(400);
+
+      expect(response.body.error.details.map(detail => detail.field)).toEqual(['assignees']);
+      expect(updateTask).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid fields', async () => {
+      await request(app).patch('/api/v1/tasks/task-1').send({ isComplete: 'yes' }).expect(400);
+
+      expect(updateTask).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 with the current task when the version is stale', async () => {
+      const current = { id: 'task-1', name: 'Theirs', version: 3 };
+      updateTask.mockRejectedValue(new ConflictError('This task was changed by someone else', { task: current }));
+
+      const response = await request(app).patch('/api/v1/tasks/task-1').send({ name: 'Mine', version: 2 }).expect(409);
+
+      expect(response.body.error).toMatchObject({ code: 'CONFLICT', details: { task: current } });
+      expect(updateTask).toHaveBeenCalledWith({ id: 'task-1', name: 'Mine', version: 2 }, 'user-1');
+    });
+  });
+
+  describe('DELETE /tasks/:id', () => {
+    it('should delete the task and respond with 204', async () => {
+      deleteTask.mockResolvedValue();
+
+      await request(app).delete('/api/v1/tasks/task-1').expect(204);
+
+      expect(deleteTask).toHaveBeenCalledWith('task-1', 'user-1');
+    });
+
+    it('should return 403 when the user cannot delete the task', async () => {
+      deleteTask.mockRejectedValue(new ForbiddenError());
+
+      await request(app).delete('/api/v1/tasks/task-1').expect(403);
+    });
+  });
+
+  describe('GET /tasks/:id/activity', () => {
+    it('should return the task\'s history', async () => {
+      const entry = { id: 'activity-1', task: 'task-1', actor: 'user-2', field: 'isComplete', from: false, to: true };
+      listTaskActivity.mockResolvedValue([entry]);
+
+      const response = await request(app).get('/api/v1/tasks/task-1/activity').expect(200);
+
+      expect(response.body).toEqual({ activity: [entry] });
+      expect(listTaskActivity).toHaveBeenCalledWith('task-1', 'user-1');
+    });
+
+    it('should return 403 for tasks the user cannot see', async () => {
+      listTaskActivity.mockRejectedValue(new ForbiddenError());
+
+      await request(app).get('/api/v1/tasks/task-1/activity').expect(403);
+    });
+  });
+
+  describe('checklist', () => {
+    it('should add an item and return it with 201', async () => {
+      const item = { id: 'item-1', text: 'Step', isComplete: false };
+      addChecklistItem.mockResolvedValue({ item, task: { id: 'task-1', checklist: [item], version: 2 } });
+
+      const response = await request(app).post('/api/v1/tasks/task-1/checklist').send({ text: 'Step' }).expect(201);
+
+      expect(response.body).toEqual({ item, task: { id: 'task-1', checklist: [item], version: 2 } });
+      expect(addChecklistItem).toHaveBeenCalledWith('task-1', { text: 'Step' }, 'user-1');
+    });
+
+    it('should reject items without text', async () => {
+      await request(app).post('/api/v1/tasks/task-1/checklist').send({ text: '' }).expect(400);
+
+      expect(addChecklistItem).not.toHaveBeenCalled();
+    });
+
+    it('should update an item', async () => {
+      updateChecklistItem.mockResolvedValue({ item: { id: 'item-1', text: 'Step', isComplete: true }, task: { id: 'task-1', version: 2 } });
+
+      await request(app).patch('/api/v1/tasks/task-1/checklist/item-1').send({ isComplete: true, position: 2 }).expect(200);
+
+      expect(updateChecklistItem).toHaveBeenCalledWith('task-1', { id: 'item-1', isComplete: true, position: 2 }, 'user-1');
+    });
+
+    it('should delete an item and return the task', async () => {
+      deleteChecklistItem.mockResolvedValue({ id: 'task-1', checklist: [], version: 3 });
+
+      const response = await request(app).delete('/api/v1/tasks/task-1/checklist/item-1').expect(200);
+
+      expect(response.body).toEqual({ task: { id: 'task-1', checklist: [], version: 3 } });
+      expect(deleteChecklistItem).toHaveBeenCalledWith('task-1', 'item-1', 'user-1');
+    });
+
+    it('should return 404 for missing items', async () => {
+      deleteChecklistItem.mockRejectedValue(new NotFoundError('Checklist item not found'));
+
+      await request(app).delete('/api/v1/tasks/task-1/checklist/missing').expect(404);
+    });
+  });
+
+  describe('collaborators', () => {
+    it('should share the task with a user', async () => {
+      const task = { id: 'task-1', collaborators: [{ user: 'user-2', role: 'viewer' }], version: 2 };
+      setCollaborator.mockResolvedValue(task);
+
+      const response = await request(app)
+        .put('/api/v1/tasks/task-1/collaborators/user-2')
+        .send({ role: 'viewer' })
+        .expect(200);
+
+      expect(response.body).toEqual({ collaborators: [{ user: 'user-2', role: 'viewer' }], task });
+      expect(setCollaborator).toHaveBeenCalledWith('tasks', 'task-1', 'user-2', 'viewer', 'user-1');
+    });
+
+    it('should require a role', async () => {
+      await request(app).put('/api/v1/tasks/task-1/collaborators/user-2').send({}).expect(400);
+
+      expect(setCollaborator).not.toHaveBeenCalled();
+    });
+
+    it('should stop sharing the task with a user', async () => {
+      removeCollaborator.mockResolvedValue({ id: 'task-1', collaborators: [], version: 3 });
+
+      const response = await request(app).delete('/api/v1/tasks/task-1/collaborators/user-2').expect(200);
+
+      expect(response.body).toEqual({ task: { id: 'task-1', collaborators: [], version: 3 } });
+      expect(removeCollaborator).toHaveBeenCalledWith('tasks', 'task-1', 'user-2', 'user-1');
+    });
+
+    it('should return 403 when the user does not own the task', async () => {
+      setCollaborator.mockRejectedValue(new ForbiddenError());
+
+      await request(app).put('/api/v1/tasks/task-1/collaborators/user-2').send({ role: 'editor' }).expect(403);
+    });
+  });
+
+  describe('deprecated', () => {
+    it('should point clients at the successor route', async () => {
+      const legacy = express();
+      legacy.post('/task/new', deprecated('/api/v1/tasks'), (req, res) => res.status(200).send());
+
+      const response = await request(legacy).post('/task/new').expect(200);
+
+      expect(response.headers.deprecation).toBe('true');
+      expect(response.headers.link).toBe('</api/v1/tasks>; rel="successor-version"');
+    });
+  });
+});
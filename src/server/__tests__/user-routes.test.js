@@ -0,0 +1,61 @@
+import express from 'express';
+import request from 'supertest';
+
+jest.mock('../config', () => ({
+  API_VERSION: 'v1'
+}));
+
+jest.mock('../authenticate', () => ({
+  requireAuthentication: jest.fn((req, res, next) => {
+    req.userID = 'user-1';
+    next();
+  })
+}));
+
+jest.mock('../communicate-db', () => ({
+  searchUsers: jest.fn()
+}));
+
+import { userRoutes, USERS_PATH } from '../user-routes';
+import { requireAuthentication } from '../authenticate';
+import { searchUsers } from '../communicate-db';
+import { errorHandler, UnauthorizedError } from '../errors';
+
+describe('User Routes', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    app = express();
+    userRoutes(app);
+    app.use(errorHandler);
+  });
+
+  it('should mount under the versioned API prefix', () => {
+    expect(USERS_PATH).toBe('/api/v1/users');
+  });
+
+  it('should require authentication', async () => {
+    requireAuthentication.mockImplementationOnce((req, res, next) => next(new UnauthorizedError()));
+
+    await request(app).get('/api/v1/users?q=ee').expect(401);
+
+    expect(searchUsers).not.toHaveBeenCalled();
+  });
+
+  it('should respond with the matching users', async () => {
+    searchUsers.mockResolvedValue([{ id: 'user-2', name: 'C. Eeyo' }]);
+
+    const response = await request(app).get('/api/v1/users?q=C.%20E').expect(200);
+
+    expect(response.body).toEqual({ users: [{ id: 'user-2', name: 'C. Eeyo' }] });
+    expect(searchUsers).toHaveBeenCalledWith('C. E', 'user-1');
+  });
+
+  it('should require a search term', async () => {
+    await request(app).get('/api/v1/users').expect(400);
+
+    expect(searchUsers).not.toHaveBeenCalled();
+  });
+});
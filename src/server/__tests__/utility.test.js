@@ -14,6 +14,7 @@ describe('Utility Module', () => {
   let mockCommentsCollection;
   let mockUsersCollection;
   let mockGroupsCollection;
+  let mockFriendRequestsCollection;
 
   beforeEach(() => {
     jest.clearAllMocks();
@@ -44,6 +45,12 @@ describe('Utility Module', () => {
       })
     };
 
+    mockFriendRequestsCollection = {
+      find: jest.fn().mockReturnValue({
+        toArray: jest.fn().mockResolvedValue([])
+      })
+    };
+
     // Setup mock database
     mockDb = {
       collection: jest.fn((name) => {
@@ -56,6 +63,8 @@ describe('Utility Module', () => {
             return mockUsersCollection;
           case 'groups':
             return mockGroupsCollection;
+          case 'friendRequests':
+            return mockFriendRequestsCollection;
           default:
             return null;
         }
@@ -112,14 +121,22 @@ describe('Utility Module', () => {
         groups: mockGroups,
         tasks: mockTasks,
         users: [mockUsers[0], mockUsers[0], mockUsers[1]], // User appears twice due to being in both tasks and comments
-        comments: mockComments
+        comments: mockComments,
+        friendRequests: []
       });
     });
 
-    it('should query tasks for the correct user', async () => {
+    it('should query the tasks the user owns, shares or can see through a group', async () => {
       await assembleUserState(mockUser);
 
-      expect(mockTasksCollection.find).toHaveBeenCalledWith({ owner: 'user-1' });
+      expect(mockTasksCollection.find).toHaveBeenCalledWith({
+        $or: [
+          { owner: 'user-1' },
+          { 'collaborators.user': 'user-1' },
+          { assignees: 'user-1' },
+          { group: { $in: ['group-1', 'group-2'] } }
+        ]
+      });
     });
 
     it('should query comments for tasks owned by the user', async () => {
@@ -133,16 +150,60 @@ describe('Utility Module', () => {
     it('should query the user and related users', async () => {
       await assembleUserState(mockUser);
 
-      expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ id: 'user-1' });
+      expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ id: 'user-1' }, { projection: { passwordHash: 0 } });
       expect(mockUsersCollection.find).toHaveBeenCalledWith({
-        id: { $in: ['user-1', 'user-1'] } // User IDs from tasks and comments
-      });
+        id: { $in: ['user-2'] } // Comment author; the user themselves is already included
+      }, { projection: { _id: 0, id: 1, name: 1 } });
     });
 
-    it('should query groups for the user', async () => {
+    it('should include pending friend requests and the users who sent or received them', async () => {
+      const requests = [
+        { id: 'request-1', from: 'user-6', to: 'user-1' },
+        { id: 'request-2', from: 'user-1', to: 'user-7' }
+      ];
+      mockFriendRequestsCollection.find().toArray.mockResolvedValue(requests);
+      mockCommentsCollection.find().toArray.mockResolvedValue([]);
+
+      const result = await assembleUserState(mockUser);
+
+      expect(mockFriendRequestsCollection.find).toHaveBeenCalledWith({ $or: [{ from: 'user-1' }, { to: 'user-1' }] });
+      expect(result.friendRequests).toEqual(requests);
+      expect(mockUsersCollection.find).toHaveBeenCalledWith({ id: { $in: ['user-6', 'user-7'] } }, expect.anything());
+    });
+
+    it('should include collaborators and friends among the related users', async () => {
+      mockUsersCollection.findOne.mockResolvedValue({ id: 'user-1', friends: ['user-4'] });
+      mockGroupsCollection.find().toArray.mockResolvedValue([
+        { id: 'group-1', owner: 'user-3', collaborators: [{ user: 'user-1', role: 'viewer' }] }
+      ]);
+      mockTasksCollection.find().toArray.mockResolvedValue([
+        { id: 'task-1', owner: 'user-1', collaborators: [{ user: 'user-5', role: 'editor' }] }
+      ]);
+      mockCommentsCollection.find().toArray.mockResolvedValue([]);
+
       await assembleUserState(mockUser);
 
-      expect(mockGroupsCollection.find).toHaveBeenCalledWith({ owner: 'user-1' });
+      expect(mockUsersCollection.find).toHaveBeenCalledWith({
+        id: { $in: ['user-3', 'user-5', 'user-4'] }
+      }, expect.anything());
+    });
+
+    it('should include the assignees of tasks among the related users', async () => {
+      mockTasksCollection.find().toArray.mockResolvedValue([{ id: 'task-1', owner: 'user-1', assignees: ['user-1', 'user-8'] }]);
+      mockCommentsCollection.find().toArray.mockResolvedValue([]);
+      mockGroupsCollection.find().toArray.mockResolvedValue([]);
+
+      await assembleUserState(mockUser);
+
+      expect(mockUsersCollection.find).toHaveBeenCalledWith({ id: { $in: ['user-8'] } }, expect.anything());
+    });
+
+    it('should query groups the user owns or collaborates on', async () => {
+      await assembleUserState(mockUser);
+
+      expect(mockGroupsCollection.find).toHaveBeenCalledWith({
+        $or: [{ owner: 'user-1' }, { 'collaborators.user': 'user-1' }]
+      });
     });
 
     it('should handle empty tasks array', async () => {
@@ -246,9 +307,13 @@ describe('Utility Module', () => {
 
       await assembleUserState(minimalUser);
 
-      expect(mockTasksCollection.find).toHaveBeenCalledWith({ owner: 'user-1' });
-      expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ id: 'user-1' });
-      expect(mockGroupsCollection.find).toHaveBeenCalledWith({ owner: 'user-1' });
+      expect(mockTasksCollection.find).toHaveBeenCalledWith(expect.objectContaining({
+        $or: expect.arrayContaining([{ owner: 'user-1' }])
+      }));
+      expect(mockUsersCollection.findOne).toHaveBeenCalledWith({ id: 'user-1' }, expect.anything());
+      expect(mockGroupsCollection.find).toHaveBeenCalledWith(expect.objectContaining({
+        $or: expect.arrayContaining([{ owner: 'user-1' }])
+      }));
     });
 
     it('should handle tasks with different owners', async () => {
@@ -288,6 +353,7 @@ describe('Utility Module', () => {
         { id: 'task-2', name: undefined, owner: 'user-1' }
       ];
 
+      mockGroupsCollection.find().toArray.mockResolvedValue([]);
       mockTasksCollection.find().toArray.mockResolvedValue(tasksWithNullProps);
       mockCommentsCollection.find().toArray.mockResolvedValue([]);
       mockUsersCollection.find().toArray.mockResolvedValue([]);
@@ -0,0 +1,157 @@
+import express from 'express';
+import request from 'supertest';
+
+import { validate, validateObject } from '../validation';
+import { taskCreationSchema, commentSchema } from '../schemas';
+import { errorHandler } from '../errors';
+
+describe('Validation Module', () => {
+  const schema = {
+    id: { type: 'string', required: true, minLength: 1 },
+    name: { type: 'string', maxLength: 5 },
+    isComplete: { type: 'boolean' },
+    priority: { type: 'string', enum: ['low', 'high'] }
+  };
+
+  describe('validateObject', () => {
+    it('should accept a valid object', () => {
+      const { value, errors } = validateObject(schema, { id: 'T1', name: 'Task', isComplete: false });
+
+      expect(errors).toEqual([]);
+      expect(value).toEqual({ id: 'T1', name: 'Task', isComplete: false });
+    });
+
+    it('should strip unknown fields', () => {
+      const { value } = validateObject(schema, { id: 'T1', _id: 'forged', owner: 'U2' });
+
+      expect(value).toEqual({ id: 'T1' });
+    });
+
+    it('should report every failing field', () => {
+      const { errors } = validateObject(schema, { name: 'Too long', isComplete: 'yes', priority: 'urgent' });
+
+      expect(errors).toEqual([
+        { field: 'id', message: 'is required' },
+        { field: 'name', message: 'must be at most 5 characters long' },
+        { field: 'isComplete', message: 'must be a boolean' },
+        { field: 'priority', message: 'must be one of low, high' }
+      ]);
+    });
+
+    it('should reject empty required strings', () => {
+      const { errors } = validateObject(schema, { id: '' });
+
+      expect(errors).toEqual([{ field: 'id', message: 'must not be empty' }]);
+    });
+
+    it('should prefix field names with the path', () => {
+      const { errors } = validateObject(schema, {}, 'task');
+
+      expect(errors).toEqual([{ field: 'task.id', message: 'is required' }]);
+    });
+
+    it('should accept null for nullable fields only', () => {
+      const nullable = { dueDate: { type: 'string', nullable: true }, name: { type: 'string' } };
+
+      const { value, errors } = validateObject(nullable, { dueDate: null, name: null });
+
+      expect(value).toEqual({ dueDate: null });
+      expect(errors).toEqual([{ field: 'name', message: 'must be a string' }]);
+    });
+
+    it('should check string formats', () => {
+      const dated = { dueDate: { type: 'string', format: 'date' } };
+
+      expect(validateObject(dated, { dueDate: '2026-10-19' }).errors).toEqual([]);
+      expect(validateObject(dated, { dueDate: '19/10/2026' }).errors).toEqual([
+        { field: 'dueDate', message: 'must be a date in YYYY-MM-DD format' }
+      ]);
+      expect(validateObject(dated, { dueDate: '2026-13-45' }).errors).toHaveLength(1);
+    });
+
+    it('should check timestamps', () => {
+      const timed = { before: { type: 'string', format: 'timestamp' } };
+
+      expect(validateObject(timed, { before: '2026-10-19T12:30:00.000Z' }).errors).toEqual([]);
+      expect(validateObject(timed, { before: '2026-10-19T12:30:00Z' }).errors).toEqual([]);
+      expect(validateObject(timed, { before: '2026-10-19' }).errors).toEqual([
+        { field: 'before', message: 'must be a UTC time such as 2026-01-31T12:00:00.000Z' }
+      ]);
+      expect(validateObject(timed, { before: '2026-10-19T25:00:00Z' }).errors).toHaveLength(1);
+    });
+
+    it('should check arrays and their items', () => {
+      const labelled = { labels: { type: 'array', maxItems: 2, items: { type: 'string', minLength: 1 } } };
+
+      expect(validateObject(labelled, { labels: ['a', 'b'] }).value).toEqual({ labels: ['a', 'b'] });
+      expect(validateObject(labelled, { labels: 'a' }).errors).toEqual([{ field: 'labels', message: 'must be an array' }]);
+      expect(validateObject(labelled, { labels: ['a', 'b', 'c'] }).errors).toEqual([
+        { field: 'labels', message: 'must have at most 2 items' }
+      ]);
+      expect(validateObject(labelled, { labels: ['a', ''] }).errors).toEqual([
+        { field: 'labels', message: 'items must not be empty' }
+      ]);
+      expect(validateObject(labelled, { labels: [1] }).errors).toEqual([
+        { field: 'labels', message: 'items must be a string' }
+      ]);
+    });
+
+    it('should reject input that is not an object', () => {
+      expect(validateObject(schema, null, 'task').errors).toEqual([{ field: 'task', message: 'must be an object' }]);
+      expect(validateObject(schema, ['T1']).errors).toEqual([{ field: 'body', message: 'must be an object' }]);
+    });
+  });
+
+  describe('validate middleware', () => {
+    let app;
+    let handler;
+
+    beforeEach(() => {
+      handler = jest.fn((req, res) => res.status(200).send(req.body));
+
+      app = express();
+      app.use(express.json());
+      app.post('/task/new', validate(taskCreationSchema, 'task'), handler);
+      app.post('/comment/new', validate(commentSchema, 'comment'), handler);
+      app.use(errorHandler);
+    });
+
+    it('should pass the sanitized payload to the route handler', async () => {
+      const response = await request(app)
+        .post('/task/new')
+        .send({ task: { id: 'T1', group: 'G1', name: 'Task', _id: 'forged', owner: 'U2' } })
+        .expect(200);
+
+      expect(response.body).toEqual({ task: { id: 'T1', group: 'G1', name: 'Task' } });
+    });
+
+    it('should respond with 400 and the failing fields', async () => {
+      const response = await request(app)
+        .post('/comment/new')
+        .send({ comment: { id: 'C1', content: 42 } })
+        .expect(400);
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(response.body).toEqual({
+        error: {
+          status: 400,
+          code: 'BAD_REQUEST',
+          message: 'Invalid request',
+          details: [
+            { field: 'comment.task', message: 'is required' },
+            { field: 'comment.content', message: 'must be a string' }
+          ]
+        }
+      });
+    });
+
+    it('should respond with 400 when the payload is missing', async () => {
+      const response = await request(app)
+        .post('/task/new')
+        .send({})
+        .expect(400);
+
+      expect(response.body.error.details).toEqual([{ field: 'task', message: 'must be an object' }]);
+    });
+  });
+});
@@ -0,0 +1,24 @@
+/**
+ * The user's activity feed, served at `/api/<API_VERSION>/activity`.
+ *
+ *   GET /activity?before=&beforeID=   the latest changes to the tasks and groups the user could see, newest first
+ *
+ * Responds with `{activity}`. Each entry names the `task` or `group` changed, the `actor` who changed it, when
+ * (`createdAt`), and the `field` changed `from` one value `to` another. A task's own history is served at
+ * `/tasks/:id/activity`.
+ */
+import config from './config';
+import { requireAuthentication } from './authenticate'
+import { listActivityFeed } from './communicate-db';
+import { validateQuery } from './validation';
+import { asyncHandler } from './errors';
+import { activityQuerySchema } from './schemas';
+
+export const ACTIVITY_PATH = `/api/${config.API_VERSION}/activity`;
+
+export const activityRoutes = app => {
+    app.get(ACTIVITY_PATH,requireAuthentication,validateQuery(activityQuerySchema),asyncHandler(async (req,res)=>{
+        let activity = await listActivityFeed(req.query, req.userID);
+        res.send({activity});
+    }));
+};
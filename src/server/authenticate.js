@@ -1,88 +1,100 @@
 import uuid from 'uuid';
-import md5 from 'md5';
 import { connectDB } from './connect-db'
+import { hashPassword, verifyPassword } from './password';
+import { createSession, verifyAccessToken, refreshSession, revokeSession } from './session';
 import { assembleUserState } from './utility';
-
-const authenticationTokens = [];
-
+import { validate } from './validation';
+import { userSchema } from './schemas';
+import { asyncHandler, isDuplicateKeyError, UnauthorizedError, ConflictError } from './errors';
+
+/**
+ * Middleware that only lets a request through when it carries a valid, unexpired access token.
+ * The ID of the user the token belongs to is made available to later handlers as `req.userID`.
+ */
+export const requireAuthentication = (req,res,next)=>{
+    let [scheme, token] = (req.headers.authorization || ``).split(` `);
+    let userID = scheme === `Bearer` && verifyAccessToken(token);
+    if (!userID) {
+        return next(new UnauthorizedError());
+    }
+    req.userID = userID;
+    next();
+};
 
 export const authenticationRoute = app => {
-    app.post('/authenticate',async (req,res)=>{
-        try {
-            if(req.body == null) {
-                return res.status(500).send(`Request body is null`);
-            }
-
-            let { username, password } = req.body;
-            if (!username || !password) {
-                return res.status(500).send(`User not found`);
-            }
-            
-            let db = await connectDB();
-            let collection = db.collection(`users`);
-
-            let user = await collection.findOne({name:username});
-            if (!user) {
-                return res.status(500).send(`User not found`);
-            }
-
-            let hash = md5(password);
-            let passwordCorrect = hash === user.passwordHash;
-            if (!passwordCorrect) {
-                return res.status(500).send('Password incorrect');
-            }
-
-            let token = uuid();
-
-            authenticationTokens.push({
-                token,
-                userID: user.id
-            });
+    app.post('/authenticate',validate(userSchema),asyncHandler(async (req,res)=>{
+        let { username, password } = req.body;
+        let db = await connectDB();
+        let collection = db.collection(`users`);
+
+        let user = await collection.findOne({name:username});
+        if (!user) {
+            throw new UnauthorizedError(`User not found`);
+        }
 
-            let state = await assembleUserState(user);
+        let { valid, needsRehash } = await verifyPassword(password, user.passwordHash);
+        if (!valid) {
+            throw new UnauthorizedError(`Password incorrect`);
+        }
 
-            res.send({token,state});
-        } catch (error) {
-            res.status(500).send(error.message);
+        if (needsRehash) {
+            await collection.updateOne({id:user.id},{$set:{passwordHash:await hashPassword(password)}});
         }
-    });
 
-    app.post('/user/create',async(req,res)=>{
-        try {
-            let {username,password} = req.body;
-            if (!username || !password) {
-                return res.status(500).send('Missing username or password');
-            }
-            
-            console.log(username,password);
-            let db = await connectDB();
-            let collection = db.collection(`users`);
-            let user = await collection.findOne({name:username});
-            if (user) {
-                res.status(500).send({message:"A user with that account name already exists."});
-                return;
-            }
-
-            let userID = uuid();
-            let groupID = uuid();
+        let { token, refreshToken } = await createSession(user.id);
+        let state = await assembleUserState(user);
+
+        res.send({token,refreshToken,state});
+    }));
 
+    app.post('/user/create',validate(userSchema),asyncHandler(async(req,res)=>{
+        let {username,password} = req.body;
+        let db = await connectDB();
+        let collection = db.collection(`users`);
+
+        let userID = uuid();
+        let groupID = uuid();
+
+        // The unique index on users.name rejects the insert if the name is taken, even when two requests race
+        try {
             await collection.insertOne({
                 name:username,
                 id:userID,
-                passwordHash:md5(password)
+                passwordHash:await hashPassword(password)
             });
+        } catch (error) {
+            throw isDuplicateKeyError(error) ? new ConflictError(`A user with that account name already exists.`) : error;
+        }
 
-            await db.collection(`groups`).insertOne({
-                id:groupID,
-                owner:userID,
-                name: `To Do`
-            });
+        await db.collection(`groups`).insertOne({
+            id:groupID,
+            owner:userID,
+            name: `To Do`,
+            position: 0
+        });
 
-            let state = await assembleUserState({id:userID,name:username});
+        let { token, refreshToken } = await createSession(userID);
+        let state = await assembleUserState({id:userID,name:username});
 
-            res.status(200).send({userID,state});
-        } catch (error) {
-            res.status(500).send(error.message);
+        res.status(200).send({userID,token,refreshToken,state});
+    }));
+
+    app.post('/token/refresh',asyncHandler(async(req,res)=>{
+        let session = await refreshSession(req.body.refreshToken);
+        if (!session) {
+            throw new UnauthorizedError(`Invalid refresh token`);
         }
-    });
-};
\ No newline at end of file
+        res.send(session);
+    }));
+
+    // The same state `/authenticate` sends, for clients that need to catch up, e.g. after losing the real-time channel
+    app.get('/state',requireAuthentication,asyncHandler(async(req,res)=>{
+        let state = await assembleUserState({id:req.userID});
+        res.send({state});
+    }));
+
+    app.post('/logout',asyncHandler(async(req,res)=>{
+        await revokeSession(req.body.refreshToken);
+        res.status(200).send();
+    }));
+};
@@ -1,22 +1,753 @@
+import uuid from 'uuid';
 import { connectDB } from './connect-db'
+import {
+    audienceOf, canEditGroup, canEditTask, canManageGroup, canManageTask, canViewTask, visibleGroupsQuery, visibleTasksQuery
+} from './permissions';
+import { publish } from './realtime';
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError } from './errors';
+import { taskPatchSchema } from './schemas';
 
-export const addNewTask = async task=>{
+/**
+ * Each function receives the ID of the user acting on the data, and throws if that user may not make the change.
+ * Changes to tasks, groups and comments are published on the real-time channel to everyone who can see them,
+ * and recorded in their activity history.
+ */
+
+const findGroup = async (db, id)=>{
+    let group = await db.collection(`groups`).findOne({id});
+    if (!group) {
+        throw new NotFoundError(`Group not found`);
+    }
+    return group;
+};
+
+const findTask = async (db, id)=>{
+    let task = await db.collection(`tasks`).findOne({id});
+    if (!task) {
+        throw new NotFoundError(`Task not found`);
+    }
+    return task;
+};
+
+// The group a task is in decides who else can see and edit it
+const findTaskGroup = (db, task)=>db.collection(`groups`).findOne({id:task.group});
+
+// Users in `before` but not in `after`
+const lostFrom = (before, after)=>before.filter(userID=>!after.includes(userID));
+
+// Sends the task to everyone who can see it, and tells those in `previousAudience` who no longer can that it's gone
+const publishTask = (task, group, previousAudience = [])=>{
+    let audience = audienceOf(task, group);
+    publish(audience, {type:`TASK_SAVED`, task});
+    publish(lostFrom(previousAudience, audience), {type:`TASK_DELETED`, taskID:task.id});
+};
+
+/**
+ * Records who changed what in the `activity` collection, one entry per changed field of the task or group
+ * `target` (`{task:id}` or `{group:id}`), with its value `from` before and `to` after the change.
+ * A field named after the kind of target, `task` or `group`, records it being created or deleted.
+ * Each entry keeps the `audience` who could see the change, whose activity feeds it stays in even once the
+ * task or group is gone.
+ */
+const recordActivity = async (db, userID, target, audience, changes)=>{
+    if (!changes.length) {
+        return;
+    }
+    let createdAt = new Date().toISOString();
+    await db.collection(`activity`).insertMany(changes.map(({field, from = null, to = null})=>(
+        {id:uuid(), ...target, actor:userID, createdAt, field, from, to, audience}
+    )));
+};
+
+const isSameValue = (a = null, b = null)=>JSON.stringify(a) === JSON.stringify(b);
+
+// The `changes` to a document that differ from its `existing` values, as activity entries
+const changedFields = (existing, changes)=>Object.keys(changes)
+    .filter(field=>!isSameValue(existing[field], changes[field]))
+    .map(field=>({field, from:existing[field], to:changes[field]}));
+
+// Groups and tasks created before they could be reordered have no position; they sort first, in insertion order
+const byPosition = (a, b)=>(a.position || 0) - (b.position || 0);
+
+// Every write to a task goes through this, so that changes made to an older version can be told apart
+const BUMP_VERSION = {$inc:{version:1}};
+
+const nextPosition = items => items.reduce((next, item)=>Math.max(next, (item.position || 0) + 1), 0);
+
+// The index `position` comes to among the `siblings` of the document `id`
+const indexAmong = (siblings, id, position)=>{
+    let others = siblings.filter(sibling=>sibling.id !== id);
+    return Math.max(0, Math.min(others.length, Math.floor(position)));
+};
+
+/**
+ * Moves the document `id` to index `position` among its `siblings`, renumbering them all from zero.
+ * Only documents whose position changes are written, each along with `update`, and they are returned as updated.
+ */
+const placeAt = async (collection, siblings, id, position, update = {})=>{
+    let sorted = siblings.filter(sibling=>sibling.id !== id).sort(byPosition);
+    let index = indexAmong(siblings, id, position);
+    let moved = siblings.find(sibling=>sibling.id === id) || {id};
+    let ordered = [...sorted.slice(0, index), moved, ...sorted.slice(index)];
+    let placed = [];
+    for (let [position, sibling] of ordered.entries()) {
+        if (sibling.position !== position) {
+            let { value } = await collection.findOneAndUpdate({id:sibling.id},{$set:{position}, ...update},{returnOriginal:false});
+            placed.push(value);
+        }
+    }
+    return placed.filter(Boolean);
+};
+
+/**
+ * Applies `update` to the task matching `filter`, going up a version, and resolves to the updated task.
+ * When no task matches, as when `filter` holds a `version` the task has moved on from, it fails with a
+ * ConflictError whose details hold the current `task`.
+ */
+const writeTask = async (db, filter, update)=>{
+    let { value } = await db.collection(`tasks`).findOneAndUpdate(filter, {...update, ...BUMP_VERSION}, {returnOriginal:false});
+    if (!value) {
+        throw new ConflictError(`This task was changed by someone else`, {task:await findTask(db, filter.id)});
+    }
+    return value;
+};
+
+export const getTask = async (id, userID)=>{
+    let db = await connectDB();
+    let task = await findTask(db, id);
+    if (!canViewTask(userID, task, await findTaskGroup(db, task))) {
+        throw new ForbiddenError(`You do not have permission to view this task`);
+    }
+    return task;
+};
+
+const findVisibleGroupIDs = async (db, userID)=>{
+    let groups = await db.collection(`groups`).find(visibleGroupsQuery(userID)).toArray();
+    return groups.map(group=>group.id);
+};
+
+/**
+ * Lists the tasks the user can see: their own, those shared with them and those in groups shared with them.
+ */
+export const listTasks = async (filters, userID)=>{
+    let db = await connectDB();
+    let visible = visibleTasksQuery(userID, await findVisibleGroupIDs(db, userID));
+    // Tasks that were never archived have no `isArchived` at all
+    let query = filters.isArchived === false ? {...filters, isArchived:{$ne:true}} : filters;
+    return db.collection(`tasks`).find({$and:[query, visible]}).toArray();
+};
+
+export const SEARCH_LIMIT = 50;
+
+// The text score is only needed for ranking and isn't part of the document
+const withoutScore = document=>{
+    let copy = {...document};
+    delete copy.score;
+    return copy;
+};
+
+/**
+ * Finds the tasks visible to the user whose name or description, or one of whose comments, matches the text `q`.
+ * The other filters narrow the results down by completion, group, owner, label and a range of due dates;
+ * without `q`, every task passing the filters is returned. Best matches come first, and the comments that
+ * matched are returned alongside the tasks.
+ */
+export const searchTasks = async ({q, isComplete, group, owner, label, dueAfter, dueBefore}, userID)=>{
+    let db = await connectDB();
+    let tasks = db.collection(`tasks`);
+    let filters = [visibleTasksQuery(userID, await findVisibleGroupIDs(db, userID))];
+    if (isComplete !== undefined) {
+        filters.push({isComplete});
+    }
+    if (group !== undefined) {
+        filters.push({group});
+    }
+    if (owner !== undefined) {
+        filters.push({owner});
+    }
+    if (label !== undefined) {
+        filters.push({labels:label});
+    }
+    if (dueAfter !== undefined) {
+        filters.push({dueDate:{$gte:dueAfter}});
+    }
+    if (dueBefore !== undefined) {
+        filters.push({dueDate:{$lte:dueBefore}});
+    }
+
+    if (!q) {
+        return {tasks:await tasks.find({$and:filters}).limit(SEARCH_LIMIT).toArray(), comments:[]};
+    }
+
+    let text = {$text:{$search:q}};
+    let withScore = {projection:{score:{$meta:`textScore`}}};
+    let matchingTasks = await tasks.find({$and:[...filters, text]}, withScore).toArray();
+    let candidates = await tasks.find({$and:filters}, {projection:{id:1}}).toArray();
+    let comments = await db.collection(`comments`)
+        .find({...text, task:{$in:candidates.map(task=>task.id)}}, withScore)
+        .toArray();
+
+    // A task ranks by the better of its own score and that of its best matching comment
+    let scores = {};
+    for (let {id, score} of matchingTasks) {
+        scores[id] = score;
+    }
+    for (let {task, score} of comments) {
+        scores[task] = Math.max(scores[task] || 0, score);
+    }
+    let onlyCommentsMatched = Object.keys(scores).filter(id=>!matchingTasks.some(task=>task.id === id));
+    let commentedTasks = onlyCommentsMatched.length ? await tasks.find({id:{$in:onlyCommentsMatched}}).toArray() : [];
+
+    let results = [...matchingTasks, ...commentedTasks]
+        .sort((a, b)=>scores[b.id] - scores[a.id])
+        .slice(0, SEARCH_LIMIT)
+        .map(withoutScore);
+    return {
+        tasks:results,
+        comments:comments.filter(comment=>results.some(task=>task.id === comment.task)).map(withoutScore)
+    };
+};
+
+const collaboratorIDs = item=>((item && item.collaborators) || []).map(collaborator=>collaborator.user);
+
+/**
+ * Checks that everyone `assignees` adds to the `previous` ones can be handed the task by the acting user:
+ * themselves, their friends, the task's owner, or someone the task or its group is shared with.
+ */
+const checkAssignees = async (db, assignees, previous, task, group, userID)=>{
+    let added = assignees.filter(assignee=>!previous.includes(assignee));
+    if (!added.length) {
+        return;
+    }
+    let user = await db.collection(`users`).findOne({id:userID});
+    let allowed = [userID, task.owner, ...((user && user.friends) || []), ...collaboratorIDs(task), ...collaboratorIDs(group)];
+    if (added.some(assignee=>!allowed.includes(assignee))) {
+        throw new BadRequestError(`Tasks can only be assigned to you, your friends, their owner or the people they're shared with`);
+    }
+};
+
+export const addNewTask = async (task, userID)=>{
     let db = await connectDB();
+    let group = await findGroup(db, task.group);
+    if (!canEditGroup(userID, group)) {
+        throw new ForbiddenError(`You can only add tasks to groups you can edit`);
+    }
+    if (task.assignees !== undefined) {
+        await checkAssignees(db, task.assignees, [], {owner:userID}, group, userID);
+    }
     let collection = db.collection(`tasks`);
-    await collection.insertOne(task);
+    let position = nextPosition(await collection.find({group:task.group}).toArray());
+    let created = {...task, id:task.id || uuid(), owner:userID, position, version:1};
+    await collection.insertOne(created);
+    publishTask(created, group);
+    await recordActivity(db, userID, {task:created.id}, audienceOf(created, group), [{field:`task`, to:created.name}]);
+    return created;
 };
 
-export const updateTask = async task=>{
-    let {id,group,isComplete,name} = task;
+/**
+ * Applies the given changes to a task in a single update. Any field of `taskPatchSchema` can be changed;
+ * others, such as `owner`, are ignored. A `position` places the task at that index within its group
+ * (the new one, when `group` changes too), shifting the group's other tasks along.
+ *
+ * Every update increments the task's `version`. When `version` is given, the update only applies if the task
+ * is still at that version, and otherwise fails with a ConflictError whose details hold the current `task`.
+ *
+ * Resolves to the updated `task`, along with the other `tasks` of the group that were renumbered around it.
+ */
+export const updateTask = async (task, userID)=>{
+    let {id, position, version} = task;
     let db = await connectDB();
     let collection = db.collection(`tasks`);
-    if (group !== undefined) {
-        await collection.updateOne({id},{$set:{group}});
+    let existing = await findTask(db, id);
+    let group = await findTaskGroup(db, existing);
+    if (!canEditTask(userID, existing, group)) {
+        throw new ForbiddenError(`You do not have permission to change this task`);
+    }
+    let changes = {};
+    for (let field in taskPatchSchema) {
+        if (field !== `position` && field !== `version` && task[field] !== undefined) {
+            changes[field] = task[field];
+        }
+    }
+    let newGroup = changes.group !== undefined ? await findGroup(db, changes.group) : group;
+    if (newGroup !== group && !canEditGroup(userID, newGroup)) {
+        throw new ForbiddenError(`You can only move tasks to groups you can edit`);
+    }
+    if (changes.assignees !== undefined) {
+        await checkAssignees(db, changes.assignees, existing.assignees || [], existing, group, userID);
+    }
+    let siblings = [];
+    if (position !== undefined) {
+        siblings = await collection.find({group:changes.group || existing.group}).toArray();
+        changes.position = indexAmong(siblings, id, position);
+    }
+    if (!Object.keys(changes).length) {
+        return {task:existing, tasks:[]};
+    }
+    let updated = await writeTask(db, version === undefined ? {id} : {id, version}, {$set:changes});
+    // The rest of the group is renumbered around it
+    let renumbered = [];
+    if (position !== undefined) {
+        let others = siblings.filter(sibling=>sibling.id !== id);
+        renumbered = await placeAt(collection, [...others, updated], id, position, BUMP_VERSION);
+    }
+    publishTask(updated, newGroup, audienceOf(existing, group));
+    renumbered.forEach(sibling=>publishTask(sibling, newGroup));
+    // Reordering is left out of the history; moving to another group shows up as a change of `group`
+    let history = changedFields(existing, changes).filter(change=>change.field !== `position`);
+    await recordActivity(db, userID, {task:id}, audienceOf(existing, group, updated, newGroup), history);
+    return {task:updated, tasks:renumbered};
+};
+
+/**
+ * Permanently removes a task along with its comments. Archiving (`isArchived`) is the recoverable alternative.
+ * Only the task's owner can delete it.
+ */
+export const deleteTask = async (id, userID)=>{
+    let db = await connectDB();
+    let task = await findTask(db, id);
+    if (!canManageTask(userID, task)) {
+        throw new ForbiddenError(`You do not have permission to delete this task`);
+    }
+    await db.collection(`tasks`).deleteOne({id});
+    await db.collection(`comments`).deleteMany({task:id});
+    let audience = audienceOf(task, await findTaskGroup(db, task));
+    publish(audience, {type:`TASK_DELETED`, taskID:id});
+    await recordActivity(db, userID, {task:id}, audience, [{field:`task`, from:task.name}]);
+};
+
+const findEditableTask = async (db, id, userID)=>{
+    let task = await findTask(db, id);
+    let group = await findTaskGroup(db, task);
+    if (!canEditTask(userID, task, group)) {
+        throw new ForbiddenError(`You do not have permission to change this task`);
+    }
+    return {task, group};
+};
+
+const findChecklistItem = (task, itemID)=>{
+    let item = (task.checklist || []).find(item=>item.id === itemID);
+    if (!item) {
+        throw new NotFoundError(`Checklist item not found`);
+    }
+    return item;
+};
+
+/**
+ * Appends an item to the end of a task's checklist. Resolves to the new `item` and the updated `task`.
+ */
+export const addChecklistItem = async (taskID, item, userID)=>{
+    let db = await connectDB();
+    let {task, group} = await findEditableTask(db, taskID, userID);
+    let created = {id:item.id || uuid(), text:item.text, isComplete:item.isComplete || false};
+    let saved = await writeTask(db, {id:taskID}, {$push:{checklist:created}});
+    publishTask(saved, group);
+    await recordActivity(db, userID, {task:taskID}, audienceOf(task, group), [{field:`checklist`, to:created}]);
+    return {item:created, task:saved};
+};
+
+/**
+ * Changes the text or completion of a checklist item. A `position` moves the item to that index in the checklist.
+ * Resolves to the updated `item` and `task`.
+ */
+export const updateChecklistItem = async (taskID, item, userID)=>{
+    let {id, text, isComplete, position} = item;
+    let db = await connectDB();
+    let {task, group} = await findEditableTask(db, taskID, userID);
+    let original = findChecklistItem(task, id);
+    let updated = {...original};
+    let changes = {};
+    if (text !== undefined) {
+        changes[`checklist.$.text`] = updated.text = text;
+    }
+    if (isComplete !== undefined) {
+        changes[`checklist.$.isComplete`] = updated.isComplete = isComplete;
+    }
+    let saved = task;
+    if (position !== undefined) {
+        let others = task.checklist.filter(other=>other.id !== id);
+        let index = Math.max(0, Math.min(others.length, Math.floor(position)));
+        let checklist = [...others.slice(0, index), updated, ...others.slice(index)];
+        // The whole checklist is written back, so it must not have changed since it was read
+        saved = await writeTask(db, {id:taskID, version:task.version}, {$set:{checklist}});
+    } else if (Object.keys(changes).length) {
+        saved = await writeTask(db, {id:taskID, [`checklist.id`]:id}, {$set:changes});
+    }
+    publishTask(saved, group);
+    if (!isSameValue(original, updated)) {
+        await recordActivity(db, userID, {task:taskID}, audienceOf(task, group), [{field:`checklist`, from:original, to:updated}]);
+    }
+    return {item:updated, task:saved};
+};
+
+/**
+ * Removes an item from a task's checklist, and resolves to the updated task.
+ */
+export const deleteChecklistItem = async (taskID, itemID, userID)=>{
+    let db = await connectDB();
+    let {task, group} = await findEditableTask(db, taskID, userID);
+    let item = findChecklistItem(task, itemID);
+    let saved = await writeTask(db, {id:taskID}, {$pull:{checklist:{id:itemID}}});
+    publishTask(saved, group);
+    await recordActivity(db, userID, {task:taskID}, audienceOf(task, group), [{field:`checklist`, from:item}]);
+    return saved;
+};
+
+export const addComment = async (comment, userID)=>{
+    let db = await connectDB();
+    let task = await findTask(db, comment.task);
+    let group = await findTaskGroup(db, task);
+    if (!canViewTask(userID, task, group)) {
+        throw new ForbiddenError(`You do not have permission to comment on this task`);
+    }
+    let created = {...comment, owner:userID};
+    await db.collection(`comments`).insertOne(created);
+    publish(audienceOf(task, group), {type:`COMMENT_ADDED`, comment:created});
+    await recordActivity(db, userID, {task:task.id}, audienceOf(task, group), [{field:`comment`, to:created.content}]);
+};
+
+/**
+ * Deletes a comment. Users can only delete their own comments.
+ */
+export const deleteComment = async (commentID, userID)=>{
+    let db = await connectDB();
+    let comments = db.collection(`comments`);
+    let comment = await comments.findOne({id:commentID});
+    if (!comment) {
+        throw new NotFoundError(`Comment not found`);
+    }
+    if (comment.owner !== userID) {
+        throw new ForbiddenError(`You can only delete your own comments`);
+    }
+    let task = await findTask(db, comment.task);
+    let group = await findTaskGroup(db, task);
+    await comments.deleteOne({id:commentID});
+    publish(audienceOf(task, group), {type:`COMMENT_DELETED`, commentID, taskID:task.id});
+    await recordActivity(db, userID, {task:task.id}, audienceOf(task, group), [{field:`comment`, from:comment.content}]);
+};
+
+export const ACTIVITY_LIMIT = 50;
+
+// Who an entry was shown to is the server's business
+const ACTIVITY_FIELDS = {projection:{_id:0, audience:0}};
+
+/**
+ * The history of a task, oldest first. Anyone who can see the task can see all of it.
+ */
+export const listTaskActivity = async (taskID, userID)=>{
+    await getTask(taskID, userID);
+    let db = await connectDB();
+    return db.collection(`activity`).find({task:taskID}, ACTIVITY_FIELDS).sort({createdAt:1, id:1}).toArray();
+};
+
+// Every entry recorded for one change shares its `createdAt`, so entries are ordered by their id after that
+const olderThan = (before, beforeID)=>beforeID === undefined ?
+    {createdAt:{$lt:before}} :
+    {$or:[{createdAt:{$lt:before}}, {createdAt:before, id:{$lt:beforeID}}]};
+
+/**
+ * The user's activity feed: changes to the tasks and groups they could see at the time, newest first and at most
+ * ACTIVITY_LIMIT at once. Passing the `createdAt` and `id` of the last entry as `before` and `beforeID`
+ * continues from there.
+ */
+export const listActivityFeed = async ({before, beforeID}, userID)=>{
+    let db = await connectDB();
+    let query = before === undefined ? {audience:userID} : {audience:userID, ...olderThan(before, beforeID)};
+    return db.collection(`activity`)
+        .find(query, ACTIVITY_FIELDS)
+        .sort({createdAt:-1, id:-1})
+        .limit(ACTIVITY_LIMIT)
+        .toArray();
+};
+
+/**
+ * Lists the groups the user owns or that are shared with them, in column order.
+ */
+export const listGroups = async (userID)=>{
+    let db = await connectDB();
+    let groups = await db.collection(`groups`).find(visibleGroupsQuery(userID)).toArray();
+    return groups.sort(byPosition);
+};
+
+/**
+ * Adds a group as the user's last column.
+ */
+export const addGroup = async (group, userID)=>{
+    let db = await connectDB();
+    let collection = db.collection(`groups`);
+    let position = nextPosition(await collection.find({owner:userID}).toArray());
+    let created = {...group, id:group.id || uuid(), owner:userID, position};
+    await collection.insertOne(created);
+    publish([userID], {type:`GROUP_SAVED`, group:created});
+    await recordActivity(db, userID, {group:created.id}, [userID], [{field:`group`, to:created.name}]);
+    return created;
+};
+
+/**
+ * Renames a group and/or moves it to `position` among the user's columns, shifting the others along.
+ * Editors can rename a shared group, but only its owner can move it.
+ */
+export const updateGroup = async (group, userID)=>{
+    let {id,name,position} = group;
+    let db = await connectDB();
+    let collection = db.collection(`groups`);
+    let existing = await findGroup(db, id);
+    if (!canEditGroup(userID, existing)) {
+        throw new ForbiddenError(`You do not have permission to change this group`);
+    }
+    if (position !== undefined && !canManageGroup(userID, existing)) {
+        throw new ForbiddenError(`Only the owner of this group can move it`);
     }
     if (name !== undefined) {
         await collection.updateOne({id},{$set:{name}});
     }
-    if (isComplete !== undefined) {
-        await collection.updateOne({id},{$set:{isComplete}});
+    if (position !== undefined) {
+        await placeAt(collection, await collection.find({owner:userID}).toArray(), id, position);
+    }
+    let updated = await collection.findOne({id});
+    publish(audienceOf(updated), {type:`GROUP_SAVED`, group:updated});
+    if (name !== undefined) {
+        await recordActivity(db, userID, {group:id}, audienceOf(updated), changedFields(existing, {name}));
     }
-};
\ No newline at end of file
+    return updated;
+};
+
+/**
+ * Deletes a group. Its tasks are moved to the group `moveTo` when one is given, and deleted along with
+ * their comments otherwise. Only the group's owner can delete it. Resolves to the tasks that were moved.
+ */
+export const deleteGroup = async (id, moveTo, userID)=>{
+    let db = await connectDB();
+    let group = await findGroup(db, id);
+    if (!canManageGroup(userID, group)) {
+        throw new ForbiddenError(`You do not have permission to delete this group`);
+    }
+    let tasks = db.collection(`tasks`);
+    let taskIDs = [];
+    let movedTasks = [];
+    let target = null;
+    let audience = audienceOf(group);
+    let history = [];
+    if (moveTo !== undefined) {
+        if (moveTo === id) {
+            throw new BadRequestError(`Tasks can't be moved to the group being deleted`);
+        }
+        target = await findGroup(db, moveTo);
+        if (!canEditGroup(userID, target)) {
+            throw new ForbiddenError(`You can only move tasks to groups you can edit`);
+        }
+        let moved = await tasks.find({group:id}).toArray();
+        await tasks.updateMany({group:id},{$set:{group:moveTo}, ...BUMP_VERSION});
+        movedTasks = await tasks.find({id:{$in:moved.map(task=>task.id)}}).toArray();
+        // Users who can see the target group but not this one have new tasks to load
+        publish(lostFrom(audienceOf(target), audience), {type:`RESYNC`});
+        history = moved.map(task=>[{task:task.id}, audienceOf(task, group, target), {field:`group`, from:id, to:moveTo}]);
+    } else {
+        let deleted = await tasks.find({group:id}).toArray();
+        taskIDs = deleted.map(task=>task.id);
+        await db.collection(`comments`).deleteMany({task:{$in:taskIDs}});
+        await tasks.deleteMany({group:id});
+        history = deleted.map(task=>[{task:task.id}, audienceOf(task, group), {field:`task`, from:task.name}]);
+    }
+    await db.collection(`groups`).deleteOne({id});
+    publish(audience, {type:`GROUP_DELETED`, groupID:id, moveTo:moveTo === undefined ? null : moveTo, taskIDs});
+    // Moving them put the tasks up a version
+    movedTasks.forEach(task=>publishTask(task, target));
+    await recordActivity(db, userID, {group:id}, audience, [{field:`group`, from:group.name}]);
+    for (let [target, taskAudience, change] of history) {
+        await recordActivity(db, userID, target, taskAudience, [change]);
+    }
+    return movedTasks;
+};
+
+const findShareable = {
+    groups:findGroup,
+    tasks:findTask
+};
+
+const canShare = {
+    groups:canManageGroup,
+    tasks:canManageTask
+};
+
+// Writes the new collaborators of a group or task, and resolves to it as updated
+const saveCollaborators = {
+    groups:async (db, group, collaborators)=>{
+        await db.collection(`groups`).updateOne({id:group.id},{$set:{collaborators}});
+        return {...group, collaborators};
+    },
+    tasks:(db, task, collaborators)=>writeTask(db, {id:task.id}, {$set:{collaborators}})
+};
+
+/**
+ * Publishes a change to who a group or task is shared with, and records in its history how it was shared with
+ * `collaboratorID` before and after, as a change of `collaborators`. Users who gained or lost access have too much to load or forget at once,
+ * so they are asked to resync instead.
+ */
+const publishSharing = async (db, kind, previous, item, userID, collaboratorID)=>{
+    let group = kind === `tasks` ? await findTaskGroup(db, item) : null;
+    let before = audienceOf(previous, group);
+    let after = audienceOf(item, group);
+    let message = kind === `tasks` ? {type:`TASK_SAVED`, task:item} : {type:`GROUP_SAVED`, group:item};
+    publish(after.filter(userID=>before.includes(userID)), message);
+    publish([...lostFrom(after, before), ...lostFrom(before, after)], {type:`RESYNC`});
+
+    let collaboratorOf = ({collaborators = []})=>collaborators.find(collaborator=>collaborator.user === collaboratorID);
+    let target = kind === `tasks` ? {task:item.id} : {group:item.id};
+    await recordActivity(db, userID, target, audienceOf(previous, item, group),
+        changedFields({collaborators:collaboratorOf(previous)}, {collaborators:collaboratorOf(item)}));
+};
+
+/**
+ * Shares a group or task (`kind` is the name of its collection) with `collaboratorID` in the given role,
+ * replacing any role they already had. Only the owner can share, and only with users on their friends list.
+ * Resolves to the group or task as updated.
+ */
+export const setCollaborator = async (kind, id, collaboratorID, role, userID)=>{
+    let db = await connectDB();
+    let item = await findShareable[kind](db, id);
+    if (!canShare[kind](userID, item)) {
+        throw new ForbiddenError(`Only the owner can share this`);
+    }
+    let owner = await db.collection(`users`).findOne({id:userID});
+    if (!owner || !(owner.friends || []).includes(collaboratorID)) {
+        throw new BadRequestError(`You can only share with your friends`);
+    }
+    let collaborators = [
+        ...(item.collaborators || []).filter(collaborator=>collaborator.user !== collaboratorID),
+        {user:collaboratorID, role}
+    ];
+    let updated = await saveCollaborators[kind](db, item, collaborators);
+    await publishSharing(db, kind, item, updated, userID, collaboratorID);
+    return updated;
+};
+
+/**
+ * Stops sharing a group or task with `collaboratorID`. The owner can remove anyone; collaborators can remove themselves.
+ * Resolves to the group or task as updated.
+ */
+export const removeCollaborator = async (kind, id, collaboratorID, userID)=>{
+    let db = await connectDB();
+    let item = await findShareable[kind](db, id);
+    if (!canShare[kind](userID, item) && collaboratorID !== userID) {
+        throw new ForbiddenError(`Only the owner can change who this is shared with`);
+    }
+    let collaborators = (item.collaborators || []).filter(collaborator=>collaborator.user !== collaboratorID);
+    let updated = await saveCollaborators[kind](db, item, collaborators);
+    await publishSharing(db, kind, item, updated, userID, collaboratorID);
+    return updated;
+};
+
+// Only these fields of other users are ever sent to the client
+export const PUBLIC_USER_FIELDS = {projection:{_id:0, id:1, name:1}};
+
+export const USER_SEARCH_LIMIT = 20;
+
+const escapeRegExp = text=>text.replace(/[.*+?^${}()|[\]\\]/g, `\\$&`);
+
+/**
+ * Finds other users whose name starts with `q`, ignoring case, to send friend requests to.
+ */
+export const searchUsers = async (q, userID)=>{
+    let db = await connectDB();
+    return db.collection(`users`)
+        .find({name:{$regex:`^${escapeRegExp(q)}`, $options:`i`}, id:{$ne:userID}}, PUBLIC_USER_FIELDS)
+        .limit(USER_SEARCH_LIMIT)
+        .toArray();
+};
+
+/**
+ * The user's friends and their pending friend requests, both `incoming` and `outgoing`, along with
+ * every user involved.
+ */
+export const listFriends = async (userID)=>{
+    let db = await connectDB();
+    let user = await db.collection(`users`).findOne({id:userID});
+    let friendIDs = (user && user.friends) || [];
+    let requests = await db.collection(`friendRequests`).find({$or:[{from:userID}, {to:userID}]}).toArray();
+    let otherIDs = requests.map(request=>request.from === userID ? request.to : request.from);
+    let users = await db.collection(`users`).find({id:{$in:[...friendIDs, ...otherIDs]}}, PUBLIC_USER_FIELDS).toArray();
+    return {
+        friends:friendIDs,
+        requests:{
+            incoming:requests.filter(request=>request.to === userID),
+            outgoing:requests.filter(request=>request.from === userID)
+        },
+        users
+    };
+};
+
+/**
+ * Asks the user `to` to become the acting user's friend. When `to` has already asked the acting user,
+ * their request is accepted instead.
+ */
+export const sendFriendRequest = async (to, userID)=>{
+    if (to === userID) {
+        throw new BadRequestError(`You can't send a friend request to yourself`);
+    }
+    let db = await connectDB();
+    let recipient = await db.collection(`users`).findOne({id:to});
+    if (!recipient) {
+        throw new NotFoundError(`User not found`);
+    }
+    if ((recipient.friends || []).includes(userID)) {
+        throw new ConflictError(`You are already friends`);
+    }
+    let collection = db.collection(`friendRequests`);
+    let reverse = await collection.findOne({from:to, to:userID});
+    if (reverse) {
+        await acceptFriendRequest(reverse.id, userID);
+        return {...reverse, isAccepted:true};
+    }
+    if (await collection.findOne({from:userID, to})) {
+        throw new ConflictError(`You have already sent this user a friend request`);
+    }
+    let request = {id:uuid(), from:userID, to, createdAt:new Date().toISOString()};
+    await collection.insertOne(request);
+    return request;
+};
+
+const findFriendRequest = async (db, id)=>{
+    let request = await db.collection(`friendRequests`).findOne({id});
+    if (!request) {
+        throw new NotFoundError(`Friend request not found`);
+    }
+    return request;
+};
+
+/**
+ * Makes the sender and the recipient of a friend request friends of each other. Only the recipient can accept.
+ */
+export const acceptFriendRequest = async (id, userID)=>{
+    let db = await connectDB();
+    let request = await findFriendRequest(db, id);
+    if (request.to !== userID) {
+        throw new ForbiddenError(`Only the recipient can accept a friend request`);
+    }
+    let users = db.collection(`users`);
+    await users.updateOne({id:request.from},{$addToSet:{friends:request.to}});
+    await users.updateOne({id:request.to},{$addToSet:{friends:request.from}});
+    await db.collection(`friendRequests`).deleteOne({id});
+};
+
+/**
+ * Declines a friend request, when the recipient deletes it, or withdraws it, when the sender does.
+ */
+export const deleteFriendRequest = async (id, userID)=>{
+    let db = await connectDB();
+    let request = await findFriendRequest(db, id);
+    if (request.to !== userID && request.from !== userID) {
+        throw new ForbiddenError(`You do not have permission to delete this friend request`);
+    }
+    await db.collection(`friendRequests`).deleteOne({id});
+};
+
+/**
+ * Ends a friendship on both sides. Groups and tasks already shared between the two stay shared.
+ */
+export const removeFriend = async (friendID, userID)=>{
+    let db = await connectDB();
+    let users = db.collection(`users`);
+    await users.updateOne({id:userID},{$pull:{friends:friendID}});
+    await users.updateOne({id:friendID},{$pull:{friends:userID}});
+};
@@ -31,6 +31,7 @@ const config = {
   // Server Configuration
   PORT: parseInt(process.env.PORT) || 7777,
   CORS_ORIGIN: process.env.CORS_ORIGIN || 'http://localhost:8080',
+  SHUTDOWN_TIMEOUT_MS: parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 10000,
   SESSION_SECRET: process.env.SESSION_SECRET || 'default-session-secret',
   
   // Database Configuration
@@ -38,9 +39,12 @@ const config = {
   DB_NAME: process.env.DB_NAME || 'organizer',
   DB_HOST: process.env.DB_HOST || 'localhost',
   DB_PORT: parseInt(process.env.DB_PORT) || 27017,
+  DB_POOL_SIZE: parseInt(process.env.DB_POOL_SIZE) || 10,
   
   // Security
   JWT_SECRET: process.env.JWT_SECRET || 'default-jwt-secret',
+  ACCESS_TOKEN_TTL: parseInt(process.env.ACCESS_TOKEN_TTL) || 900,
+  REFRESH_TOKEN_TTL: parseInt(process.env.REFRESH_TOKEN_TTL) || 604800,
   BCRYPT_ROUNDS: parseInt(process.env.BCRYPT_ROUNDS) || 10,
   
   // API Configuration
@@ -87,9 +91,9 @@ requiredFields.forEach(field => {
 if (config.NODE_ENV === 'production') {
   if (config.SESSION_SECRET === 'default-session-secret' || 
       config.JWT_SECRET === 'default-jwt-secret') {
-//    console.error('ERROR: Default secrets detected in production environment!');
-//    console.error('Please set proper SESSION_SECRET and JWT_SECRET values.');
-//    process.exit(1);
+    console.error('ERROR: Default secrets detected in production environment!');
+    console.error('Please set proper SESSION_SECRET and JWT_SECRET values.');
+    process.exit(1);
   }
 }
 
@@ -1,14 +1,39 @@
 import { MongoClient } from 'mongodb';
 import config from './config';
 
+/**
+ * A single MongoClient is created on the first call and shared by every module for the life of the process.
+ * The client manages its own pool of connections, sized by DB_POOL_SIZE.
+ */
+let connection = null;
+
 export async function connectDB(mongoUri = config.MONGODB_URI) {
     if (typeof mongoUri !== 'string' || !mongoUri.startsWith('mongodb')) {
         throw new Error('Invalid MongoDB connection string.');
     }
-    try {
-        const client = await MongoClient.connect(mongoUri, { useNewUrlParser: true, useUnifiedTopology: true });
-        return client.db();
-    } catch (error) {
-        throw new Error(`Failed to connect to MongoDB: ${error.message}`);
+    if (!connection) {
+        connection = MongoClient.connect(mongoUri, {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+            poolSize: config.DB_POOL_SIZE
+        }).catch(error => {
+            // Let the next call try again rather than caching the failure
+            connection = null;
+            throw new Error(`Failed to connect to MongoDB: ${error.message}`);
+        });
+    }
+    const client = await connection;
+    return client.db();
+}
+
+export async function closeDB() {
+    if (!connection) {
+        return;
+    }
+    const pending = connection;
+    connection = null;
+    const client = await pending.catch(() => null);
+    if (client) {
+        await client.close();
     }
-}
\ No newline at end of file
+}
@@ -1,28 +1,32 @@
-import md5 from 'md5';
+import { hashPasswordSync } from './password';
 export const defaultState = {
     users:[{
         id:"U1",
         name:"Dev",
-        passwordHash:md5("TUPLES"),
+        passwordHash:hashPasswordSync("TUPLES"),
         friends:[`U2`]
     },{
         id:"U2",
         name:"C. Eeyo",
-        passwordHash:md5("PROFITING"),
-        friends:[]
+        passwordHash:hashPasswordSync("PROFITING"),
+        friends:[`U1`]
     }],
     groups:[{
         name:"To Do",
         id:"G1",
-        owner:"U1"
+        owner:"U1",
+        position:0
     },{
         name:"Doing",
         id:"G2",
-        owner:"U1"
+        owner:"U1",
+        position:1,
+        collaborators:[{user:"U2", role:"editor"}]
     },{
         name:"Done",
         id:"G3",
-        owner:"U1"
+        owner:"U1",
+        position:2
     }
     ],
     tasks:[{
@@ -31,6 +35,14 @@ export const defaultState = {
         group:"G1",
         owner:"U1",
         isComplete:false,
+        description:"Split the **server** tests so each module has its own file.",
+        priority:"high",
+        labels:["testing"],
+        assignees:["U1","U2"],
+        checklist:[
+            {id:"C1", text:"Move the utility tests", isComplete:true},
+            {id:"C2", text:"Move the server tests", isComplete:false}
+        ],
     },{
         name:"Meet with CTO",
         id:"T2",
@@ -0,0 +1,80 @@
+/**
+ * Errors thrown by route handlers and the modules they call.
+ * Each one carries the HTTP status it maps to; `errorHandler` turns them into a single JSON shape:
+ * `{error:{status, code, message, details}}`
+ */
+
+export class ApiError extends Error {
+    constructor(message, status = 500, code = `INTERNAL_ERROR`, details) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+export class BadRequestError extends ApiError {
+    constructor(message = `Invalid request`, details) {
+        super(message, 400, `BAD_REQUEST`, details);
+    }
+}
+
+export class UnauthorizedError extends ApiError {
+    constructor(message = `Authentication required`) {
+        super(message, 401, `UNAUTHORIZED`);
+    }
+}
+
+export class ForbiddenError extends ApiError {
+    constructor(message = `You do not have permission to do that`) {
+        super(message, 403, `FORBIDDEN`);
+    }
+}
+
+export class NotFoundError extends ApiError {
+    constructor(message = `Not found`) {
+        super(message, 404, `NOT_FOUND`);
+    }
+}
+
+export class ConflictError extends ApiError {
+    constructor(message = `Conflict`, details) {
+        super(message, 409, `CONFLICT`, details);
+    }
+}
+
+/**
+ * Wraps an async route handler so a rejected promise reaches the error handling middleware
+ * instead of becoming an unhandled rejection.
+ */
+export const asyncHandler = handler => (req,res,next) => Promise.resolve(handler(req,res,next)).catch(next);
+
+// MongoDB reports a write that violates a unique index with this code
+export const isDuplicateKeyError = error => Boolean(error) && error.code === 11000;
+
+const toApiError = error => {
+    if (error instanceof ApiError) {
+        return error;
+    }
+    if (isDuplicateKeyError(error)) {
+        return new ConflictError(`A record with that identifier already exists`);
+    }
+    // Raised by body-parser when the request body isn't valid JSON
+    if (error.type === `entity.parse.failed`) {
+        return new BadRequestError(`Malformed request body`);
+    }
+    return new ApiError(`Internal server error`);
+};
+
+// Once a response has started it can't be replaced, so Express's default handler has to close the connection.
+export const errorHandler = (error, req, res, next) => {
+    if (res.headersSent) {
+        return next(error);
+    }
+    let { status, code, message, details } = toApiError(error);
+    if (status === 500) {
+        console.error(error);
+    }
+    res.status(status).send({error:{status, code, message, details}});
+};
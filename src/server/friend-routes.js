@@ -0,0 +1,58 @@
+/**
+ * The user's friends and friend requests, served under `/api/<API_VERSION>/friends`.
+ * Friends are who groups and tasks can be shared with.
+ *
+ *   GET    /friends                       the user's friends and pending requests, with the users involved
+ *   DELETE /friends/:userID               stop being friends with a user
+ *   POST   /friends/requests              ask the user `to` to become a friend
+ *   POST   /friends/requests/:id/accept   accept a request sent to the user
+ *   DELETE /friends/requests/:id          decline a request sent to the user, or withdraw one they sent
+ */
+import express from 'express';
+
+import config from './config';
+import { requireAuthentication } from './authenticate'
+import {
+    listFriends,
+    removeFriend,
+    sendFriendRequest,
+    acceptFriendRequest,
+    deleteFriendRequest
+} from './communicate-db';
+import { validate } from './validation';
+import { asyncHandler } from './errors';
+import { friendRequestSchema } from './schemas';
+
+export const FRIENDS_PATH = `/api/${config.API_VERSION}/friends`;
+
+export const friendRoutes = app => {
+    let router = express.Router();
+    router.use(requireAuthentication);
+
+    router.get('/',asyncHandler(async (req,res)=>{
+        res.send(await listFriends(req.userID));
+    }));
+
+    router.post('/requests',validate(friendRequestSchema),asyncHandler(async (req,res)=>{
+        let request = await sendFriendRequest(req.body.to, req.userID);
+        // A request crossing one from the other user makes them friends straight away
+        res.status(request.isAccepted ? 200 : 201).send({request});
+    }));
+
+    router.post('/requests/:id/accept',asyncHandler(async (req,res)=>{
+        await acceptFriendRequest(req.params.id, req.userID);
+        res.status(204).send();
+    }));
+
+    router.delete('/requests/:id',asyncHandler(async (req,res)=>{
+        await deleteFriendRequest(req.params.id, req.userID);
+        res.status(204).send();
+    }));
+
+    router.delete('/:userID',asyncHandler(async (req,res)=>{
+        await removeFriend(req.params.userID, req.userID);
+        res.status(204).send();
+    }));
+
+    app.use(FRIENDS_PATH, router);
+};
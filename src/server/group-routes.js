@@ -0,0 +1,66 @@
+/**
+ * The group resource, served under `/api/<API_VERSION>/groups`. Groups are the columns of the dashboard.
+ *
+ *   GET    /groups       list the user's groups in column order
+ *   POST   /groups       create a group as the last column
+ *   PATCH  /groups/:id   rename a group, or move it to another `position`
+ *   DELETE /groups/:id   delete a group; `?moveTo=<groupID>` keeps its tasks, which are deleted otherwise,
+ *                        and answers with the moved `tasks`
+ *
+ *   PUT    /groups/:id/collaborators/:userID   share the group, and every task in it, with a friend
+ *   DELETE /groups/:id/collaborators/:userID   stop sharing the group with a user
+ */
+import express from 'express';
+
+import config from './config';
+import { requireAuthentication } from './authenticate'
+import {
+    listGroups,
+    addGroup,
+    updateGroup,
+    deleteGroup,
+    setCollaborator,
+    removeCollaborator
+} from './communicate-db';
+import { validate, validateQuery } from './validation';
+import { asyncHandler } from './errors';
+import { groupCreationSchema, groupPatchSchema, groupDeletionQuerySchema, collaboratorSchema } from './schemas';
+
+export const GROUPS_PATH = `/api/${config.API_VERSION}/groups`;
+
+export const groupRoutes = app => {
+    let router = express.Router();
+    router.use(requireAuthentication);
+
+    router.get('/',asyncHandler(async (req,res)=>{
+        let groups = await listGroups(req.userID);
+        res.send({groups});
+    }));
+
+    router.post('/',validate(groupCreationSchema),asyncHandler(async (req,res)=>{
+        let group = await addGroup(req.body, req.userID);
+        res.status(201).send({group});
+    }));
+
+    router.patch('/:id',validate(groupPatchSchema),asyncHandler(async (req,res)=>{
+        let group = await updateGroup({...req.body, id:req.params.id}, req.userID);
+        res.send({group});
+    }));
+
+    router.delete('/:id',validateQuery(groupDeletionQuerySchema),asyncHandler(async (req,res)=>{
+        let tasks = await deleteGroup(req.params.id, req.query.moveTo, req.userID);
+        res.send({tasks});
+    }));
+
+    router.put('/:id/collaborators/:userID',validate(collaboratorSchema),asyncHandler(async (req,res)=>{
+        let group = await setCollaborator(`groups`, req.params.id, req.params.userID, req.body.role, req.userID);
+        res.send({collaborators:group.collaborators});
+    }));
+
+    router.delete('/:id/collaborators/:userID',asyncHandler(async (req,res)=>{
+        await removeCollaborator(`groups`, req.params.id, req.params.userID, req.userID);
+        res.status(204).send();
+    }));
+
+    app.use(GROUPS_PATH, router);
+};
@@ -1,2 +1,7 @@
 // import './server.mock';
-import './server';
\ No newline at end of file
+import { start } from './server';
+
+start().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,50 @@
+/**
+ * Indexes the server relies on. They are created at startup if they don't exist yet;
+ * creating an index that already exists with the same options does nothing.
+ * Every document is looked up by its string `id`, which must be unique within its collection.
+ * The text indexes back the search endpoint; MongoDB allows only one per collection.
+ * Activity is read as a task's history, or as a user's feed of everything they could see.
+ */
+export const indexes = {
+    users:[
+        {key:{id:1}, name:`users_id`, unique:true},
+        {key:{name:1}, name:`users_name`, unique:true}
+    ],
+    groups:[
+        {key:{id:1}, name:`groups_id`, unique:true},
+        {key:{owner:1}, name:`groups_owner`},
+        {key:{[`collaborators.user`]:1}, name:`groups_collaborators`}
+    ],
+    tasks:[
+        {key:{id:1}, name:`tasks_id`, unique:true},
+        {key:{owner:1, group:1}, name:`tasks_owner_group`},
+        {key:{group:1}, name:`tasks_group`},
+        {key:{[`collaborators.user`]:1}, name:`tasks_collaborators`},
+        {key:{assignees:1}, name:`tasks_assignees`},
+        {key:{name:`text`, description:`text`}, name:`tasks_text`, weights:{name:3, description:1}}
+    ],
+    comments:[
+        {key:{id:1}, name:`comments_id`, unique:true},
+        {key:{task:1}, name:`comments_task`},
+        {key:{content:`text`}, name:`comments_text`}
+    ],
+    friendRequests:[
+        {key:{id:1}, name:`friendRequests_id`, unique:true},
+        {key:{from:1, to:1}, name:`friendRequests_from_to`, unique:true},
+        {key:{to:1}, name:`friendRequests_to`}
+    ],
+    activity:[
+        {key:{id:1}, name:`activity_id`, unique:true},
+        {key:{task:1, createdAt:1, id:1}, name:`activity_task_createdAt_id`},
+        {key:{audience:1, createdAt:-1, id:-1}, name:`activity_audience_createdAt_id`}
+    ],
+    sessions:[
+        {key:{id:1}, name:`sessions_id`, unique:true}
+    ]
+};
+
+export async function ensureIndexes(db) {
+    for (let collectionName in indexes) {
+        await db.collection(collectionName).createIndexes(indexes[collectionName]);
+    }
+}
@@ -0,0 +1,101 @@
+/**
+ * Runs the numbered migrations in `./migrations` against the database.
+ * Each migration file is named `<number>-<description>.js` and exports async `up(db)` and `down(db)` functions.
+ * Applied migrations are recorded in the `migrations` collection, so each one only ever runs once.
+ *
+ * Usage: babel-node src/server/migrate [up|down|status]
+ */
+import fs from 'fs';
+import path from 'path';
+import { connectDB, closeDB } from './connect-db'
+
+const MIGRATIONS_DIRECTORY = path.resolve(__dirname, `migrations`);
+const MIGRATION_FILE = /^\d+-[\w-]+\.js$/;
+
+export function loadMigrations(directory = MIGRATIONS_DIRECTORY) {
+    return fs.readdirSync(directory)
+        .filter(file => MIGRATION_FILE.test(file))
+        .sort()
+        .map(file => {
+            let { up, down } = require(path.join(directory, file));
+            return {id:path.basename(file, `.js`), up, down};
+        });
+}
+
+const appliedMigrations = db => db.collection(`migrations`).find({}).sort({id:1}).toArray();
+
+/**
+ * Applies every migration that hasn't been applied yet, in order. Returns the IDs of the migrations applied.
+ */
+export async function migrateUp(db, migrations) {
+    let applied = new Set((await appliedMigrations(db)).map(migration => migration.id));
+    let ran = [];
+    for (let migration of migrations) {
+        if (applied.has(migration.id)) {
+            continue;
+        }
+        await migration.up(db);
+        await db.collection(`migrations`).insertOne({id:migration.id, appliedAt:new Date()});
+        ran.push(migration.id);
+    }
+    return ran;
+}
+
+/**
+ * Reverts the most recently applied migrations, one by default. Returns the IDs of the migrations reverted.
+ */
+export async function migrateDown(db, migrations, steps = 1) {
+    let applied = (await appliedMigrations(db)).reverse().slice(0, steps);
+    let reverted = [];
+    for (let { id } of applied) {
+        let migration = migrations.find(migration => migration.id === id);
+        if (!migration) {
+            throw new Error(`Migration ${id} has been applied but its file is missing.`);
+        }
+        await migration.down(db);
+        await db.collection(`migrations`).deleteOne({id});
+        reverted.push(id);
+    }
+    return reverted;
+}
+
+export async function migrationStatus(db, migrations) {
+    let applied = await appliedMigrations(db);
+    return migrations.map(({ id }) => {
+        let record = applied.find(migration => migration.id === id);
+        return {id, appliedAt:record ? record.appliedAt : null};
+    });
+}
+
+async function run(command) {
+    let db = await connectDB();
+    let migrations = loadMigrations();
+    switch (command) {
+        case `up`: {
+            let ran = await migrateUp(db, migrations);
+            console.info(ran.length ? `Applied ${ran.join(`, `)}` : `No pending migrations`);
+            break;
+        }
+        case `down`: {
+            let reverted = await migrateDown(db, migrations);
+            console.info(reverted.length ? `Reverted ${reverted.join(`, `)}` : `No migrations to revert`);
+            break;
+        }
+        case `status`:
+            for (let { id, appliedAt } of await migrationStatus(db, migrations)) {
+                console.info(`${appliedAt ? `applied ${appliedAt.toISOString()}` : `pending`}\t${id}`);
+            }
+            break;
+        default:
+            throw new Error(`Unknown command "${command}". Use up, down or status.`);
+    }
+}
+
+if (require.main === module) {
+    run(process.argv[2] || `up`)
+        .catch(error => {
+            console.error(error.message);
+            process.exitCode = 1;
+        })
+        .finally(closeDB);
+}
@@ -0,0 +1,13 @@
+/**
+ * Refresh tokens are recorded in `sessions` with the date they expire.
+ * A TTL index lets MongoDB remove them once that date has passed, so the collection doesn't grow forever.
+ */
+const INDEX_NAME = `sessions_expiresAt_ttl`;
+
+export const up = async db => {
+    await db.collection(`sessions`).createIndex({expiresAt:1},{expireAfterSeconds:0, name:INDEX_NAME});
+};
+
+export const down = async db => {
+    await db.collection(`sessions`).dropIndex(INDEX_NAME);
+};
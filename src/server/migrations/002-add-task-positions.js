@@ -0,0 +1,22 @@
+/**
+ * Tasks and groups are ordered by a `position` field. Documents from before it existed are numbered here,
+ * tasks within each group and groups within each owner's dashboard, keeping the order MongoDB returned them in.
+ */
+const number = async (collection, parentField) => {
+    let documents = await collection.find({position:{$exists:false}}).toArray();
+    let counts = {};
+    for (let {id, [parentField]:parent} of documents) {
+        if (counts[parent] === undefined) {
+            counts[parent] = await collection.countDocuments({[parentField]:parent, position:{$exists:true}});
+        }
+        await collection.updateOne({id},{$set:{position:counts[parent]++}});
+    }
+};
+
+export const up = async db => {
+    await number(db.collection(`tasks`), `group`);
+    await number(db.collection(`groups`), `owner`);
+};
+
+// Positions are ignored by code that doesn't know about them, and groups created since may already rely on theirs
+export const down = async () => {};
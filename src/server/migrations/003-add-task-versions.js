@@ -0,0 +1,10 @@
+/**
+ * Tasks carry a `version` that every update increments, so clients can tell when a task changed under them.
+ * Tasks from before it existed start at 1.
+ */
+export const up = async db => {
+    await db.collection(`tasks`).updateMany({version:{$exists:false}},{$set:{version:1}});
+};
+
+// Versions are ignored by code that doesn't know about them, and tasks changed since have moved past 1
+export const down = async () => {};
@@ -0,0 +1,32 @@
+import bcrypt from 'bcryptjs';
+import md5 from 'md5';
+import config from './config';
+
+// Accounts created before the switch to bcrypt still hold a bare, unsalted md5 digest.
+const LEGACY_MD5_HASH = /^[a-f0-9]{32}$/;
+
+export const hashPassword = password => bcrypt.hash(password, config.BCRYPT_ROUNDS);
+
+export const hashPasswordSync = password => bcrypt.hashSync(password, config.BCRYPT_ROUNDS);
+
+/**
+ * Checks a password against a stored hash.
+ * `needsRehash` is set when the password is correct but the hash is md5 or uses a different cost than BCRYPT_ROUNDS,
+ * so the caller can store a fresh hash while the plain text password is at hand.
+ */
+export async function verifyPassword(password, passwordHash) {
+    if (typeof passwordHash !== 'string') {
+        return {valid:false, needsRehash:false};
+    }
+
+    if (LEGACY_MD5_HASH.test(passwordHash)) {
+        let valid = md5(password) === passwordHash;
+        return {valid, needsRehash:valid};
+    }
+
+    let valid = await bcrypt.compare(password, passwordHash);
+    return {
+        valid,
+        needsRehash: valid && bcrypt.getRounds(passwordHash) !== config.BCRYPT_ROUNDS
+    };
+}
@@ -0,0 +1,32 @@
+/**
+ * Rules deciding what the acting user may do with a document, and the queries and audiences that follow from them.
+ * The acting user always comes from the session (`req.userID`), never from the request body.
+ * The role rules themselves are shared with the app, in `src/shared/permissions.js`.
+ */
+
+export * from '../shared/permissions';
+
+/**
+ * Query matching the groups the user owns or that are shared with them.
+ */
+export const visibleGroupsQuery = userID => ({$or:[{owner:userID}, {[`collaborators.user`]:userID}]});
+
+/**
+ * Query matching the tasks the user can see, given the IDs of the groups they can see.
+ */
+export const visibleTasksQuery = (userID, groupIDs) => ({$or:[
+    {owner:userID},
+    {[`collaborators.user`]:userID},
+    {assignees:userID},
+    {group:{$in:groupIDs}}
+]});
+
+/**
+ * IDs of everyone who can see the given groups and tasks, e.g. `audienceOf(task, group)` for a task and
+ * the group it is in.
+ */
+export const audienceOf = (...items) => [...new Set(items.filter(Boolean).flatMap(item=>[
+    item.owner,
+    ...(item.collaborators || []).map(collaborator=>collaborator.user),
+    ...(item.assignees || [])
+]))].filter(Boolean);
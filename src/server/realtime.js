@@ -0,0 +1,143 @@
+/**
+ * The real-time channel, a WebSocket served at `/api/<API_VERSION>/events`.
+ *
+ * A client opens the socket and sends `{type:"AUTHENTICATE", token}` with its access token. The server answers
+ * `{type:"CONNECTED", connectionID}`, or closes the socket with code 4001 if the token is invalid or expired.
+ * From then on the server pushes a message whenever a task, group or comment the user can see changes:
+ *
+ *   TASK_SAVED      {task}                     a task was created or changed
+ *   TASK_DELETED    {taskID}                   a task was deleted, or the user can no longer see it
+ *   GROUP_SAVED     {group}                    a group was created or changed
+ *   GROUP_DELETED   {groupID, moveTo, taskIDs} a group was deleted; its tasks were deleted, or moved to `moveTo`
+ *   COMMENT_ADDED   {comment}                  a comment was added to a task
+ *   COMMENT_DELETED {commentID, taskID}        a comment was deleted from a task
+ *   RESYNC          {}                         what the user can see changed too much to describe; reload it
+ *
+ * Requests that send the `X-Connection-ID` header they got from CONNECTED aren't echoed back to that connection.
+ */
+import { AsyncLocalStorage } from 'async_hooks';
+import WebSocket from 'ws';
+import uuid from 'uuid';
+
+import config from './config';
+import { verifyAccessToken } from './session';
+
+export const EVENTS_PATH = `/api/${config.API_VERSION}/events`;
+export const CONNECTION_HEADER = `X-Connection-ID`;
+export const UNAUTHORIZED = 4001;
+
+const AUTHENTICATION_TIMEOUT_MS = 10000;
+const HEARTBEAT_MS = 30000;
+
+// Open, authenticated connections by user ID
+const connections = new Map();
+
+// The connection that made the request being handled, so it isn't sent its own changes
+const origin = new AsyncLocalStorage();
+
+export const trackOrigin = (req,res,next)=>{
+    origin.run(req.get(CONNECTION_HEADER) || null, next);
+};
+
+/**
+ * Sends `message` to every open connection of the given users, except the one the current request came from.
+ */
+export const publish = (userIDs, message)=>{
+    let skip = origin.getStore();
+    let data = JSON.stringify(message);
+    for (let userID of new Set(userIDs)) {
+        for (let connection of connections.get(userID) || []) {
+            if (connection.id !== skip && connection.socket.readyState === WebSocket.OPEN) {
+                connection.socket.send(data);
+            }
+        }
+    }
+};
+
+const add = connection => {
+    if (!connections.has(connection.userID)) {
+        connections.set(connection.userID, new Set());
+    }
+    connections.get(connection.userID).add(connection);
+};
+
+const remove = connection => {
+    let userConnections = connections.get(connection.userID);
+    if (userConnections) {
+        userConnections.delete(connection);
+        if (!userConnections.size) {
+            connections.delete(connection.userID);
+        }
+    }
+};
+
+const accept = socket => {
+    let connection = {id:uuid(), socket, userID:null, isAlive:true};
+    let timeout = setTimeout(()=>socket.close(UNAUTHORIZED, `Not authenticated`), AUTHENTICATION_TIMEOUT_MS);
+
+    socket.on(`pong`, ()=>{
+        connection.isAlive = true;
+    });
+
+    socket.on(`message`, data=>{
+        if (connection.userID) {
+            return;
+        }
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            message = {};
+        }
+        let userID = message.type === `AUTHENTICATE` ? verifyAccessToken(message.token) : null;
+        clearTimeout(timeout);
+        if (!userID) {
+            socket.close(UNAUTHORIZED, `Not authenticated`);
+            return;
+        }
+        connection.userID = userID;
+        add(connection);
+        socket.send(JSON.stringify({type:`CONNECTED`, connectionID:connection.id}));
+    });
+
+    socket.on(`close`, ()=>{
+        clearTimeout(timeout);
+        remove(connection);
+    });
+
+    return connection;
+};
+
+/**
+ * Serves the real-time channel on an HTTP server. Connections that stop answering pings are dropped.
+ * Returns the WebSocket server, which should be closed before the HTTP server.
+ */
+export function attachRealtime(server) {
+    let wss = new WebSocket.Server({server, path:EVENTS_PATH});
+    let sockets = new Map();
+
+    wss.on(`connection`, socket=>{
+        sockets.set(socket, accept(socket));
+        socket.on(`close`, ()=>sockets.delete(socket));
+    });
+
+    let heartbeat = setInterval(()=>{
+        for (let [socket, connection] of sockets) {
+            if (!connection.isAlive) {
+                socket.terminate();
+                continue;
+            }
+            connection.isAlive = false;
+            socket.ping();
+        }
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+
+    wss.on(`close`, ()=>{
+        clearInterval(heartbeat);
+        for (let socket of sockets.keys()) {
+            socket.terminate();
+        }
+    });
+    return wss;
+}
@@ -0,0 +1,117 @@
+/**
+ * Schemas for the payloads accepted by the API. See `validation.js` for the rule format.
+ * Ownership fields are deliberately absent: the owner is always taken from the session.
+ */
+
+import { ROLES } from './permissions';
+
+const id = {type:`string`, required:true, minLength:1, maxLength:64};
+
+const TASK_PRIORITIES = [`none`, `low`, `medium`, `high`];
+
+// Fields a task may be created with and edited through PATCH. `description` and `dueDate` accept null to clear them.
+const taskDetails = {
+    name:{type:`string`, maxLength:200},
+    isComplete:{type:`boolean`},
+    description:{type:`string`, maxLength:10000, nullable:true},
+    dueDate:{type:`string`, format:`date`, nullable:true},
+    priority:{type:`string`, enum:TASK_PRIORITIES},
+    labels:{type:`array`, maxItems:20, items:{type:`string`, minLength:1, maxLength:30}},
+    assignees:{type:`array`, maxItems:20, items:{type:`string`, minLength:1, maxLength:64}}
+};
+
+// The server generates an id when the client doesn't supply one
+export const taskCreationSchema = {
+    id:{...id, required:false},
+    group:{...id},
+    ...taskDetails
+};
+
+export const taskPatchSchema = {
+    group:{type:`string`, minLength:1, maxLength:64},
+    ...taskDetails,
+    isArchived:{type:`boolean`},
+    position:{type:`number`},
+    // The version of the task the client last saw; the update is refused if it has changed since
+    version:{type:`number`}
+};
+
+export const taskUpdateSchema = {
+    id,
+    ...taskPatchSchema
+};
+
+export const taskQuerySchema = {
+    group:{type:`string`, minLength:1, maxLength:64},
+    isComplete:{type:`boolean`},
+    isArchived:{type:`boolean`}
+};
+
+export const searchQuerySchema = {
+    q:{type:`string`, maxLength:200},
+    isComplete:{type:`boolean`},
+    group:{type:`string`, minLength:1, maxLength:64},
+    owner:{type:`string`, minLength:1, maxLength:64},
+    label:{type:`string`, minLength:1, maxLength:30},
+    dueAfter:{type:`string`, format:`date`},
+    dueBefore:{type:`string`, format:`date`}
+};
+
+// `before` and `beforeID` page through the activity feed, taking the `createdAt` and `id` of the last entry already seen
+export const activityQuerySchema = {
+    before:{type:`string`, format:`timestamp`},
+    beforeID:{type:`string`, minLength:1, maxLength:64}
+};
+
+// Checklist items live in the `checklist` array of their task
+export const checklistItemSchema = {
+    id:{...id, required:false},
+    text:{type:`string`, required:true, minLength:1, maxLength:200},
+    isComplete:{type:`boolean`}
+};
+
+export const checklistItemPatchSchema = {
+    text:{type:`string`, minLength:1, maxLength:200},
+    isComplete:{type:`boolean`},
+    position:{type:`number`}
+};
+
+export const commentSchema = {
+    id,
+    task:{...id},
+    content:{type:`string`, required:true, minLength:1, maxLength:2000}
+};
+
+// As with tasks, the server generates an id when the client doesn't supply one
+export const groupCreationSchema = {
+    id:{...id, required:false},
+    name:{type:`string`, required:true, minLength:1, maxLength:100}
+};
+
+export const groupPatchSchema = {
+    name:{type:`string`, minLength:1, maxLength:100},
+    position:{type:`number`}
+};
+
+// `moveTo` names the group that receives the deleted group's tasks; without it they are deleted too
+export const groupDeletionQuerySchema = {
+    moveTo:{type:`string`, minLength:1, maxLength:64}
+};
+
+// Body of PUT `/<groups|tasks>/:id/collaborators/:userID`, which shares the item with that user
+export const collaboratorSchema = {
+    role:{type:`string`, required:true, enum:ROLES}
+};
+
+export const userSearchQuerySchema = {
+    q:{type:`string`, required:true, minLength:1, maxLength:64}
+};
+
+export const friendRequestSchema = {
+    to:{...id}
+};
+
+export const userSchema = {
+    username:{type:`string`, required:true, minLength:1, maxLength:64},
+    password:{type:`string`, required:true, minLength:1, maxLength:72}
+};
@@ -0,0 +1,22 @@
+/**
+ * Search across the user's tasks and their comments, served at `/api/<API_VERSION>/search`.
+ *
+ *   GET /search?q=&isComplete=&group=&owner=&label=&dueAfter=&dueBefore=
+ *
+ * Responds with `{tasks, comments}`: the matching tasks, best matches first, and the comments that matched.
+ */
+import config from './config';
+import { requireAuthentication } from './authenticate'
+import { searchTasks } from './communicate-db';
+import { validateQuery } from './validation';
+import { asyncHandler } from './errors';
+import { searchQuerySchema } from './schemas';
+
+export const SEARCH_PATH = `/api/${config.API_VERSION}/search`;
+
+export const searchRoutes = app => {
+    app.get(SEARCH_PATH,requireAuthentication,validateQuery(searchQuerySchema),asyncHandler(async (req,res)=>{
+        let { tasks, comments } = await searchTasks(req.query, req.userID);
+        res.send({tasks, comments});
+    }));
+};
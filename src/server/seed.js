@@ -0,0 +1,38 @@
+/**
+ * Fills the database with the demo users, groups, tasks and comments from `defaultState`.
+ * Nothing is dropped, and nothing is inserted if the demo user already exists.
+ * Refuses to run in production.
+ *
+ * Usage: babel-node src/server/seed
+ */
+import config from './config';
+import { defaultState } from './defaultState';
+import { connectDB, closeDB } from './connect-db'
+
+export async function seed(db, state = defaultState) {
+    let user = await db.collection(`users`).findOne({id:state.users[0].id});
+    if (user) {
+        return false;
+    }
+    for (let collectionName in state) {
+        await db.collection(collectionName).insertMany(state[collectionName]);
+    }
+    return true;
+}
+
+async function run() {
+    if (config.NODE_ENV === `production`) {
+        throw new Error(`Refusing to seed demo data in production.`);
+    }
+    let seeded = await seed(await connectDB());
+    console.info(seeded ? `Demo data added` : `Demo data already present`);
+}
+
+if (require.main === module) {
+    run()
+        .catch(error => {
+            console.error(error.message);
+            process.exitCode = 1;
+        })
+        .finally(closeDB);
+}
@@ -5,11 +5,22 @@ import cors from 'cors';
 import bodyParser from 'body-parser';
 
 import config from './config';
-import './initialize-db';
-import { authenticationRoute } from './authenticate'
-
+import { authenticationRoute, requireAuthentication } from './authenticate'
+import { taskRoutes, deprecated, TASKS_PATH } from './task-routes';
+import { groupRoutes } from './group-routes';
+import { searchRoutes } from './search-routes';
+import { userRoutes } from './user-routes';
+import { friendRoutes } from './friend-routes';
+import { activityRoutes } from './activity-routes';
+
+import { addNewTask, updateTask, addComment, deleteComment } from './communicate-db';
+import { validate } from './validation';
+import { asyncHandler, errorHandler } from './errors';
+import { registerShutdown } from './shutdown';
+import { attachRealtime, trackOrigin } from './realtime';
 import { connectDB } from './connect-db'
-import { addNewTask, updateTask } from './communicate-db';
+import { ensureIndexes } from './indexes';
+import { taskCreationSchema, taskUpdateSchema, commentSchema } from './schemas';
 
 
 let port = config.PORT;
@@ -23,19 +34,37 @@ app.use(
         credentials: true
     }),
     bodyParser.urlencoded({extended:true}),
-    bodyParser.json()
+    bodyParser.json(),
+    trackOrigin
 );
 
 
-// Only start the server if this file is being run directly
-if (require.main === module) {
-    app.listen(port, () => {
+export async function start() {
+    await ensureIndexes(await connectDB());
+    let server = app.listen(port, () => {
         console.info(`Server running in ${config.NODE_ENV} mode, listening on port ${port}`);
         console.info(`CORS origin: ${config.CORS_ORIGIN}`);
     });
+    let realtime = attachRealtime(server);
+    registerShutdown(server, undefined, ()=>realtime.close());
+    return server;
+}
+
+// Start the server straight away if this file is being run directly
+if (require.main === module) {
+    start().catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
 }
 
 authenticationRoute(app);
+taskRoutes(app);
+groupRoutes(app);
+searchRoutes(app);
+userRoutes(app);
+friendRoutes(app);
+activityRoutes(app);
 
 if (config.NODE_ENV === 'production') {
     app.use(express.static(path.resolve(__dirname,'../../dist')));
@@ -44,23 +73,28 @@ if (config.NODE_ENV === 'production') {
     });
 }
 
-app.post('/task/new',async (req,res)=>{
-    // let task = req.body.task;
-    await addNewTask(req.body.task);
+// Deprecated: use POST /api/<API_VERSION>/tasks
+app.post('/task/new',deprecated(TASKS_PATH),requireAuthentication,validate(taskCreationSchema,`task`),asyncHandler(async (req,res)=>{
+    await addNewTask(req.body.task, req.userID);
     res.status(200).send();
-});
+}));
 
 
 
-app.post('/task/update',async (req,res)=>{
-    await updateTask(req.body.task);
+// Deprecated: use PATCH /api/<API_VERSION>/tasks/:id
+app.post('/task/update',deprecated(TASKS_PATH),requireAuthentication,validate(taskUpdateSchema,`task`),asyncHandler(async (req,res)=>{
+    await updateTask(req.body.task, req.userID);
     res.status(200).send();
-});
+}));
 
-app.post('/comment/new',async (req,res)=>{
-    let comment = req.body.comment;
-    let db = await connectDB();
-    let collection = db.collection(`comments`);
-    await collection.insertOne(comment);
+app.post('/comment/new',requireAuthentication,validate(commentSchema,`comment`),asyncHandler(async (req,res)=>{
+    await addComment(req.body.comment, req.userID);
     res.status(200).send();
-});
\ No newline at end of file
+}));
+
+app.delete('/comment/:id',requireAuthentication,asyncHandler(async (req,res)=>{
+    await deleteComment(req.params.id, req.userID);
+    res.status(204).send();
+}));
+
+app.use(errorHandler);
@@ -4,16 +4,20 @@ import { addNewTask, updateTask } from './communicate-db'
 jest.mock('./connect-db', () => ({
   connectDB: jest.fn().mockResolvedValue({
     collection: jest.fn().mockReturnValue({
+      findOne: jest.fn().mockResolvedValue({owner:"U1"}),
+      find: jest.fn().mockReturnValue({toArray: jest.fn().mockResolvedValue([])}),
       insertOne: jest.fn().mockResolvedValue({}),
-      updateOne: jest.fn().mockResolvedValue({})
+      insertMany: jest.fn().mockResolvedValue({}),
+      updateOne: jest.fn().mockResolvedValue({}),
+      findOneAndUpdate: jest.fn().mockResolvedValue({value:{owner:"U1"}})
     })
   })
 }));
 
 describe('Legacy Server Spec', () => {
   it('should add and update tasks', async () => {
-    await addNewTask({name:"Spec task",isComplete:true,id:"TEST-1"});
-    await updateTask({name:"Spec Task (UPDATED)",id:"TEST-1",isComplete:false});
+    await addNewTask({name:"Spec task",isComplete:true,id:"TEST-1"},"U1");
+    await updateTask({name:"Spec Task (UPDATED)",id:"TEST-1",isComplete:false},"U1");
     
     // Test passes if no errors are thrown
     expect(true).toBe(true);
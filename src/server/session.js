@@ -0,0 +1,80 @@
+/**
+ * Sessions are made of two signed tokens.
+ * The access token is short-lived and verified without touching the database, so any server instance can accept it.
+ * The refresh token is long-lived and is recorded in the `sessions` collection, which lets it be revoked on logout.
+ */
+import jwt from 'jsonwebtoken';
+import uuid from 'uuid';
+import config from './config';
+import { connectDB } from './connect-db'
+
+const ACCESS = `access`;
+const REFRESH = `refresh`;
+
+const sign = (payload, expiresIn) => jwt.sign(payload, config.JWT_SECRET, {expiresIn});
+
+const verify = (token, type) => {
+    try {
+        let payload = jwt.verify(token, config.JWT_SECRET);
+        return payload.type === type ? payload : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+export async function createSession(userID) {
+    let sessionID = uuid();
+    let db = await connectDB();
+    await db.collection(`sessions`).insertOne({
+        id:sessionID,
+        user:userID,
+        revoked:false,
+        expiresAt:new Date(Date.now() + config.REFRESH_TOKEN_TTL * 1000)
+    });
+
+    return {
+        token:sign({sub:userID, type:ACCESS}, config.ACCESS_TOKEN_TTL),
+        refreshToken:sign({sub:userID, jti:sessionID, type:REFRESH}, config.REFRESH_TOKEN_TTL)
+    };
+}
+
+/**
+ * Returns the ID of the user an access token was issued to, or null if the token is invalid or expired.
+ */
+export const verifyAccessToken = token => {
+    let payload = verify(token, ACCESS);
+    return payload ? payload.sub : null;
+};
+
+/**
+ * Exchanges a refresh token for a new pair of tokens. The old refresh token is revoked, so each one can only be used once.
+ * Returns null if the refresh token is invalid, expired or already revoked.
+ */
+export async function refreshSession(refreshToken) {
+    let payload = verify(refreshToken, REFRESH);
+    if (!payload) {
+        return null;
+    }
+
+    let db = await connectDB();
+    let { value } = await db.collection(`sessions`).findOneAndUpdate(
+        {id:payload.jti, revoked:false},
+        {$set:{revoked:true}}
+    );
+    if (!value) {
+        return null;
+    }
+
+    return createSession(payload.sub);
+}
+
+export async function revokeSession(refreshToken) {
+    let payload = verify(refreshToken, REFRESH);
+    if (!payload) {
+        return false;
+    }
+
+    let db = await connectDB();
+    await db.collection(`sessions`).updateOne({id:payload.jti},{$set:{revoked:true}});
+    return true;
+}
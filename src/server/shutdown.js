@@ -0,0 +1,45 @@
+import config from './config';
+import { closeDB } from './connect-db';
+
+/**
+ * Stops the server cleanly on SIGTERM or SIGINT.
+ * New connections are refused while in-flight requests finish; then the database client is closed and the process exits.
+ * If the requests haven't drained after SHUTDOWN_TIMEOUT_MS, the process exits anyway.
+ * `closeSockets` ends long-lived connections, such as the real-time channel's, that would never drain by themselves.
+ */
+export function registerShutdown(server, exit = code => process.exit(code), closeSockets = () => {}) {
+    let shuttingDown = false;
+
+    const shutdown = signal => {
+        if (shuttingDown) {
+            return;
+        }
+        shuttingDown = true;
+        console.info(`${signal} received, shutting down`);
+
+        setTimeout(() => {
+            console.error(`Requests did not finish within ${config.SHUTDOWN_TIMEOUT_MS}ms, exiting`);
+            exit(1);
+        }, config.SHUTDOWN_TIMEOUT_MS).unref();
+
+        closeSockets();
+        server.close(async () => {
+            try {
+                await closeDB();
+                exit(0);
+            } catch (error) {
+                console.error(error);
+                exit(1);
+            }
+        });
+
+        // Idle keep-alive connections would otherwise hold the server open until they time out
+        if (server.closeIdleConnections) {
+            server.closeIdleConnections();
+        }
+    };
+
+    process.once(`SIGTERM`, shutdown);
+    process.once(`SIGINT`, shutdown);
+    return shutdown;
+}
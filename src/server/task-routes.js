@@ -0,0 +1,122 @@
+/**
+ * The task resource, served under `/api/<API_VERSION>/tasks`.
+ *
+ *   GET    /tasks        list the user's tasks, optionally filtered by `group`, `isComplete` and `isArchived`
+ *   GET    /tasks/:id    a single task
+ *   POST   /tasks        create a task
+ *   PATCH  /tasks/:id    change some of a task's fields
+ *   DELETE /tasks/:id    delete a task and its comments; archive it with PATCH `{isArchived:true}` instead to keep it
+ *
+ *   GET    /tasks/:id/activity   who changed what on the task and when, oldest first
+ *
+ *   POST   /tasks/:id/checklist           add an item to the end of the task's checklist
+ *   PATCH  /tasks/:id/checklist/:itemID   change an item's text or completion, or move it to another `position`
+ *   DELETE /tasks/:id/checklist/:itemID   remove an item
+ *
+ *   PUT    /tasks/:id/collaborators/:userID   share the task with a friend as a `viewer` or `editor`
+ *   DELETE /tasks/:id/collaborators/:userID   stop sharing the task with a user
+ *
+ * Every change to a task puts it up a `version`, so the changes answer with the `task` as updated. Moving a task
+ * also answers with the other `tasks` renumbered around it.
+ */
+import express from 'express';
+
+import config from './config';
+import { requireAuthentication } from './authenticate'
+import {
+    getTask,
+    listTasks,
+    addNewTask,
+    updateTask,
+    deleteTask,
+    listTaskActivity,
+    addChecklistItem,
+    updateChecklistItem,
+    deleteChecklistItem,
+    setCollaborator,
+    removeCollaborator
+} from './communicate-db';
+import { validate, validateQuery } from './validation';
+import { asyncHandler } from './errors';
+import {
+    taskCreationSchema,
+    taskPatchSchema,
+    taskQuerySchema,
+    checklistItemSchema,
+    checklistItemPatchSchema,
+    collaboratorSchema
+} from './schemas';
+
+export const TASKS_PATH = `/api/${config.API_VERSION}/tasks`;
+
+/**
+ * Marks a route as deprecated in favour of `successor`. The route keeps working, but responses carry
+ * `Deprecation` and `Link` headers so clients can find the replacement.
+ */
+export const deprecated = successor => (req,res,next)=>{
+    res.set(`Deprecation`, `true`);
+    res.set(`Link`, `<${successor}>; rel="successor-version"`);
+    next();
+};
+
+export const taskRoutes = app => {
+    let router = express.Router();
+    router.use(requireAuthentication);
+
+    router.get('/',validateQuery(taskQuerySchema),asyncHandler(async (req,res)=>{
+        let tasks = await listTasks(req.query, req.userID);
+        res.send({tasks});
+    }));
+
+    router.get('/:id',asyncHandler(async (req,res)=>{
+        let task = await getTask(req.params.id, req.userID);
+        res.send({task});
+    }));
+
+    router.post('/',validate(taskCreationSchema),asyncHandler(async (req,res)=>{
+        let task = await addNewTask(req.body, req.userID);
+        res.status(201).send({task});
+    }));
+
+    router.patch('/:id',validate(taskPatchSchema),asyncHandler(async (req,res)=>{
+        let {task, tasks} = await updateTask({...req.body, id:req.params.id}, req.userID);
+        res.send({task, tasks});
+    }));
+
+    router.delete('/:id',asyncHandler(async (req,res)=>{
+        await deleteTask(req.params.id, req.userID);
+        res.status(204).send();
+    }));
+
+    router.get('/:id/activity',asyncHandler(async (req,res)=>{
+        let activity = await listTaskActivity(req.params.id, req.userID);
+        res.send({activity});
+    }));
+
+    router.post('/:id/checklist',validate(checklistItemSchema),asyncHandler(async (req,res)=>{
+        let {item, task} = await addChecklistItem(req.params.id, req.body, req.userID);
+        res.status(201).send({item, task});
+    }));
+
+    router.patch('/:id/checklist/:itemID',validate(checklistItemPatchSchema),asyncHandler(async (req,res)=>{
+        let {item, task} = await updateChecklistItem(req.params.id, {...req.body, id:req.params.itemID}, req.userID);
+        res.send({item, task});
+    }));
+
+    router.delete('/:id/checklist/:itemID',asyncHandler(async (req,res)=>{
+        let task = await deleteChecklistItem(req.params.id, req.params.itemID, req.userID);
+        res.send({task});
+    }));
+
+    router.put('/:id/collaborators/:userID',validate(collaboratorSchema),asyncHandler(async (req,res)=>{
+        let task = await setCollaborator(`tasks`, req.params.id, req.params.userID, req.body.role, req.userID);
+        res.send({collaborators:task.collaborators, task});
+    }));
+
+    router.delete('/:id/collaborators/:userID',asyncHandler(async (req,res)=>{
+        let task = await removeCollaborator(`tasks`, req.params.id, req.params.userID, req.userID);
+        res.send({task});
+    }));
+
+    app.use(TASKS_PATH, router);
+};
@@ -0,0 +1,20 @@
+/**
+ * Looking up other users, served at `/api/<API_VERSION>/users`.
+ *
+ *   GET /users?q=   users whose name starts with `q`, as `{users:[{id, name}]}`
+ */
+import config from './config';
+import { requireAuthentication } from './authenticate'
+import { searchUsers } from './communicate-db';
+import { validateQuery } from './validation';
+import { asyncHandler } from './errors';
+import { userSearchQuerySchema } from './schemas';
+
+export const USERS_PATH = `/api/${config.API_VERSION}/users`;
+
+export const userRoutes = app => {
+    app.get(USERS_PATH,requireAuthentication,validateQuery(userSearchQuerySchema),asyncHandler(async (req,res)=>{
+        let users = await searchUsers(req.query.q, req.userID);
+        res.send({users});
+    }));
+};
@@ -1,5 +1,12 @@
 import { connectDB } from './connect-db'
+import { visibleGroupsQuery, visibleTasksQuery } from './permissions';
+import { PUBLIC_USER_FIELDS } from './communicate-db';
 
+/**
+ * Everything the client needs on login: the user's own groups and tasks, those shared with or assigned to them,
+ * their comments, the user's pending friend requests, and the users involved in any of it along with the user's
+ * friends, who can be invited to share. Other users are reduced to their public fields.
+ */
 export async function assembleUserState(user){
     if (!user || !user.id) {
         throw new Error('User and user.id are required');
@@ -7,20 +14,28 @@ export async function assembleUserState(user){
     
     let db = await connectDB();
 
-    let tasks = await db.collection(`tasks`).find({owner:user.id}).toArray();
+    let groups = await db.collection(`groups`).find(visibleGroupsQuery(user.id)).toArray();
+    let tasks = await db.collection(`tasks`).find(visibleTasksQuery(user.id, groups.map(group=>group.id))).toArray();
     let comments = await db.collection(`comments`).find({task:{$in:tasks.map(task=>task.id)}}).toArray();
-    let userOwners = [...tasks,comments].map(x=>x.owner).filter(Boolean);
-    let additionalUsers = await db.collection(`users`).find({id:{$in:userOwners}}).toArray();
-    let users = [
-        await db.collection(`users`).findOne({id:user.id}),
-        ...additionalUsers
-    ].filter(Boolean);
+    let self = await db.collection(`users`).findOne({id:user.id}, {projection:{passwordHash:0}});
+    let friendRequests = await db.collection(`friendRequests`).find({$or:[{from:user.id}, {to:user.id}]}).toArray();
+    let related = new Set([
+        ...[...groups, ...tasks, ...comments].map(x=>x.owner),
+        ...friendRequests.flatMap(request=>[request.from, request.to]),
+        ...tasks.flatMap(task=>task.assignees || []),
+        ...[...groups, ...tasks].flatMap(x=>(x.collaborators || []).map(collaborator=>collaborator.user)),
+        ...(self && self.friends || [])
+    ]);
+    related.delete(user.id);
+    let additionalUsers = await db.collection(`users`).find({id:{$in:[...related].filter(Boolean)}}, PUBLIC_USER_FIELDS).toArray();
+    let users = [self, ...additionalUsers].filter(Boolean);
 
     return {
         session:{authenticated:`AUTHENTICATED`,id:user.id},
-        groups:await db.collection(`groups`).find({owner:user.id}).toArray(),
+        groups,
         tasks,
         users,
-        comments
+        comments,
+        friendRequests
     };
-}
\ No newline at end of file
+}
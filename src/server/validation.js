@@ -0,0 +1,132 @@
+import { BadRequestError } from './errors';
+
+/**
+ * A small declarative validator for request bodies.
+ * A schema maps each allowed field to a rule such as `{type:'string', required:true, maxLength:200}`.
+ * Arrays take an `items` rule for their elements, and `nullable` fields also accept `null`, which clients use to clear them.
+ * Fields that are not in the schema are stripped, so clients can't write arbitrary data into the database.
+ */
+
+const typeChecks = {
+    string: value => typeof value === `string`,
+    boolean: value => typeof value === `boolean`,
+    number: value => typeof value === `number` && Number.isFinite(value),
+    array: value => Array.isArray(value)
+};
+
+// Named formats for strings, e.g. `{type:'string', format:'date'}`
+const formats = {
+    date: {
+        test: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+        message: `must be a date in YYYY-MM-DD format`
+    },
+    // As produced by `Date.prototype.toISOString`, which is how the server stores times
+    timestamp: {
+        test: value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z$/.test(value) && !Number.isNaN(Date.parse(value)),
+        message: `must be a UTC time such as 2026-01-31T12:00:00.000Z`
+    }
+};
+
+const isObject = value => value !== null && typeof value === `object` && !Array.isArray(value);
+
+const checkRule = (rule, value) => {
+    if (value === null && rule.nullable) {
+        return null;
+    }
+    if (!typeChecks[rule.type](value)) {
+        return `must be a${rule.type === `array` ? `n` : ``} ${rule.type}`;
+    }
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return rule.minLength === 1 ? `must not be empty` : `must be at least ${rule.minLength} characters long`;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return `must be at most ${rule.maxLength} characters long`;
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        return `must be one of ${rule.enum.join(`, `)}`;
+    }
+    if (rule.format && !formats[rule.format].test(value)) {
+        return formats[rule.format].message;
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return `must have at most ${rule.maxItems} items`;
+    }
+    if (rule.items) {
+        for (let item of value) {
+            let message = checkRule(rule.items, item);
+            if (message) {
+                return `items ${message}`;
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Checks `input` against `schema`. Returns the sanitized value and a list of `{field, message}` errors.
+ * `path` prefixes the field names in the errors, e.g. `task.name`.
+ */
+export function validateObject(schema, input, path) {
+    if (!isObject(input)) {
+        return {value:null, errors:[{field:path || `body`, message:`must be an object`}]};
+    }
+
+    let value = {};
+    let errors = [];
+    for (let field in schema) {
+        let rule = schema[field];
+        let fieldPath = path ? `${path}.${field}` : field;
+        if (input[field] === undefined) {
+            if (rule.required) {
+                errors.push({field:fieldPath, message:`is required`});
+            }
+            continue;
+        }
+        let message = checkRule(rule, input[field]);
+        if (message) {
+            errors.push({field:fieldPath, message});
+        } else {
+            value[field] = input[field];
+        }
+    }
+    return {value, errors};
+}
+
+/**
+ * Middleware validating the request body, or the object under `req.body[key]` when a key is given.
+ * Invalid requests are rejected with a 400 listing every failing field; valid ones continue with the sanitized body.
+ */
+export const validate = (schema, key) => (req,res,next)=>{
+    let body = isObject(req.body) ? req.body : {};
+    let { value, errors } = validateObject(schema, key ? body[key] : req.body, key);
+    if (errors.length) {
+        return next(new BadRequestError(`Invalid request`, errors));
+    }
+    req.body = key ? {...body, [key]:value} : value;
+    next();
+};
+
+// Query string values always arrive as strings
+const fromQueryString = {
+    string: value => value,
+    boolean: value => value === `true` ? true : value === `false` ? false : value,
+    number: value => value.trim() === `` ? value : Number(value)
+};
+
+/**
+ * Middleware validating `req.query`, converting values to the types the schema asks for.
+ */
+export const validateQuery = schema => (req,res,next)=>{
+    let query = {};
+    for (let field in req.query) {
+        let rule = schema[field];
+        let value = req.query[field];
+        query[field] = rule && typeof value === `string` ? fromQueryString[rule.type](value) : value;
+    }
+    let { value, errors } = validateObject(schema, query, `query`);
+    if (errors.length) {
+        return next(new BadRequestError(`Invalid request`, errors));
+    }
+    req.query = value;
+    next();
+};
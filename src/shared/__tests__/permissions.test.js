@@ -0,0 +1,121 @@
+import {
+  roleOf,
+  canViewGroup,
+  canEditGroup,
+  canManageGroup,
+  canViewTask,
+  canEditTask,
+  canManageTask
+} from '../permissions';
+
+describe('Permissions Module', () => {
+  const task = { id: 'task-1', owner: 'user-1' };
+  const group = { id: 'group-1', owner: 'user-1' };
+  const shared = {
+    id: 'shared-1',
+    owner: 'user-1',
+    collaborators: [{ user: 'user-2', role: 'viewer' }, { user: 'user-3', role: 'editor' }]
+  };
+
+  describe('roleOf', () => {
+    it('should tell owners, editors, viewers and strangers apart', () => {
+      expect(roleOf('user-1', shared)).toBe('owner');
+      expect(roleOf('user-2', shared)).toBe('viewer');
+      expect(roleOf('user-3', shared)).toBe('editor');
+      expect(roleOf('user-4', shared)).toBeNull();
+      expect(roleOf('user-1', null)).toBeNull();
+    });
+  });
+
+  describe('assigned tasks', () => {
+    const assigned = { id: 'task-2', owner: 'user-1', assignees: ['user-5'], collaborators: [{ user: 'user-2', role: 'viewer' }] };
+
+    it('should let assignees view and edit the task', () => {
+      expect(roleOf('user-5', assigned)).toBe('editor');
+      expect(canViewTask('user-5', assigned, null)).toBe(true);
+      expect(canEditTask('user-5', assigned, null)).toBe(true);
+    });
+
+    it('should not let assignees delete or share the task', () => {
+      expect(canManageTask('user-5', assigned)).toBe(false);
+    });
+  });
+
+  describe('shared groups', () => {
+    it('should let every collaborator view the group', () => {
+      expect(canViewGroup('user-2', shared)).toBe(true);
+      expect(canViewGroup('user-4', shared)).toBe(false);
+    });
+
+    it('should let editors but not viewers edit the group', () => {
+      expect(canEditGroup('user-3', shared)).toBe(true);
+      expect(canEditGroup('user-2', shared)).toBe(false);
+    });
+
+    it('should only let the owner manage the group', () => {
+      expect(canManageGroup('user-1', shared)).toBe(true);
+      expect(canManageGroup('user-3', shared)).toBe(false);
+    });
+  });
+
+  describe('shared tasks', () => {
+    it('should grant access through the task\'s own collaborators', () => {
+      const sharedTask = { ...task, collaborators: [{ user: 'user-2', role: 'editor' }] };
+
+      expect(canViewTask('user-2', sharedTask)).toBe(true);
+      expect(canEditTask('user-2', sharedTask)).toBe(true);
+      expect(canManageTask('user-2', sharedTask)).toBe(false);
+    });
+
+    it('should grant access through the task\'s group', () => {
+      const taskInSharedGroup = { id: 'task-2', owner: 'user-1', group: 'shared-1' };
+
+      expect(canViewTask('user-2', taskInSharedGroup, shared)).toBe(true);
+      expect(canEditTask('user-2', taskInSharedGroup, shared)).toBe(false);
+      expect(canEditTask('user-3', taskInSharedGroup, shared)).toBe(true);
+      expect(canViewTask('user-4', taskInSharedGroup, shared)).toBe(false);
+    });
+
+    it('should refuse missing tasks even in a shared group', () => {
+      expect(canViewTask('user-2', null, shared)).toBe(false);
+    });
+  });
+
+  describe('canEditGroup', () => {
+    it('should allow the owner of the group', () => {
+      expect(canEditGroup('user-1', group)).toBe(true);
+    });
+
+    it('should refuse other users', () => {
+      expect(canEditGroup('user-2', group)).toBe(false);
+    });
+
+    it('should refuse missing groups', () => {
+      expect(canEditGroup('user-1', null)).toBe(false);
+    });
+  });
+
+  describe('canViewTask', () => {
+    it('should allow the owner of the task', () => {
+      expect(canViewTask('user-1', task)).toBe(true);
+    });
+
+    it('should refuse other users', () => {
+      expect(canViewTask('user-2', task)).toBe(false);
+    });
+  });
+
+  describe('canEditTask', () => {
+    it('should allow the owner of the task', () => {
+      expect(canEditTask('user-1', task)).toBe(true);
+    });
+
+    it('should refuse other users', () => {
+      expect(canEditTask('user-2', task)).toBe(false);
+    });
+
+    it('should refuse missing tasks', () => {
+      expect(canEditTask('user-1', undefined)).toBe(false);
+    });
+  });
+});
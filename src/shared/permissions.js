@@ -0,0 +1,42 @@
+/**
+ * Rules deciding what a user may do with a group or task. The server enforces them; the app uses the same
+ * rules to only offer what the server will allow.
+ *
+ * Groups and tasks can be shared through their `collaborators` list of `{user, role}`, where the role is
+ * `viewer` or `editor`. Sharing a group shares every task in it. Only owners can share, reorder or delete.
+ * Users a task is assigned to (its `assignees`) can edit it as if it had been shared with them.
+ */
+
+export const ROLES = [`viewer`, `editor`];
+
+/**
+ * The acting user's role on a group or task: `owner`, `editor`, `viewer`, or null when it isn't shared with them.
+ */
+export const roleOf = (userID, item) => {
+    if (!item) {
+        return null;
+    }
+    if (item.owner === userID) {
+        return `owner`;
+    }
+    if ((item.assignees || []).includes(userID)) {
+        return `editor`;
+    }
+    let collaborator = (item.collaborators || []).find(collaborator=>collaborator.user === userID);
+    return collaborator ? collaborator.role : null;
+};
+
+const canEdit = role => role === `owner` || role === `editor`;
+
+export const canViewGroup = (userID, group) => roleOf(userID, group) !== null;
+
+export const canEditGroup = (userID, group) => canEdit(roleOf(userID, group));
+
+export const canManageGroup = (userID, group) => roleOf(userID, group) === `owner`;
+
+// `group` is the group the task is in; sharing it grants the same access to the task
+export const canViewTask = (userID, task, group) => Boolean(task) && (roleOf(userID, task) !== null || canViewGroup(userID, group));
+
+export const canEditTask = (userID, task, group) => Boolean(task) && (canEdit(roleOf(userID, task)) || canEditGroup(userID, group));
+
+export const canManageTask = (userID, task) => roleOf(userID, task) === `owner`;
@@ -18,7 +18,7 @@ module.exports = {
     },
     module: {
         rules: [{
-            test: /\.jsx?/,
+            test: /\.jsx?$/,
             loader:'babel-loader'
         }]
     }